@@ -0,0 +1,93 @@
+/**
+ * Security rules tests for farmer-writable chat feedback
+ * Run against the Firestore emulator with npm run test:rules
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+const { doc, setDoc, updateDoc, serverTimestamp } = require("firebase/firestore");
+
+const CHAT_PATH = "users/farmer-1/chats/chat-1";
+
+describe("firestore.rules: chat feedback", () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: "kisanmitra-rules-test",
+      firestore: { rules: fs.readFileSync(path.join(__dirname, "../../firestore.rules"), "utf8") },
+    });
+  });
+
+  after(async () => {
+    if (testEnv) {
+      await testEnv.cleanup();
+    }
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), CHAT_PATH), {
+        userId: "farmer-1",
+        question: "How much urea for wheat?",
+        answer: "Apply 50 kg per acre in two splits.",
+        confidence: "High",
+      });
+    });
+  });
+
+  const chatAs = (uid) => doc(testEnv.authenticatedContext(uid).firestore(), CHAT_PATH);
+
+  it("lets the owner rate an answer", async () => {
+    await assertSucceeds(updateDoc(chatAs("farmer-1"), {
+      feedback: {
+        rating: "wrong",
+        correction: "Use 40 kg on sandy soil",
+        correctionAudioPath: "audio/farmer-1/correction.webm",
+        outcome: { tried: true, result: "partly_worked", notes: "Yield was lower" },
+        updatedAt: serverTimestamp(),
+      },
+    }));
+  });
+
+  it("rejects feedback from other users", async () => {
+    await assertFails(updateDoc(chatAs("farmer-2"), {
+      feedback: { rating: "helpful", updatedAt: serverTimestamp() },
+    }));
+  });
+
+  it("rejects changes to anything but feedback", async () => {
+    await assertFails(updateDoc(chatAs("farmer-1"), {
+      answer: "Apply 500 kg per acre.",
+      feedback: { rating: "helpful", updatedAt: serverTimestamp() },
+    }));
+  });
+
+  it("rejects malformed feedback", async () => {
+    const invalid = [
+      { rating: "great", updatedAt: serverTimestamp() },
+      { rating: "helpful" },
+      { rating: "helpful", updatedAt: serverTimestamp(), reviewer: "me" },
+      { rating: "wrong", correction: "x".repeat(2001), updatedAt: serverTimestamp() },
+      { rating: "wrong", correctionAudioPath: "audio/farmer-2/clip.webm", updatedAt: serverTimestamp() },
+      { rating: "helpful", outcome: { tried: true }, updatedAt: serverTimestamp() },
+      { rating: "helpful", outcome: { tried: false, result: "worked" }, updatedAt: serverTimestamp() },
+    ];
+    for (const feedback of invalid) {
+      await assertFails(updateDoc(chatAs("farmer-1"), { feedback }));
+    }
+  });
+
+  it("does not let clients create chats", async () => {
+    await assertFails(setDoc(doc(testEnv.authenticatedContext("farmer-1").firestore(), "users/farmer-1/chats/new"), {
+      question: "Made up",
+      answer: "Made up",
+    }));
+  });
+});
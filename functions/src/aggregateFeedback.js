@@ -0,0 +1,25 @@
+/**
+ * Cloud Function: aggregateFeedback
+ * Keeps feedbackStats in step with the feedback field of chat documents, whether it was written
+ * by rateAnswer or directly by the app (firestore.rules lets owners set only that field, in the same shape)
+ */
+
+const functions = require("firebase-functions");
+const { aggregateFeedbackChange } = require("./utils/feedback");
+
+/**
+ * Aggregates feedback changes by crop, state, language and prompt version
+ */
+exports.aggregateFeedback = functions.firestore
+    .document("users/{userId}/chats/{chatId}")
+    .onWrite(async (change) => {
+      const before = change.before.exists ? change.before.data() : null;
+      const after = change.after.exists ? change.after.data() : null;
+
+      // A deleted chat keeps its feedback in the stats
+      if (!after) {
+        return;
+      }
+
+      await aggregateFeedbackChange(before && before.feedback, after.feedback, after);
+    });
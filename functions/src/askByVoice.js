@@ -0,0 +1,327 @@
+/**
+ * Cloud Function: askByVoice
+ * Answers a recorded voice question in one call: transcription, answer generation and speech synthesis
+ * run server-side, with each stage's status written to the chat document
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const { validateAuth } = require("./utils/auth");
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, trackProviderUsage, recordUsage } = require("./utils/usageLedger");
+const { validateDocumentId, validateTextLength } = require("./utils/validators");
+const { hasVoice } = require("./utils/languages");
+const {
+  JOB_STATUS,
+  SPEECH_MODEL,
+  transcriptionJobRef,
+  startTranscription,
+  pollTranscription,
+} = require("./utils/transcription");
+const { answerAdvisorQuestion } = require("./utils/advisor");
+const { isSharedAnswer } = require("./utils/answerCache");
+const { getSignedAudioUrl, synthesizeToStorage } = require("./utils/speechSynthesis");
+const {
+  PIPELINE_STATUS,
+  STAGE_STATUS,
+  voiceChatRef,
+  parseVoiceRequest,
+  initialPipeline,
+  claimPipeline,
+  releasePipeline,
+  updateStage,
+  failPipeline,
+  buildAdvisorRequest,
+  answerFromChat,
+} = require("./utils/voicePipeline");
+const { getLLMProvider } = require("./providers");
+
+/**
+ * Builds the callable response from the pipeline state
+ * @param {string} chatId - Chat ID
+ * @param {Object} voice - Pipeline state
+ * @param {Object|null} answer - Answer fields as returned by askGemini
+ * @param {Object|null} audio - { audioUrl, storagePath } of the spoken answer
+ * @return {Object} { chatId, status, stage, stages, transcript, answer, audio }
+ */
+function pipelineResponse(chatId, voice, answer, audio) {
+  return {
+    chatId,
+    status: voice.status,
+    stage: voice.stage,
+    stages: voice.stages,
+    transcript: voice.transcript,
+    answer,
+    audio,
+  };
+}
+
+/**
+ * Runs the transcription stage, or resumes polling a long-running job started by an earlier call
+ * Speech-to-Text usage is recorded in the ledger as transcribeAudio
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} chatRef - Chat document reference
+ * @param {Object} voice - Pipeline state, updated in place
+ * @return {Promise<boolean>} True once the transcript is stored, false while the job is still running
+ * @throws {Error} If transcription fails or detects no speech
+ */
+async function runTranscription(uid, chatRef, voice) {
+  const { request } = voice;
+  const usage = startUsage(uid, "transcribeAudio", { language: request.language, farmProfile: request.farmProfile });
+  let outcome = null;
+
+  try {
+    let jobId = voice.stages.transcription.jobId;
+
+    if (jobId) {
+      const jobRef = transcriptionJobRef(uid, jobId);
+      const jobDoc = await jobRef.get();
+      if (!jobDoc.exists) {
+        throw new Error("Transcription job not found");
+      }
+      const job = jobDoc.data();
+      if (job.status === JOB_STATUS.ERROR) {
+        throw new Error(job.error || "Transcription failed");
+      }
+      outcome = await pollTranscription(jobRef, job);
+    } else {
+      await updateStage(chatRef, voice, "transcription", { status: STAGE_STATUS.RUNNING, jobId: null });
+
+      const started = await startTranscription(uid, request);
+      jobId = started.jobRef.id;
+      if (started.result) {
+        outcome = started;
+      } else {
+        // Record the job first so a later call can resume it
+        await updateStage(chatRef, voice, "transcription", { status: STAGE_STATUS.RUNNING, jobId, progressPercent: 0 });
+        outcome = await pollTranscription(started.jobRef, started.job);
+      }
+    }
+
+    await recordUsage(usage, { model: `speech-${SPEECH_MODEL}`, audioSeconds: outcome.audioSeconds || 0 });
+
+    if (!outcome.result) {
+      await updateStage(chatRef, voice, "transcription", {
+        status: STAGE_STATUS.RUNNING,
+        jobId,
+        progressPercent: outcome.job.progressPercent,
+      });
+      return false;
+    }
+
+    await updateStage(chatRef, voice, "transcription", {
+      status: STAGE_STATUS.DONE,
+      jobId,
+      progressPercent: 100,
+      confidence: outcome.result.confidence,
+    }, { transcript: outcome.result.transcript });
+  } catch (error) {
+    await recordUsage(usage, { status: "error" });
+    throw error;
+  }
+
+  if (!voice.transcript) {
+    throw new Error(outcome.result.message || "No speech detected in audio");
+  }
+  return true;
+}
+
+/**
+ * Runs the answer stage, saving the answer into the voice chat document
+ * Model usage is recorded in the ledger as askGemini
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} chatRef - Chat document reference
+ * @param {Object} voice - Pipeline state, updated in place
+ * @return {Promise<Object>} Answer fields as returned by askGemini
+ */
+async function runAnswer(uid, chatRef, voice) {
+  const { request } = voice;
+  await updateStage(chatRef, voice, "answer", { status: STAGE_STATUS.RUNNING });
+
+  const usage = startUsage(uid, "askGemini", { language: request.language, farmProfile: request.farmProfile });
+  try {
+    const provider = trackProviderUsage(getLLMProvider(), usage);
+    const { response, cacheHit } = await answerAdvisorQuestion(
+        uid,
+        buildAdvisorRequest(request, voice.transcript),
+        provider,
+        { chatId: chatRef.id, type: "voice" },
+    );
+    await recordUsage(usage, { cacheHit });
+
+    await updateStage(chatRef, voice, "answer", { status: STAGE_STATUS.DONE, language: response.language });
+    return response;
+  } catch (error) {
+    await recordUsage(usage, { status: "error" });
+    throw error;
+  }
+}
+
+/**
+ * Runs the speech stage, reading the answer out in its language
+ * The answer is already saved, so a synthesis failure is recorded on the stage and the pipeline still
+ * finishes. Text-to-Speech usage is recorded in the ledger as synthesizeSpeech.
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} chatRef - Chat document reference
+ * @param {Object} voice - Pipeline state, updated in place
+ * @param {Object} answer - Answer fields from runAnswer
+ * @return {Promise<Object|null>} { audioUrl, storagePath }, or null if synthesis failed
+ */
+async function runSpeech(uid, chatRef, voice, answer) {
+  await updateStage(chatRef, voice, "speech", { status: STAGE_STATUS.RUNNING });
+
+  const usage = startUsage(uid, "synthesizeSpeech", { language: answer.language });
+  try {
+    const text = validateTextLength(answer.answer, 5000);
+
+    // Answers the answer cache serves to everyone share one stored reading
+    const { audioUrl, storagePath, voiceName, characters, cached } = await synthesizeToStorage(
+        uid, text, answer.language, { shared: isSharedAnswer(answer.cache, answer.review) },
+    );
+    await recordUsage(usage, { model: voiceName, characters: cached ? 0 : characters, cacheHit: cached });
+
+    await updateStage(chatRef, voice, "speech", { status: STAGE_STATUS.DONE, storagePath, cached }, {
+      status: PIPELINE_STATUS.DONE,
+      audio: { storagePath },
+    });
+    return { audioUrl, storagePath };
+  } catch (error) {
+    console.error("Error synthesizing voice answer:", error);
+    await recordUsage(usage, { status: "error" });
+
+    await updateStage(chatRef, voice, "speech", { status: STAGE_STATUS.ERROR, error: error.message }, {
+      status: PIPELINE_STATUS.DONE,
+    });
+    return null;
+  }
+}
+
+/**
+ * Answers a recorded voice question
+ * The chat document is created first with a voice field holding { status, stage, stages, transcript, audio,
+ * error }, so the client can watch the stages with a snapshot listener. Recordings longer than about a minute
+ * may still be transcribing when the call returns with status "running"; call again with { chatId } to
+ * resume. Calling with the chatId of a finished pipeline, or of one another call is still running, returns its
+ * stored state.
+ * @param {Object} data - { audioPath: string, language: string, durationSeconds?: number, farmId?: string,
+ *   farmProfile?: object, conversationId?: string, speak?: boolean, chatId?: string } to ask, where chatId
+ *   optionally names the new chat (generated client-side so it can be watched before the call returns) and
+ *   speak: false skips speech synthesis (also skipped for answers in a language without a voice), or
+ *   { chatId: string } to resume
+ * @param {Object} context - Cloud Function context with auth info
+ * @return {Promise<Object>} { chatId, status: "running" | "done" | "error", stage, stages, transcript, answer,
+ *   audio } where stages maps transcription, answer and speech to { status, ... } with status "pending",
+ *   "running", "done", "error" or "skipped", answer has the fields askGemini returns and audio is
+ *   { audioUrl, storagePath } of the spoken answer (null if skipped or synthesis failed)
+ *   Files Speech-to-Text cannot decode fail with invalid-argument and details
+ *   { reason: "unsupported-audio-format", format, codec, contentType, supportedFormats }; they are not
+ *   converted server-side, so clients must upload a supported format
+ *   Errors checking a long-running transcription fail with unavailable; the pipeline keeps running and can be
+ *   resumed
+ */
+exports.askByVoice = functions.runWith({ timeoutSeconds: 180 }).https.onCall(async (data, context) => {
+  let chatRef = null;
+  let voice = null;
+
+  try {
+    // Validate authentication
+    const uid = await validateAuth(context);
+
+    // Count new questions against the caller's per-minute and daily quota before any Firestore reads;
+    // resuming with { chatId } continues a question already counted
+    if (!data || !data.chatId || data.audioPath) {
+      await enforceQuota(uid, "askByVoice", context.auth.token.role);
+    }
+
+    const chatId = data && data.chatId ? validateDocumentId(data.chatId, "chatId") : null;
+
+    // Resuming takes the pipeline's lease in a transaction, so concurrent calls never run a stage twice
+    const claim = chatId ? await claimPipeline(voiceChatRef(uid, chatId)) : null;
+
+    if (claim) {
+      const { chat, claimed } = claim;
+      voice = chat.voice;
+      if (!claimed) {
+        // Finished, failed, past transcription or being run by another call; report the stored state
+        const audio = voice.audio ?
+          { audioUrl: await getSignedAudioUrl(voice.audio.storagePath), storagePath: voice.audio.storagePath } :
+          null;
+        return pipelineResponse(chatId, voice, answerFromChat(chatId, chat), audio);
+      }
+      chatRef = voiceChatRef(uid, chatId);
+    } else {
+      // Validate input and load the farm the question is about
+      const request = await parseVoiceRequest(uid, data);
+
+      // Create the chat up front so every stage's status can be watched on it
+      voice = initialPipeline(request);
+      const newChatRef = voiceChatRef(uid, chatId);
+      await newChatRef.create({
+        type: "voice",
+        userId: uid,
+        voice,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      chatRef = newChatRef;
+    }
+
+    const transcribed = await runTranscription(uid, chatRef, voice);
+    if (!transcribed) {
+      return pipelineResponse(chatRef.id, voice, null, null);
+    }
+
+    const answer = await runAnswer(uid, chatRef, voice);
+
+    // Languages without a Text-to-Speech voice (such as Odia) get a text answer only
+    if (!voice.request.speak || !hasVoice(answer.language)) {
+      await updateStage(chatRef, voice, "speech", { status: STAGE_STATUS.SKIPPED }, { status: PIPELINE_STATUS.DONE });
+      return pipelineResponse(chatRef.id, voice, answer, null);
+    }
+
+    const audio = await runSpeech(uid, chatRef, voice, answer);
+    return pipelineResponse(chatRef.id, voice, answer, audio);
+  } catch (error) {
+    console.error("Error answering voice question:", error);
+
+    // A retryable transcription error leaves the pipeline running, to be resumed with { chatId }
+    if (chatRef && !error.retryable) {
+      await failPipeline(chatRef, voice, error);
+    }
+
+    if (error.quota) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, error.quota);
+    }
+    if (error.audioFormat) {
+      throw new functions.https.HttpsError("invalid-argument", error.message, error.audioFormat);
+    }
+    if (error.retryable) {
+      throw new functions.https.HttpsError("unavailable", `Transcription is still running: ${error.message}`);
+    }
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message.includes("API key")) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "Gemini API key not configured. Please contact support.",
+      );
+    }
+    if (["Audio file not found", "Transcription job not found", "Farm not found"].includes(error.message)) {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+    if (/^(Missing required fields|Invalid|Unsupported language|Text too long|No speech detected)/
+        .test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to answer voice question: ${error.message}`,
+    );
+  } finally {
+    // Let a later call resume a pipeline still transcribing
+    if (chatRef) {
+      await releasePipeline(chatRef);
+    }
+  }
+});
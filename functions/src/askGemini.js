@@ -4,121 +4,63 @@
  */
 
 const functions = require("firebase-functions");
-const admin = require("firebase-admin");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const { validateAuth } = require("./utils/auth");
-const { validateRequiredFields, validateLanguage, validateTextLength } = require("./utils/validators");
-const { buildAgriculturalPrompt } = require("./prompts/agricultural");
-
-// Initialize Gemini AI
-// TODO: Set GEMINI_API_KEY in functions/.env
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || "");
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, trackProviderUsage, recordUsage } = require("./utils/usageLedger");
+const { parseAdvisorRequest, answerAdvisorQuestion } = require("./utils/advisor");
+const { getLLMProvider } = require("./providers");
 
 /**
  * Asks Gemini AI for agricultural advice
- * @param {Object} data - { question: string, farmProfile: object, language: string, chatHistory?: array }
+ * @param {Object} data - { question: string, language: string, farmId?: string, farmProfile?: object,
+ *   conversationId?: string, clarification?: { chatId: string, values: object },
+ *   followUp?: { chatId: string, id: string } } where farmId is one of the user's saved farms (farmProfile is only
+ *   used for unsaved drafts), clarification answers the missing facts an earlier chat asked for and followUp asks
+ *   one of an earlier chat's followUps, whose stored text replaces question
  * @param {Object} context - Cloud Function context with auth info
- * @return {Promise<Object>} { answer: string, confidence: string, sources: array, suggestions: array }
+ * @return {Promise<Object>} { answer, confidence, sources, suggestions, followUps, citations, clarification,
+ *   safetyWarnings, cache, review, chatId, conversationId, threadId, parentChatId, farmId, language, inputLanguage }
+ *   where followUps is [{ id, text }] for the suggestions, threadId and parentChatId place the chat in its question
+ *   tree, clarification is
+ *   { status, missingFacts } when the model needs more facts before answering, cache is
+ *   { hit, eligible, stored, cachedAt?, expiresAt? }, review is { ticketId, status, reasons } when the answer was
+ *   queued for expert review, language is the answer language and inputLanguage is
+ *   { language, script, romanized, codeMixed } as detected from the question
  */
 exports.askGemini = functions.https.onCall(async (data, context) => {
+  let usage = null;
+
   try {
     // Validate authentication
     const uid = await validateAuth(context);
 
-    // Validate input
-    validateRequiredFields(data, ["question", "farmProfile", "language"]);
-    const question = validateTextLength(data.question, 1000);
-    const language = validateLanguage(data.language);
-    const farmProfile = data.farmProfile;
-
-    if (!farmProfile || typeof farmProfile !== "object") {
-      throw new Error("Invalid farm profile");
-    }
-
-    // Check if Gemini API key is configured
-    if (!process.env.GEMINI_API_KEY || process.env.GEMINI_API_KEY === "YOUR_GEMINI_API_KEY") {
-      throw new Error("Gemini API key not configured. Please set GEMINI_API_KEY in functions/.env");
-    }
+    // Count the request against the caller's per-minute and daily quota before any Firestore reads
+    await enforceQuota(uid, "askGemini", context.auth.token.role);
 
-    // Build the agricultural prompt
-    const systemPrompt = buildAgriculturalPrompt(farmProfile, language, question);
+    // Validate input and load the farm the question is about
+    const request = await parseAdvisorRequest(uid, data);
+    const { farmProfile } = request;
 
-    // Initialize Gemini model
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
+    // Select the configured LLM provider, counting its tokens in the usage ledger
+    usage = startUsage(uid, "askGemini", { language: request.language, farmProfile });
+    const provider = trackProviderUsage(getLLMProvider(), usage);
 
-    // Generate response
-    const result = await model.generateContent(systemPrompt);
-    const response = result.response;
-    const responseText = response.text();
+    // Answer from the cache or the model and save the chat
+    const { response, cacheHit } = await answerAdvisorQuestion(uid, request, provider);
 
-    // Parse JSON response
-    let aiResponse;
-    try {
-      // Extract JSON from response (in case there's extra text)
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error("No JSON found in response");
-      }
-      aiResponse = JSON.parse(jsonMatch[0]);
-    } catch (parseError) {
-      console.error("Failed to parse Gemini response as JSON:", responseText);
-      // Fallback response
-      aiResponse = {
-        answer: responseText,
-        confidence: "Medium",
-        sources: ["Gemini AI"],
-        suggestions: [],
-      };
-    }
+    await recordUsage(usage, { cacheHit });
 
-    // Validate response structure
-    if (!aiResponse.answer) {
-      throw new Error("Invalid AI response: missing answer field");
-    }
+    return response;
+  } catch (error) {
+    console.error("Error asking Gemini:", error);
 
-    // Ensure confidence is valid
-    const validConfidenceLevels = ["High", "Medium", "Low"];
-    if (!validConfidenceLevels.includes(aiResponse.confidence)) {
-      aiResponse.confidence = "Medium";
+    if (usage) {
+      await recordUsage(usage, { status: "error" });
     }
 
-    // Ensure arrays exist
-    if (!Array.isArray(aiResponse.sources)) {
-      aiResponse.sources = ["Gemini AI"];
+    if (error.quota) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, error.quota);
     }
-    if (!Array.isArray(aiResponse.suggestions)) {
-      aiResponse.suggestions = [];
-    }
-
-    // Save to Firestore
-    const db = admin.firestore();
-    const chatRef = db.collection("users").doc(uid).collection("chats").doc();
-
-    await chatRef.set({
-      timestamp: admin.firestore.FieldValue.serverTimestamp(),
-      question: question,
-      answer: aiResponse.answer,
-      confidence: aiResponse.confidence,
-      sources: aiResponse.sources,
-      suggestions: aiResponse.suggestions,
-      language: language,
-      farmProfile: {
-        crops: farmProfile.crops || [],
-        location: farmProfile.location || {},
-        soilType: farmProfile.soilType || "",
-      },
-    });
-
-    return {
-      answer: aiResponse.answer,
-      confidence: aiResponse.confidence,
-      sources: aiResponse.sources,
-      suggestions: aiResponse.suggestions,
-      chatId: chatRef.id,
-    };
-  } catch (error) {
-    console.error("Error asking Gemini:", error);
-
     // Provide more specific error messages
     if (error.message.includes("API key")) {
       throw new functions.https.HttpsError(
@@ -126,6 +68,12 @@ exports.askGemini = functions.https.onCall(async (data, context) => {
           "Gemini API key not configured. Please contact support.",
       );
     }
+    if (/^(Missing required fields|Invalid|Unsupported language|Text too long)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+    if (error.message === "Farm not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
 
     throw new functions.https.HttpsError(
         "internal",
@@ -0,0 +1,231 @@
+/**
+ * Cloud Function: askGeminiStream
+ * Streams Gemini answers to the client as newline-delimited JSON events
+ * so farmers on slow connections see the answer while it is being generated
+ */
+
+const functions = require("firebase-functions");
+const corsMiddleware = require("./utils/cors");
+const { validateRequestToken } = require("./utils/auth");
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, trackProviderUsage, recordUsage } = require("./utils/usageLedger");
+const { buildConversationContents } = require("./utils/conversation");
+const {
+  parseAdvisorRequest,
+  prepareAdvisorTurn,
+  finalizeStreamedResponse,
+  reviewGeneratedAdvice,
+  adviceFromCache,
+  finishAdvisorTurn,
+  createAnswerStreamSplitter,
+} = require("./utils/advisor");
+const { getCachedAnswer } = require("./utils/answerCache");
+const { getLLMProvider } = require("./providers");
+
+/**
+ * Maps an error raised before streaming starts to an HTTP status and error code
+ * @param {Error} error - The error to map
+ * @return {Object} { status: number, code: string }
+ */
+function mapError(error) {
+  if (error.message.startsWith("Unauthenticated")) {
+    return { status: 401, code: "unauthenticated" };
+  }
+  if (error.quota) {
+    return { status: 429, code: "resource-exhausted" };
+  }
+  if (error.message.includes("API key")) {
+    return { status: 412, code: "failed-precondition" };
+  }
+  if (/^(Missing required fields|Invalid|Unsupported language|Text too long)/.test(error.message)) {
+    return { status: 400, code: "invalid-argument" };
+  }
+  if (error.message === "Farm not found") {
+    return { status: 404, code: "not-found" };
+  }
+  return { status: 500, code: "internal" };
+}
+
+/**
+ * Writes one NDJSON event to the response
+ * @param {Object} res - The HTTP response
+ * @param {Object} event - The event to write
+ */
+function writeEvent(res, event) {
+  res.write(JSON.stringify(event) + "\n");
+}
+
+/**
+ * Streams a fresh answer to the client, then validates it, applies any clarification request
+ * and runs the pesticide safety review
+ * @param {Object} provider - LLM provider
+ * @param {Object} res - The HTTP response, already set up for NDJSON
+ * @param {Object} request - { history, systemPrompt, schemes, farmProfile, language, continuation }
+ * @param {AbortSignal} signal - Aborted once the client has gone away
+ * @return {Promise<Object|null>} { aiResponse, validation, safety, streamedAnswer }, or null if cancelled
+ */
+async function streamAdvice(provider, res, request, signal) {
+  const { history, systemPrompt } = request;
+
+  const stream = provider.stream({
+    contents: buildConversationContents(history, systemPrompt),
+  }, { signal });
+
+  const splitter = createAnswerStreamSplitter();
+
+  for await (const chunk of stream) {
+    // Leaving the loop stops the provider's iteration
+    if (signal.aborted) {
+      return null;
+    }
+
+    const delta = splitter.push(chunk);
+    if (delta) {
+      writeEvent(res, { type: "delta", text: delta });
+    }
+  }
+
+  const { delta, answer, metadataText } = splitter.end();
+  if (delta) {
+    writeEvent(res, { type: "delta", text: delta });
+  }
+
+  // Validate the metadata block against the response schema
+  const { aiResponse: generatedResponse, validation } = finalizeStreamedResponse(answer, metadataText);
+
+  // Citations, clarification and safety review; the client replaces the streamed text if the answer changed
+  const { aiResponse, safety } = reviewGeneratedAdvice(generatedResponse, request);
+
+  return { aiResponse, validation, safety, streamedAnswer: answer };
+}
+
+/**
+ * Streams agricultural advice from Gemini
+ * Request: POST with Authorization: Bearer <Firebase ID token> and JSON body
+ *   { question: string, language: string, farmId?: string, farmProfile?: object, conversationId?: string,
+ *     clarification?: { chatId: string, values: object }, followUp?: { chatId: string, id: string } }
+ *   farmId selects one of the user's saved farms; farmProfile is only used for unsaved drafts; followUp asks one
+ *   of an earlier chat's followUps, whose stored text replaces question
+ * Response: application/x-ndjson, one event per line:
+ *   { type: "delta", text }  - the next piece of the answer
+ *   { type: "done", answer?, confidence, sources, suggestions, followUps, citations, clarification, safetyWarnings,
+ *     cache, review, chatId, conversationId, threadId, parentChatId, farmId, language, inputLanguage }
+ *     answer is only present when a clarification request or the safety review changed the streamed text,
+ *     and replaces it; language is the answer language and inputLanguage is
+ *     { language, script, romanized, codeMixed } as detected from the question
+ *   { type: "error", code, message }
+ */
+exports.askGeminiStream = functions.https.onRequest((req, res) => {
+  corsMiddleware(req, res, async () => {
+    if (req.method !== "POST") {
+      res.status(405).json({ error: { code: "invalid-argument", message: "Method not allowed" } });
+      return;
+    }
+
+    // Stop generating (and skip saving) when the client cancels the request. The request's close event fires
+    // once its body is read, so only the response's close tells an aborted stream from a finished one
+    let cancelled = false;
+    const abort = new AbortController();
+    res.on("close", () => {
+      if (!res.writableFinished) {
+        cancelled = true;
+        abort.abort();
+      }
+    });
+
+    let usage = null;
+
+    try {
+      // Validate authentication
+      const token = await validateRequestToken(req);
+      const uid = token.uid;
+
+      // Streamed and callable answers share the askGemini quota, counted before any Firestore reads
+      await enforceQuota(uid, "askGemini", token.role);
+
+      // Validate input and load the farm the question is about
+      const request = await parseAdvisorRequest(uid, req.body || {});
+      const { farmProfile } = request;
+
+      // Select the configured LLM provider, counting its tokens in the usage ledger
+      usage = startUsage(uid, "askGeminiStream", { language: request.language, farmProfile });
+      const provider = trackProviderUsage(getLLMProvider(), usage);
+
+      // Load history and schemes, then render the prompt for this task and user in the streaming format
+      const turn = await prepareAdvisorTurn(uid, request, provider, { streaming: true });
+
+      // Serve recurring first questions from the answer cache
+      const cached = await getCachedAnswer(turn.cacheKey);
+
+      res.status(200);
+      res.set({
+        "Content-Type": "application/x-ndjson; charset=utf-8",
+        "Cache-Control": "no-cache",
+        "X-Accel-Buffering": "no",
+      });
+
+      let outcome = null;
+      let streamedAnswer;
+      if (cached) {
+        // A cached answer arrives as a single delta
+        writeEvent(res, { type: "delta", text: cached.aiResponse.answer });
+        outcome = adviceFromCache(cached);
+        streamedAnswer = cached.aiResponse.answer;
+      } else {
+        const streamed = await streamAdvice(provider, res, { ...turn, farmProfile }, abort.signal);
+        if (streamed) {
+          const { aiResponse, validation, safety } = streamed;
+          outcome = { aiResponse, validation, safety, model: provider.model, cached: null };
+          streamedAnswer = streamed.streamedAnswer;
+        }
+      }
+
+      if (!outcome || cancelled) {
+        await recordUsage(usage, { status: "cancelled" });
+        return;
+      }
+
+      const response = await finishAdvisorTurn(uid, request, turn, outcome);
+
+      writeEvent(res, {
+        type: "done",
+        ...response,
+        answer: response.answer !== streamedAnswer ? response.answer : undefined,
+      });
+
+      // Record usage before ending the response; the instance may be throttled once it ends
+      await recordUsage(usage, { cacheHit: Boolean(cached) });
+      res.end();
+    } catch (error) {
+      // Aborting the provider's request on cancel throws too; that is not an error
+      if (!cancelled) {
+        console.error("Error streaming Gemini answer:", error);
+      }
+
+      if (usage) {
+        await recordUsage(usage, { status: cancelled ? "cancelled" : "error" });
+      }
+
+      const { status, code } = mapError(error);
+      let message = `Failed to get AI response: ${error.message}`;
+      if (code === "failed-precondition") {
+        message = "Gemini API key not configured. Please contact support.";
+      } else if (code === "resource-exhausted") {
+        message = error.message;
+      }
+
+      if (!res.headersSent) {
+        if (error.quota) {
+          res.set("Retry-After", String(error.quota.retryAfterSeconds));
+        }
+        res.status(status).json({ error: { code, message, details: error.quota } });
+        return;
+      }
+
+      if (!cancelled) {
+        writeEvent(res, { type: "error", code, message });
+        res.end();
+      }
+    }
+  });
+});
@@ -0,0 +1,149 @@
+const assert = require("assert");
+const http = require("http");
+const express = require("express");
+const auth = require("./utils/auth");
+const quota = require("./utils/quota");
+const usageLedger = require("./utils/usageLedger");
+const advisor = require("./utils/advisor");
+const answerCache = require("./utils/answerCache");
+const providers = require("./providers");
+
+const CHUNKS = 200;
+
+describe("askGeminiStream", () => {
+  const originals = [];
+  let server;
+  let url;
+  let provider;
+  let saved;
+  let usageRecorded;
+
+  /**
+   * Replaces a module export for the duration of the suite
+   * @param {Object} target - Module exports
+   * @param {string} name - Export name
+   * @param {Function} value - Replacement
+   */
+  function replace(target, name, value) {
+    originals.push([target, name, target[name]]);
+    target[name] = value;
+  }
+
+  before(async () => {
+    replace(auth, "validateRequestToken", async () => ({ uid: "user-1" }));
+    replace(quota, "enforceQuota", async () => null);
+    replace(usageLedger, "recordUsage", async (usage, details = {}) => usageRecorded(details));
+    replace(advisor, "parseAdvisorRequest", async () => ({
+      language: "en",
+      farmProfile: { crops: ["Tomato"], location: { district: "Pune", state: "Maharashtra" } },
+    }));
+    replace(advisor, "prepareAdvisorTurn", async () => ({
+      history: { turns: [], summary: null },
+      systemPrompt: "prompt",
+      schemes: [],
+      cacheKey: null,
+    }));
+    replace(advisor, "finishAdvisorTurn", async (uid, request, turn, outcome) => {
+      saved.push(outcome);
+      return { answer: outcome.aiResponse.answer, chatId: "chat-1" };
+    });
+    replace(answerCache, "getCachedAnswer", async () => null);
+    replace(providers, "getLLMProvider", () => provider);
+
+    // Loaded after the stubs, since it reads these exports when required
+    const { askGeminiStream } = require("./askGeminiStream");
+    const app = express();
+    app.use(express.json());
+    app.post("/", askGeminiStream);
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    url = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(async () => {
+    for (const [target, name, value] of originals.reverse()) {
+      target[name] = value;
+    }
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  /**
+   * Builds a provider that streams CHUNKS chunks, one every few milliseconds
+   * @param {string} metadata - Metadata block streamed after the answer
+   * @return {Object} Provider, with pulled (chunks taken) and stopped (iteration ended early) counters
+   */
+  function slowProvider(metadata) {
+    const state = { name: "test", model: "test", pulled: 0, stopped: false };
+    state.stream = async function* stream() {
+      try {
+        for (let i = 0; i < CHUNKS; i++) {
+          await new Promise((resolve) => setTimeout(resolve, 2));
+          state.pulled += 1;
+          yield `Word ${i}. `;
+        }
+        yield `<<<METADATA>>>${metadata}`;
+      } finally {
+        state.stopped = state.pulled < CHUNKS;
+      }
+    };
+    return state;
+  }
+
+  /**
+   * Posts a question, optionally aborting once the first delta arrives
+   * @param {boolean} abortEarly - Whether to abort mid-stream
+   * @return {Promise<string>} Response body received
+   */
+  function post(abortEarly) {
+    return new Promise((resolve, reject) => {
+      const req = http.request(url, { method: "POST", headers: { "Content-Type": "application/json" } }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => {
+          body += chunk;
+          if (abortEarly) {
+            req.destroy();
+            resolve(body);
+          }
+        });
+        res.on("end", () => resolve(body));
+        res.on("error", () => resolve(body));
+      });
+      req.on("error", (error) => (abortEarly ? resolve("") : reject(error)));
+      req.end(JSON.stringify({ question: "How do I water tomatoes?", language: "en" }));
+    });
+  }
+
+  beforeEach(() => {
+    saved = [];
+  });
+
+  it("stops generating and saves nothing when the client aborts mid-stream", async () => {
+    provider = slowProvider("{\"confidence\":\"High\",\"sources\":[],\"suggestions\":[]}");
+    const recorded = new Promise((resolve) => {
+      usageRecorded = resolve;
+    });
+
+    await post(true);
+    const details = await recorded;
+
+    assert.strictEqual(details.status, "cancelled");
+    assert.deepStrictEqual(saved, []);
+    assert.ok(provider.stopped);
+    assert.ok(provider.pulled < CHUNKS);
+  });
+
+  it("saves the answer once a stream completes", async () => {
+    provider = slowProvider("{\"confidence\":\"High\",\"sources\":[],\"suggestions\":[]}");
+    const recorded = new Promise((resolve) => {
+      usageRecorded = resolve;
+    });
+
+    const body = await post(false);
+    const details = await recorded;
+
+    assert.strictEqual(details.status, undefined);
+    assert.strictEqual(saved.length, 1);
+    assert.ok(body.includes("\"type\":\"done\""));
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Cloud Function: claimReviewTicket
+ * Lets an extension officer take a ticket from the expert review queue
+ */
+
+const functions = require("firebase-functions");
+const { validateRole } = require("./utils/auth");
+const { validateRequiredFields, validateDocumentId } = require("./utils/validators");
+const { claimReviewTicket } = require("./utils/reviewQueue");
+
+/**
+ * Claims an open review ticket
+ * @param {Object} data - { ticketId: string }
+ * @param {Object} context - Cloud Function context with auth info (requires the extension_officer role)
+ * @return {Promise<Object>} { ticketId, status }
+ */
+exports.claimReviewTicket = functions.https.onCall(async (data, context) => {
+  try {
+    // Validate authentication and role
+    const uid = await validateRole(context, ["extension_officer"]);
+
+    // Validate input
+    validateRequiredFields(data, ["ticketId"]);
+    const ticketId = validateDocumentId(data.ticketId, "ticketId");
+
+    return await claimReviewTicket(ticketId, { uid, name: context.auth.token.name || "Extension officer" });
+  } catch (error) {
+    console.error("Error claiming review ticket:", error);
+
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message.startsWith("Permission denied")) {
+      throw new functions.https.HttpsError("permission-denied", error.message);
+    }
+    if (error.message === "Review ticket not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+    if (error.message.startsWith("Review ticket is already")) {
+      throw new functions.https.HttpsError("failed-precondition", error.message);
+    }
+    if (/^(Missing required fields|Invalid)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to claim review ticket: ${error.message}`,
+    );
+  }
+});
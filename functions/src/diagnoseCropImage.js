@@ -0,0 +1,226 @@
+/**
+ * Cloud Function: diagnoseCropImage
+ * Diagnoses crop diseases and pests from leaf and plant photos using a multimodal model
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const { validateAuth } = require("./utils/auth");
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, trackProviderUsage, recordUsage } = require("./utils/usageLedger");
+const {
+  validateRequiredFields,
+  validateLanguage,
+  validateImagePath,
+  validateDocumentId,
+} = require("./utils/validators");
+const { buildConversationContents } = require("./utils/conversation");
+const { resolveFarmContext } = require("./utils/farmContext");
+const { getAgroContext } = require("./utils/agroCalendar");
+const { detectInputLanguage, summarizeInputLanguage } = require("./utils/inputLanguage");
+const { loadAdvisorHistory, generateValidatedResponse, saveChatTurn } = require("./utils/advisor");
+const { DIAGNOSIS_RESPONSE_SCHEMA } = require("./utils/responseSchema");
+const { reviewAdviceSafety, filterUnsafeRecommendations } = require("./utils/pesticideSafety");
+const { getLLMProvider } = require("./providers");
+const { renderPrompt, PROMPT_TASKS } = require("./prompts/registry");
+
+// Photo limits for a single diagnosis request
+const MAX_IMAGES = 4;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const SUPPORTED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/heic", "image/heif"];
+
+/**
+ * Downloads an uploaded photo and returns it as an inline image part
+ * @param {Object} bucket - Storage bucket
+ * @param {string} imagePath - Storage path of the photo
+ * @return {Promise<Object>} { mimeType, data } with base64 data
+ * @throws {Error} If the photo is missing, too large or not a supported image type
+ */
+async function loadImage(bucket, imagePath) {
+  const file = bucket.file(imagePath);
+
+  const [exists] = await file.exists();
+  if (!exists) {
+    throw new Error(`Image file not found: ${imagePath}`);
+  }
+
+  const [metadata] = await file.getMetadata();
+  if (!SUPPORTED_IMAGE_TYPES.includes(metadata.contentType)) {
+    throw new Error(`Unsupported image type: ${metadata.contentType}. Supported: ${SUPPORTED_IMAGE_TYPES.join(", ")}`);
+  }
+  if (Number(metadata.size) > MAX_IMAGE_BYTES) {
+    throw new Error(`Image too large: ${imagePath}. Maximum size: ${MAX_IMAGE_BYTES / (1024 * 1024)}MB`);
+  }
+
+  const [contents] = await file.download();
+  return {
+    mimeType: metadata.contentType,
+    data: contents.toString("base64"),
+  };
+}
+
+/**
+ * Diagnoses a crop problem from uploaded photos
+ * @param {Object} data - { imagePaths: string[], language: string, farmId?: string, farmProfile?: object,
+ *   question?: string, conversationId?: string } where farmId is one of the user's saved farms and
+ *   farmProfile is only used for unsaved drafts
+ * @param {Object} context - Cloud Function context with auth info
+ * @return {Promise<Object>} { answer, diagnosis, confidence, treatment, contactKVK, sources, suggestions,
+ *   followUps, safetyWarnings, review, chatId, conversationId, threadId, farmId, language, inputLanguage } where
+ *   followUps is [{ id, text }] (ask one with askGemini's followUp option), language is the answer language and
+ *   inputLanguage is { language, script, romanized, codeMixed } as detected from the description
+ */
+exports.diagnoseCropImage = functions.https.onCall(async (data, context) => {
+  let usage = null;
+
+  try {
+    // Validate authentication
+    const uid = await validateAuth(context);
+
+    // Count the request against the caller's per-minute and daily quota before any Firestore reads
+    await enforceQuota(uid, "diagnoseCropImage", context.auth.token.role);
+
+    // Validate input
+    validateRequiredFields(data, ["imagePaths", "language"]);
+    const settingLanguage = validateLanguage(data.language);
+    const description = typeof data.question === "string" ? data.question.trim().slice(0, 1000) : "";
+
+    // Answer in the language of the description when the farmer wrote one
+    const inputLanguage = detectInputLanguage(description, settingLanguage);
+    const language = inputLanguage.language;
+    const conversationId = data.conversationId ?
+      validateDocumentId(data.conversationId, "conversationId") :
+      null;
+
+    if (!Array.isArray(data.imagePaths) || data.imagePaths.length === 0 || data.imagePaths.length > MAX_IMAGES) {
+      throw new Error(`Invalid imagePaths. Provide between 1 and ${MAX_IMAGES} photos`);
+    }
+
+    const imagePaths = data.imagePaths.map(validateImagePath);
+
+    // Verify user owns these photos
+    if (imagePaths.some((imagePath) => !imagePath.startsWith(`images/${uid}/`))) {
+      throw new Error("Unauthorized: Cannot access image file");
+    }
+
+    // Saved farms are read from Firestore rather than trusted from the payload
+    const { farmId, farmProfile } = await resolveFarmContext(uid, data);
+    usage = startUsage(uid, "diagnoseCropImage", { language: settingLanguage, farmProfile });
+
+    // Get photos from Storage
+    const bucket = admin.storage().bucket();
+    const images = await Promise.all(imagePaths.map((imagePath) => loadImage(bucket, imagePath)));
+
+    // Select the configured LLM provider, counting its tokens in the usage ledger
+    const provider = trackProviderUsage(getLLMProvider(), usage);
+
+    // Load earlier turns of the same conversation
+    const history = await loadAdvisorHistory(uid, conversationId, provider);
+
+    // Send the photos with the farm context, season and typical crop stages to the multimodal model
+    const agroContext = getAgroContext(farmProfile);
+    const { prompt, promptTemplate } = renderPrompt(PROMPT_TASKS.DIAGNOSIS, uid, {
+      farmProfile,
+      language,
+      question: description,
+      imageCount: images.length,
+      agroContext,
+      inputLanguage,
+    });
+    const imageParts = images.map((image) => ({ inlineData: image }));
+
+    const { aiResponse: generatedResponse, validation } = await generateValidatedResponse(
+        provider,
+        buildConversationContents(history, prompt, imageParts),
+        DIAGNOSIS_RESPONSE_SCHEMA,
+    );
+
+    // An unusable diagnosis is treated as uncertain and referred to the KVK
+    const diagnosis = generatedResponse.diagnosis || { name: "Unknown", type: "unknown", severity: "none" };
+    const generatedTreatment = generatedResponse.treatment ||
+      { immediate: [], chemical: [], organic: [], prevention: [] };
+
+    // Check recommended pesticides and doses in both the summary and the treatment list
+    const { aiResponse, safety } = reviewAdviceSafety(generatedResponse, {
+      crops: farmProfile.crops || [],
+      language,
+      extraText: generatedTreatment.chemical.join("\n"),
+    });
+
+    const treatment = {
+      ...generatedTreatment,
+      chemical: filterUnsafeRecommendations(generatedTreatment.chemical, safety),
+    };
+    const contactKVK = safety.kvkReferral ||
+      (typeof generatedResponse.contactKVK === "boolean" ? generatedResponse.contactKVK : true);
+
+    // Save to Firestore
+    const saved = await saveChatTurn(uid, {
+      question: description || "Crop photo diagnosis",
+      language,
+      farmProfile,
+      farmId,
+      conversationId,
+      history,
+      aiResponse,
+      validation,
+      safety,
+      promptTemplate,
+      agroContext,
+      inputLanguage,
+      model: provider.model,
+      type: "image",
+      details: {
+        imagePaths,
+        diagnosis,
+        treatment,
+        contactKVK,
+      },
+    });
+
+    await recordUsage(usage);
+
+    return {
+      answer: aiResponse.answer,
+      diagnosis,
+      confidence: aiResponse.confidence,
+      treatment,
+      contactKVK,
+      sources: aiResponse.sources,
+      suggestions: aiResponse.suggestions,
+      followUps: saved.followUps,
+      safetyWarnings: safety.warnings,
+      review: saved.review,
+      chatId: saved.chatId,
+      conversationId: saved.conversationId,
+      threadId: saved.threadId,
+      farmId,
+      language,
+      inputLanguage: summarizeInputLanguage(inputLanguage),
+    };
+  } catch (error) {
+    console.error("Error diagnosing crop image:", error);
+
+    if (usage) {
+      await recordUsage(usage, { status: "error" });
+    }
+
+    if (error.quota) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, error.quota);
+    }
+    if (error.message === "Farm not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+    if (error.message.includes("API key")) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "Gemini API key not configured. Please contact support.",
+      );
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to diagnose crop image: ${error.message}`,
+    );
+  }
+});
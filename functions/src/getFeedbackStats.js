@@ -0,0 +1,46 @@
+/**
+ * Cloud Function: getFeedbackStats
+ * Lets admins spot systematically bad advice from aggregated farmer feedback
+ */
+
+const functions = require("firebase-functions");
+const { validateRole } = require("./utils/auth");
+const { validateRequiredFields } = require("./utils/validators");
+const { getFeedbackStats } = require("./utils/feedback");
+
+/**
+ * Returns feedback aggregated by one dimension, worst rated first
+ * @param {Object} data - { dimension: "crop" | "state" | "language" | "prompt", minTotal?: number }
+ * @param {Object} context - Cloud Function context with auth info (requires the admin role)
+ * @return {Promise<Object>} { dimension, stats: [{ value, total, ratings, corrections, outcomes, negativeRate }] }
+ */
+exports.getFeedbackStats = functions.https.onCall(async (data, context) => {
+  try {
+    // Validate authentication and role
+    await validateRole(context, ["admin"]);
+
+    // Validate input
+    validateRequiredFields(data, ["dimension"]);
+    const minTotal = Number.isInteger(data.minTotal) && data.minTotal > 0 ? data.minTotal : 1;
+
+    const stats = await getFeedbackStats(data.dimension, minTotal);
+    return { dimension: data.dimension, stats };
+  } catch (error) {
+    console.error("Error getting feedback stats:", error);
+
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message.startsWith("Permission denied")) {
+      throw new functions.https.HttpsError("permission-denied", error.message);
+    }
+    if (/^(Missing required fields|Invalid)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to get feedback stats: ${error.message}`,
+    );
+  }
+});
@@ -0,0 +1,48 @@
+/**
+ * Cloud Function: getUsageReport
+ * Lets admins see what each farmer and state costs, to budget and to detect abuse
+ */
+
+const functions = require("firebase-functions");
+const { validateRole } = require("./utils/auth");
+const { validateRequiredFields } = require("./utils/validators");
+const { getUsageReport } = require("./utils/usageLedger");
+
+/**
+ * Returns daily usage rollups
+ * With a key, returns that user's or state's rollups for each day in the range; without one,
+ * returns the most expensive users or states on a single day
+ * @param {Object} data - { scope: "user" | "state", from: "YYYY-MM-DD", to?: "YYYY-MM-DD", key?: string,
+ *   limit?: number }
+ * @param {Object} context - Cloud Function context with auth info (requires the admin role)
+ * @return {Promise<Object>} { scope, key, from, to, rollups, totals } where each rollup has requests, errors,
+ *   cacheHits, inputTokens, outputTokens, audioSeconds, characters, latencyMs, costUsd and byFunction
+ */
+exports.getUsageReport = functions.https.onCall(async (data, context) => {
+  try {
+    // Validate authentication and role
+    await validateRole(context, ["admin"]);
+
+    // Validate input
+    validateRequiredFields(data, ["scope", "from"]);
+
+    return await getUsageReport(data);
+  } catch (error) {
+    console.error("Error getting usage report:", error);
+
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message.startsWith("Permission denied")) {
+      throw new functions.https.HttpsError("permission-denied", error.message);
+    }
+    if (/^(Missing required fields|Invalid)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to get usage report: ${error.message}`,
+    );
+  }
+});
@@ -11,11 +11,35 @@ admin.initializeApp();
 // Export all Cloud Functions
 const { transcribeAudio } = require("./transcribeAudio");
 const { askGemini } = require("./askGemini");
+const { askGeminiStream } = require("./askGeminiStream");
+const { askByVoice } = require("./askByVoice");
 const { synthesizeSpeech } = require("./synthesizeSpeech");
+const { translateChat } = require("./translateChat");
+const { diagnoseCropImage } = require("./diagnoseCropImage");
+const { invalidateAnswerCache } = require("./invalidateAnswerCache");
+const { rateAnswer } = require("./rateAnswer");
+const { aggregateFeedback } = require("./aggregateFeedback");
+const { getFeedbackStats } = require("./getFeedbackStats");
+const { claimReviewTicket } = require("./claimReviewTicket");
+const { resolveReviewTicket } = require("./resolveReviewTicket");
+const { rollupUsage } = require("./rollupUsage");
+const { getUsageReport } = require("./getUsageReport");
 
 exports.transcribeAudio = transcribeAudio;
 exports.askGemini = askGemini;
+exports.askGeminiStream = askGeminiStream;
+exports.askByVoice = askByVoice;
 exports.synthesizeSpeech = synthesizeSpeech;
+exports.translateChat = translateChat;
+exports.diagnoseCropImage = diagnoseCropImage;
+exports.invalidateAnswerCache = invalidateAnswerCache;
+exports.rateAnswer = rateAnswer;
+exports.aggregateFeedback = aggregateFeedback;
+exports.getFeedbackStats = getFeedbackStats;
+exports.claimReviewTicket = claimReviewTicket;
+exports.resolveReviewTicket = resolveReviewTicket;
+exports.rollupUsage = rollupUsage;
+exports.getUsageReport = getUsageReport;
 
 // Optional: Export seed function for administrative use
 // Uncomment if you want to trigger seeding via Cloud Function
@@ -0,0 +1,43 @@
+/**
+ * Cloud Function: invalidateAnswerCache
+ * Lets admins clear cached answers, e.g. after a pest advisory or a scheme change
+ */
+
+const functions = require("firebase-functions");
+const { validateRole } = require("./utils/auth");
+const { invalidateAnswerCache } = require("./utils/answerCache");
+
+/**
+ * Deletes cached answers matching the given filters
+ * @param {Object} data - { language?, state?, crop?, season?, task?, all?: boolean }
+ * @param {Object} context - Cloud Function context with auth info (requires the admin role)
+ * @return {Promise<Object>} { deleted: number }
+ */
+exports.invalidateAnswerCache = functions.https.onCall(async (data, context) => {
+  try {
+    // Validate authentication and role
+    await validateRole(context, ["admin"]);
+
+    const deleted = await invalidateAnswerCache(data || {});
+    console.log(`Invalidated ${deleted} cached answers`, data);
+
+    return { deleted };
+  } catch (error) {
+    console.error("Error invalidating answer cache:", error);
+
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message.startsWith("Permission denied")) {
+      throw new functions.https.HttpsError("permission-denied", error.message);
+    }
+    if (error.message.startsWith("Invalid")) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to invalidate answer cache: ${error.message}`,
+    );
+  }
+});
@@ -3,23 +3,22 @@
  * These prompts guide the Gemini AI model to provide accurate, contextual agricultural advice
  */
 
+const clarificationData = require("../data/clarificationFields.json");
+const { getLanguage, getLanguageName } = require("../utils/languages");
+
 /**
- * Builds a comprehensive system prompt for agricultural advice
- * @param {Object} farmProfile - The farmer's farm profile
- * @param {string} language - The preferred language (en, hi, ta, te)
- * @param {string} question - The farmer's question
- * @return {string} The formatted system prompt
+ * Marker separating the streamed plain text answer from its JSON metadata
  */
-function buildAgriculturalPrompt(farmProfile, language, question) {
-  const languageNames = {
-    en: "English",
-    hi: "Hindi",
-    ta: "Tamil",
-    te: "Telugu",
-  };
-
-  const languageName = languageNames[language] || "English";
+const STREAM_METADATA_MARKER = "<<<METADATA>>>";
 
+/**
+ * Formats the farmer's farm profile as prompt context lines
+ * @param {Object} farmProfile - The farmer's farm profile
+ * @param {Object|null} agroContext - Derived season and crop stages from getAgroContext; replaces the
+ *   season set in the profile
+ * @return {string} The formatted farm context
+ */
+function formatFarmContext(farmProfile, agroContext = null) {
   const crops = farmProfile.crops?.join(", ") || "Not specified";
   const village = farmProfile.location?.village || "Not specified";
   const district = farmProfile.location?.district || "Not specified";
@@ -27,7 +26,203 @@ function buildAgriculturalPrompt(farmProfile, language, question) {
   const soilType = farmProfile.soilType || "Not specified";
   const irrigationType = farmProfile.irrigationType || "Not specified";
   const area = farmProfile.area ? `${farmProfile.area.value} ${farmProfile.area.unit}` : "Not specified";
-  const season = farmProfile.season || "Not specified";
+  const season = agroContext ? agroContext.season.name : farmProfile.season || "Not specified";
+
+  return `- Crops: ${crops}
+- Location: ${village}, ${district}, ${state}
+- Soil Type: ${soilType}
+- Irrigation: ${irrigationType}
+- Farm Area: ${area}
+- Current Season: ${season}`;
+}
+
+/**
+ * Formats the derived season and typical crop stages as a prompt section
+ * @param {Object|null} agroContext - Result of getAgroContext, or of sharedAgroContext for cacheable questions
+ * @return {string} The crop calendar section, or an empty string without agro context
+ */
+function formatAgroContext(agroContext) {
+  if (!agroContext) {
+    return "";
+  }
+
+  const { season } = agroContext;
+  const calendarSource = agroContext.stateCalendar ? "the state's season dates" : "national season dates";
+
+  const cropLines = agroContext.crops.map((entry) => {
+    if (!entry.stage) {
+      return `- ${entry.crop}: no typical calendar available`;
+    }
+
+    const window = `${entry.sowingWindow.from} to ${entry.sowingWindow.to}`;
+    switch (entry.stage) {
+      case "land preparation":
+        return `- ${entry.crop} (${entry.season}): land preparation; sowing window ${window}`;
+      case "sowing":
+        return `- ${entry.crop} (${entry.season}): in the sowing window now (${window})`;
+      case "harvested":
+        return `- ${entry.crop} (${entry.season}): usually harvested by now (sown ${window})`;
+      default:
+        return `- ${entry.crop} (${entry.season}): typically at the ${entry.stage} stage` +
+          (entry.daysSinceSowing ? `, about ${entry.daysSinceSowing} days after sowing` : "");
+    }
+  });
+
+  // Shared (cached) answers get the calendar without today's date and day counts; see sharedAgroContext
+  const estimatedFor = agroContext.date ? `estimated for ${agroContext.date}` : "typical for this point of the season";
+  const seasonDay = season.dayOfSeason ? `, day ${season.dayOfSeason}` : "";
+
+  return `\n\nCROP CALENDAR (${estimatedFor} from ${calendarSource}):
+- Current Season: ${season.name}${seasonDay} (${season.startDate} to ${season.endDate})
+${cropLines.join("\n")}
+These are typical timings. If the farmer gives the crop stage, sowing date or season, use that instead.`;
+}
+
+/**
+ * Describes the answer language for the prompt instructions
+ * @param {string} language - Answer language code
+ * @param {Object|null} inputLanguage - Detected question language from detectInputLanguage
+ * @return {string} e.g. "Hindi - the farmer's preferred language"
+ */
+function describeAnswerLanguage(language, inputLanguage) {
+  const languageName = getLanguageName(language);
+  if (!inputLanguage) {
+    return `${languageName} - the farmer's preferred language`;
+  }
+
+  const scriptNote = inputLanguage.romanized ?
+    `, written in ${getLanguage(language).script} script rather than English letters` :
+    "";
+  return `${languageName} - the language the farmer asked in${scriptNote}`;
+}
+
+/**
+ * Formats how the farmer wrote the question as a prompt section
+ * @param {Object|null} inputLanguage - Result of detectInputLanguage
+ * @return {string} The question language section, or an empty string when there is nothing to note
+ */
+function formatInputLanguage(inputLanguage) {
+  if (!inputLanguage) {
+    return "";
+  }
+
+  const languageName = getLanguageName(inputLanguage.language);
+  const lines = [];
+
+  if (inputLanguage.romanized) {
+    lines.push(`- The farmer typed ${languageName} in English letters. Approximate ` +
+      `${getLanguage(inputLanguage.language).script} reading: ${inputLanguage.transliteration}`);
+  }
+  if (inputLanguage.codeMixed) {
+    lines.push(`- The question mixes ${languageName} with words from another language or script. Keep crop, ` +
+      "product and chemical names recognizable, adding the English name in brackets where it helps.");
+  }
+  if (inputLanguage.language !== inputLanguage.settingLanguage) {
+    lines.push(`- The farmer's app is set to ${getLanguageName(inputLanguage.settingLanguage)}, but the question ` +
+      `is in ${languageName}.`);
+  }
+
+  return lines.length > 0 ? `\n\nQUESTION LANGUAGE:\n${lines.join("\n")}` : "";
+}
+
+/**
+ * Formats a scheme document as a prompt line
+ * @param {Object} scheme - Scheme data with its document ID
+ * @return {string} The formatted scheme entry
+ */
+function formatScheme(scheme) {
+  return `- [id: ${scheme.id}] ${scheme.name}: ${scheme.description}
+  Eligibility: ${scheme.eligibility_criteria || "Not specified"}
+  Benefits: ${scheme.benefits || "Not specified"}
+  Apply at: ${scheme.applicationUrl || "Not specified"}`;
+}
+
+/**
+ * Builds a comprehensive system prompt for agricultural advice
+ * @param {Object} farmProfile - The farmer's farm profile
+ * @param {string} language - The preferred language (en, hi, ta, te)
+ * @param {string} question - The farmer's question
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.hasHistory - Whether earlier turns of the conversation precede this prompt
+ * @param {boolean} options.streaming - Ask for a plain text answer followed by a metadata block
+ * @param {Array<Object>} options.schemes - Verified schemes to ground scheme answers in (with document IDs)
+ * @param {string} options.answerStyle - "paragraphs" (default) or "steps" for numbered action steps first
+ * @param {Array<Object>} options.clarifications - Details the farmer supplied after being asked, each { label, value }
+ * @param {boolean} options.allowClarification - Let the model ask for missing facts instead of guessing
+ * @param {Object} options.agroContext - Derived season and typical crop stages from getAgroContext
+ * @param {Object} options.inputLanguage - Detected question language from detectInputLanguage; language is then
+ *   the language the farmer asked in rather than the language setting
+ * @return {string} The formatted system prompt
+ */
+function buildAgriculturalPrompt(farmProfile, language, question, options = {}) {
+  const languageName = getLanguageName(language);
+  const state = farmProfile.location?.state || "Not specified";
+  const historyInstruction = options.hasHistory ?
+    `\n10. This question continues the conversation above. Use the earlier questions and answers to resolve
+references like "my second field", "that pest" or "the dose", and do not repeat advice already given.` :
+    "";
+
+  const farmContext = formatFarmContext(farmProfile, options.agroContext) + formatAgroContext(options.agroContext);
+
+  const schemes = options.schemes || [];
+  const schemeContext = schemes.length > 0 ?
+    `\n\nVERIFIED GOVERNMENT SCHEMES (from the KisanMitra schemes database):\n${schemes.map(formatScheme).join("\n")}` :
+    "";
+  const schemeInstruction = schemes.length > 0 ?
+    `8. For government schemes, use ONLY the VERIFIED GOVERNMENT SCHEMES above for amounts, eligibility and
+application links; never invent figures or URLs. List every scheme you mention in "citations" by its id.
+If none of the listed schemes fit, say so and suggest the nearest agriculture office.` :
+    "8. If the question is about government schemes, mention eligibility and application process.";
+  const clarifications = options.clarifications || [];
+  const clarificationContext = clarifications.length > 0 ?
+    `\n\nADDITIONAL DETAILS FROM THE FARMER (answers to your earlier clarifying questions):
+${clarifications.map((detail) => `- ${detail.label}: ${detail.value}`).join("\n")}
+Use these details in your answer and do not ask for them again.` :
+    "";
+  const inputLanguageContext = formatInputLanguage(options.inputLanguage);
+
+  const lengthInstruction = options.answerStyle === "steps" ?
+    `4. Start with 3-5 numbered action steps the farmer can follow today, then explain briefly why
+(at most 2 short paragraphs).` :
+    "4. Keep answers concise but comprehensive (2-4 paragraphs maximum).";
+
+  const citationsField = schemes.length > 0 ?
+    `,\n  "citations": [{ "schemeId": "id of each listed scheme you mention" }]` :
+    "";
+
+  const clarificationInstruction = options.allowClarification ?
+    `\n\nMISSING INFORMATION:
+If the question cannot be answered reliably because essential facts are missing from both the farmer's context
+and the question (for example the crop stage for a fertilizer dose, or where symptoms appear for a disease),
+do not guess. Write a one-line answer saying what you need, set confidence to "Low" and list up to 3 missing
+facts in "clarification", using only these field ids: ${Object.keys(clarificationData.fields).join(", ")}.
+Write each "question" in ${languageName}. Leave "clarification" out whenever you can give useful advice.` :
+    "";
+  const clarificationField = options.allowClarification ?
+    `,\n  "clarification": { "missingFacts": [{ "field": "field id", "question": "Question for the farmer" }] }` :
+    "";
+
+  const responseFormat = options.streaming ?
+    `RESPONSE FORMAT (plain text answer first, then metadata):
+Write your detailed answer in ${languageName} as plain text. Then, on a new line, write exactly
+${STREAM_METADATA_MARKER}
+followed by a JSON object:
+{
+  "confidence": "High" | "Medium" | "Low",
+  "sources": ["Source 1", "Source 2", "Source 3"],
+  "suggestions": ["Follow-up suggestion 1", "Follow-up suggestion 2"]${citationsField}${clarificationField}
+}` :
+    `RESPONSE FORMAT (respond in valid JSON):
+{
+  "answer": "Your detailed answer here in ${languageName}",
+  "confidence": "High" | "Medium" | "Low",
+  "sources": ["Source 1", "Source 2", "Source 3"],
+  "suggestions": ["Follow-up suggestion 1", "Follow-up suggestion 2"]${citationsField}${clarificationField}
+}`;
+
+  const responseReminder = options.streaming ?
+    `Remember: Do not wrap the answer in JSON. Only the metadata after ${STREAM_METADATA_MARKER} is JSON.` :
+    "Remember: Respond ONLY with valid JSON. No additional text before or after the JSON object.";
 
   return `You are KisanMitra AI, an expert agricultural advisor for Indian farmers with deep knowledge of:
 - Indian agriculture practices and regional variations
@@ -39,31 +234,20 @@ function buildAgriculturalPrompt(farmProfile, language, question) {
 - Organic farming and sustainable practices
 
 FARMER'S CONTEXT:
-- Crops: ${crops}
-- Location: ${village}, ${district}, ${state}
-- Soil Type: ${soilType}
-- Irrigation: ${irrigationType}
-- Farm Area: ${area}
-- Current Season: ${season}
+${farmContext}${schemeContext}${clarificationContext}${inputLanguageContext}
 
 INSTRUCTIONS:
 1. Answer the farmer's question accurately and practically, considering their specific farm context.
 2. Provide actionable advice that the farmer can implement immediately.
-3. Answer in ${languageName} - the farmer's preferred language.
-4. Keep answers concise but comprehensive (2-4 paragraphs maximum).
-5. Include specific product names, dosages, or techniques when relevant (with local market names).
+3. Answer in ${describeAnswerLanguage(language, options.inputLanguage)}.
+${lengthInstruction}
+5. Include specific product names, dosages, or techniques when relevant (with local market names). Never recommend pesticides banned in India, and keep doses within the label claim for the crop.
 6. Mention if the farmer should consult a local agricultural officer, Krishi Vigyan Kendra (KVK), or veterinarian for serious issues.
 7. Consider regional practices common to ${state}.
-8. If the question is about government schemes, mention eligibility and application process.
-9. Always prioritize safe, sustainable, and cost-effective solutions.
+${schemeInstruction}
+9. Always prioritize safe, sustainable, and cost-effective solutions.${historyInstruction}${clarificationInstruction}
 
-RESPONSE FORMAT (respond in valid JSON):
-{
-  "answer": "Your detailed answer here in ${languageName}",
-  "confidence": "High" | "Medium" | "Low",
-  "sources": ["Source 1", "Source 2", "Source 3"],
-  "suggestions": ["Follow-up suggestion 1", "Follow-up suggestion 2"]
-}
+${responseFormat}
 
 Guidelines for confidence level:
 - High: You're certain about the advice based on established agricultural science
@@ -72,9 +256,140 @@ Guidelines for confidence level:
 
 FARMER'S QUESTION: ${question}
 
+${responseReminder}`;
+}
+
+/**
+ * Builds the prompt for diagnosing crop problems from photos
+ * The photos are sent alongside this prompt as image parts
+ * @param {Object} farmProfile - The farmer's farm profile
+ * @param {string} language - The preferred language (en, hi, ta, te)
+ * @param {string} description - The farmer's description of the problem (may be empty)
+ * @param {number} imageCount - Number of photos attached
+ * @param {Object} options - Prompt options
+ * @param {Object} options.agroContext - Derived season and typical crop stages from getAgroContext
+ * @param {Object} options.inputLanguage - Detected language of the description from detectInputLanguage
+ * @return {string} The formatted diagnosis prompt
+ */
+function buildDiagnosisPrompt(farmProfile, language, description, imageCount, options = {}) {
+  const languageName = getLanguageName(language);
+
+  return `You are KisanMitra AI, an expert plant pathologist and entomologist advising Indian farmers.
+The farmer has shared ${imageCount} photo(s) of a crop leaf, plant or field.
+
+FARMER'S CONTEXT:
+${formatFarmContext(farmProfile, options.agroContext)}${formatAgroContext(options.agroContext)}
+
+FARMER'S DESCRIPTION: ${description || "Not provided"}${formatInputLanguage(options.inputLanguage)}
+
+INSTRUCTIONS:
+1. Examine the photos and identify the most likely disease, pest, nutrient deficiency or abiotic stress.
+2. If the photos are unclear, show no plant, or the crop looks healthy, say so instead of guessing.
+3. Rate severity from what is visible: "none", "low", "moderate" or "high".
+4. Give practical treatment: immediate steps, chemical options with dose per litre or acre,
+organic options, and prevention for the next crop.
+5. Set "contactKVK" to true when severity is high, the diagnosis is uncertain, or the problem can spread
+to neighbouring fields; the farmer should then visit the nearest Krishi Vigyan Kendra (KVK).
+6. Write "answer" and all treatment text in ${describeAnswerLanguage(language, options.inputLanguage)}.
+
+RESPONSE FORMAT (respond in valid JSON):
+{
+  "answer": "Short summary of the diagnosis and what to do, in ${languageName}",
+  "diagnosis": {
+    "name": "Likely disease or pest name (common and scientific name)",
+    "type": "disease" | "pest" | "nutrient_deficiency" | "abiotic" | "healthy" | "unknown",
+    "severity": "none" | "low" | "moderate" | "high",
+    "affectedPart": "leaf" | "stem" | "root" | "fruit" | "whole_plant" | "unknown"
+  },
+  "confidence": "High" | "Medium" | "Low",
+  "treatment": {
+    "immediate": ["Step 1", "Step 2"],
+    "chemical": ["Product and dose"],
+    "organic": ["Organic option"],
+    "prevention": ["Prevention tip"]
+  },
+  "contactKVK": true | false,
+  "sources": ["Source 1", "Source 2"],
+  "suggestions": ["Follow-up question 1", "Follow-up question 2"]
+}
+
 Remember: Respond ONLY with valid JSON. No additional text before or after the JSON object.`;
 }
 
+/**
+ * Builds a prompt that condenses earlier conversation turns into a short summary
+ * @param {string} previousSummary - Summary of turns already condensed (may be empty)
+ * @param {Array<Object>} turns - Turns to fold into the summary, each { question, answer }
+ * @return {string} The formatted summary prompt
+ */
+function buildConversationSummaryPrompt(previousSummary, turns) {
+  const transcript = turns
+      .map((turn) => `Farmer: ${turn.question}\nKisanMitra AI: ${turn.answer}`)
+      .join("\n\n");
+
+  return `You are summarizing a conversation between a farmer and KisanMitra AI, an agricultural advisor.
+
+${previousSummary ? `SUMMARY SO FAR:\n${previousSummary}\n\n` : ""}NEW CONVERSATION TURNS:
+${transcript}
+
+Write an updated summary in English of at most 150 words. Keep every fact the advisor may need later:
+fields and crops discussed, symptoms, products and doses recommended, dates and decisions taken.
+Respond with the summary text only.`;
+}
+
+/**
+ * Builds a prompt that translates a stored question and answer into another language
+ * @param {Object} chat - { question, answer, suggestions } as stored on the chat document
+ * @param {string} sourceLanguage - Language code the chat was answered in
+ * @param {string} targetLanguage - Language code to translate into
+ * @return {string} The formatted translation prompt
+ */
+function buildTranslationPrompt(chat, sourceLanguage, targetLanguage) {
+  const source = {
+    question: chat.question,
+    answer: chat.answer,
+    suggestions: chat.suggestions || [],
+  };
+
+  return `You are translating advice from KisanMitra AI, an agricultural advisor, for a farmer's family.
+
+Translate the JSON below from ${getLanguageName(sourceLanguage)} into ${getLanguageName(targetLanguage)}.
+
+SOURCE:
+${JSON.stringify(source, null, 2)}
+
+INSTRUCTIONS:
+1. Translate every field faithfully. Do not add, remove or change any advice.
+2. Keep numbers, doses, units, dates and product or chemical names exactly as given; add the local name in brackets only where it helps a farmer recognize it.
+3. Use simple words a farmer uses every day, written in the usual script of ${getLanguageName(targetLanguage)}.
+4. Keep the same number of suggestions, in the same order.
+
+RESPONSE FORMAT:
+Return a single JSON object with the fields "question", "answer" and "suggestions", matching the source.
+Respond ONLY with valid JSON. No additional text before or after the JSON object.`;
+}
+
+/**
+ * Builds a follow-up prompt asking the model to fix a response that failed schema validation
+ * Sent as the next user turn after the model's invalid response
+ * @param {Array<string>} errors - Validation errors found in the previous response
+ * @param {Object} schema - The JSON schema the response must match
+ * @return {string} The formatted repair prompt
+ */
+function buildRepairPrompt(errors, schema) {
+  return `Your previous response could not be used because it does not match the required format.
+
+PROBLEMS:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+REQUIRED JSON SCHEMA:
+${JSON.stringify(schema, null, 2)}
+
+Return the corrected response as a single valid JSON object that matches the schema.
+Keep the content and language of your answer; only fix the format.
+No additional text before or after the JSON object.`;
+}
+
 /**
  * Language-specific response templates for common scenarios
  */
@@ -84,16 +399,126 @@ const responseTemplates = {
     hi: "सटीक सलाह देने के लिए, मुझे आपकी विशिष्ट स्थिति के बारे में अधिक जानकारी चाहिए। कृपया इसके बारे में विवरण प्रदान करें: ",
     ta: "துல்லியமான ஆலோசனை வழங்க, உங்கள் குறிப்பிட்ட சூழ்நிலை பற்றிய கூடுதல் தகவல் தேவை. தயவுசெய்து விவரங்களை வழங்கவும்: ",
     te: "ఖచ్చితమైన సలహా అందించడానికి, మీ నిర్దిష్ట పరిస్థితి గురించి మరింత సమాచారం అవసరం. దయచేసి వివరాలను అందించండి: ",
+    kn: "ನಿಖರವಾದ ಸಲಹೆ ನೀಡಲು, ನಿಮ್ಮ ನಿರ್ದಿಷ್ಟ ಪರಿಸ್ಥಿತಿಯ ಬಗ್ಗೆ ಹೆಚ್ಚಿನ ಮಾಹಿತಿ ಬೇಕು. ದಯವಿಟ್ಟು ಇವುಗಳ ಬಗ್ಗೆ ವಿವರಗಳನ್ನು ನೀಡಿ: ",
+    mr: "अचूक सल्ला देण्यासाठी, मला तुमच्या विशिष्ट परिस्थितीबद्दल अधिक माहिती हवी आहे. कृपया याबद्दल तपशील द्या: ",
+    bn: "সঠিক পরামর্শ দিতে, আপনার নির্দিষ্ট পরিস্থিতি সম্পর্কে আরও তথ্য প্রয়োজন। অনুগ্রহ করে এই বিষয়ে বিস্তারিত জানান: ",
+    gu: "ચોક્કસ સલાહ આપવા માટે, મને તમારી પરિસ્થિતિ વિશે વધુ માહિતી જોઈએ છે. કૃપા કરીને આ વિશે વિગતો આપો: ",
+    pa: "ਸਹੀ ਸਲਾਹ ਦੇਣ ਲਈ, ਮੈਨੂੰ ਤੁਹਾਡੀ ਖਾਸ ਸਥਿਤੀ ਬਾਰੇ ਹੋਰ ਜਾਣਕਾਰੀ ਚਾਹੀਦੀ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਇਸ ਬਾਰੇ ਵੇਰਵੇ ਦਿਓ: ",
+    or: "ସଠିକ୍ ପରାମର୍ଶ ଦେବା ପାଇଁ, ମୋତେ ଆପଣଙ୍କ ନିର୍ଦ୍ଦିଷ୍ଟ ପରିସ୍ଥିତି ବିଷୟରେ ଅଧିକ ସୂଚନା ଦରକାର। ଦୟାକରି ଏ ବିଷୟରେ ବିବରଣୀ ଦିଅନ୍ତୁ: ",
+    ml: "കൃത്യമായ ഉപദേശം നൽകാൻ, നിങ്ങളുടെ പ്രത്യേക സാഹചര്യത്തെക്കുറിച്ച് കൂടുതൽ വിവരങ്ങൾ ആവശ്യമാണ്. ദയവായി ഇവയെക്കുറിച്ചുള്ള വിശദാംശങ്ങൾ നൽകുക: ",
   },
   emergencyConsult: {
     en: "This appears to be a serious issue. Please consult your nearest Krishi Vigyan Kendra (KVK) or agricultural officer immediately.",
     hi: "यह एक गंभीर समस्या प्रतीत होती है। कृपया तुरंत अपने निकटतम कृषि विज्ञान केंद्र (KVK) या कृषि अधिकारी से परामर्श करें।",
     ta: "இது தீவிரமான பிரச்சினையாகத் தெரிகிறது. உடனடியாக உங்கள் அருகிலுள்ள கிருஷி விஞ்ஞான கேந்திரா (KVK) அல்லது வேளாண்மை அதிகாரியை அணுகவும்.",
     te: "ఇది తీవ్రమైన సమస్యగా కనిపిస్తోంది. దయచేసి వెంటనే మీ సమీప కృషి విజ్ఞాన కేంద్ర (KVK) లేదా వ్యవసాయ అధికారిని సంప్రదించండి.",
+    kn: "ಇದು ಗಂಭೀರ ಸಮಸ್ಯೆಯಂತೆ ಕಾಣುತ್ತದೆ. ದಯವಿಟ್ಟು ತಕ್ಷಣ ನಿಮ್ಮ ಹತ್ತಿರದ ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರ (KVK) ಅಥವಾ ಕೃಷಿ ಅಧಿಕಾರಿಯನ್ನು ಸಂಪರ್ಕಿಸಿ.",
+    mr: "ही गंभीर समस्या असल्याचे दिसते. कृपया त्वरित तुमच्या जवळच्या कृषी विज्ञान केंद्र (KVK) किंवा कृषी अधिकाऱ्यांचा सल्ला घ्या.",
+    bn: "এটি একটি গুরুতর সমস্যা বলে মনে হচ্ছে। অনুগ্রহ করে অবিলম্বে আপনার নিকটতম কৃষি বিজ্ঞান কেন্দ্র (KVK) বা কৃষি আধিকারিকের সাথে যোগাযোগ করুন।",
+    gu: "આ ગંભીર સમસ્યા જણાય છે. કૃપા કરીને તરત જ તમારા નજીકના કૃષિ વિજ્ઞાન કેન્દ્ર (KVK) અથવા કૃષિ અધિકારીની સલાહ લો.",
+    pa: "ਇਹ ਇੱਕ ਗੰਭੀਰ ਸਮੱਸਿਆ ਜਾਪਦੀ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਤੁਰੰਤ ਆਪਣੇ ਨੇੜਲੇ ਕ੍ਰਿਸ਼ੀ ਵਿਗਿਆਨ ਕੇਂਦਰ (KVK) ਜਾਂ ਖੇਤੀਬਾੜੀ ਅਧਿਕਾਰੀ ਨਾਲ ਸਲਾਹ ਕਰੋ।",
+    or: "ଏହା ଏକ ଗମ୍ଭୀର ସମସ୍ୟା ପରି ଜଣାପଡୁଛି। ଦୟାକରି ତୁରନ୍ତ ଆପଣଙ୍କ ନିକଟତମ କୃଷି ବିଜ୍ଞାନ କେନ୍ଦ୍ର (KVK) କିମ୍ବା କୃଷି ଅଧିକାରୀଙ୍କ ସହ ପରାମର୍ଶ କରନ୍ତୁ।",
+    ml: "ഇതൊരു ഗുരുതരമായ പ്രശ്നമാണെന്ന് തോന്നുന്നു. ദയവായി ഉടൻ നിങ്ങളുടെ അടുത്തുള്ള കൃഷി വിജ്ഞാൻ കേന്ദ്രത്തെയോ (KVK) കൃഷി ഓഫീസറെയോ സമീപിക്കുക.",
+  },
+  pesticidePPE: {
+    en: "Wear gloves, a mask, goggles and full-sleeve clothing while mixing and spraying. Do not eat, drink or smoke during spraying, and wash hands and clothes afterwards.",
+    hi: "घोल बनाते और छिड़काव करते समय दस्ताने, मास्क, चश्मा और पूरी बाजू के कपड़े पहनें। छिड़काव के दौरान खाना, पीना या धूम्रपान न करें और बाद में हाथ व कपड़े धो लें।",
+    ta: "கலக்கும்போதும் தெளிக்கும்போதும் கையுறை, முகக்கவசம், கண்ணாடி மற்றும் முழுக்கை ஆடை அணியுங்கள். தெளிக்கும்போது சாப்பிடவோ, குடிக்கவோ, புகைக்கவோ கூடாது; பின்னர் கைகளையும் ஆடைகளையும் கழுவுங்கள்.",
+    te: "కలిపేటప్పుడు మరియు పిచికారీ చేసేటప్పుడు చేతి తొడుగులు, మాస్క్, కళ్లద్దాలు మరియు పూర్తి చేతుల దుస్తులు ధరించండి. పిచికారీ సమయంలో తినడం, తాగడం లేదా పొగ త్రాగడం చేయవద్దు; తర్వాత చేతులు మరియు దుస్తులు కడగండి.",
+    kn: "ಮಿಶ್ರಣ ಮಾಡುವಾಗ ಮತ್ತು ಸಿಂಪಡಿಸುವಾಗ ಕೈಗವಸು, ಮಾಸ್ಕ್, ಕನ್ನಡಕ ಮತ್ತು ಪೂರ್ಣ ತೋಳಿನ ಬಟ್ಟೆ ಧರಿಸಿ. ಸಿಂಪಡಣೆಯ ಸಮಯದಲ್ಲಿ ತಿನ್ನಬೇಡಿ, ಕುಡಿಯಬೇಡಿ ಅಥವಾ ಧೂಮಪಾನ ಮಾಡಬೇಡಿ; ನಂತರ ಕೈ ಮತ್ತು ಬಟ್ಟೆಗಳನ್ನು ತೊಳೆಯಿರಿ.",
+    mr: "द्रावण तयार करताना आणि फवारणी करताना हातमोजे, मास्क, गॉगल आणि पूर्ण बाह्यांचे कपडे घाला. फवारणीदरम्यान खाणे, पिणे किंवा धूम्रपान करू नका आणि नंतर हात व कपडे धुवा.",
+    bn: "মেশানো ও স্প্রে করার সময় দস্তানা, মাস্ক, চশমা এবং ফুলহাতা পোশাক পরুন। স্প্রে করার সময় খাবেন না, পান করবেন না বা ধূমপান করবেন না, এবং পরে হাত ও কাপড় ধুয়ে নিন।",
+    gu: "દ્રાવણ બનાવતી વખતે અને છંટકાવ કરતી વખતે હાથમોજાં, માસ્ક, ચશ્મા અને આખી બાંયના કપડાં પહેરો. છંટકાવ દરમિયાન ખાવું, પીવું કે ધૂમ્રપાન કરવું નહીં, અને પછી હાથ અને કપડાં ધોઈ લો.",
+    pa: "ਘੋਲ ਬਣਾਉਂਦੇ ਅਤੇ ਛਿੜਕਾਅ ਕਰਦੇ ਸਮੇਂ ਦਸਤਾਨੇ, ਮਾਸਕ, ਐਨਕਾਂ ਅਤੇ ਪੂਰੀਆਂ ਬਾਹਾਂ ਵਾਲੇ ਕੱਪੜੇ ਪਾਓ। ਛਿੜਕਾਅ ਦੌਰਾਨ ਨਾ ਕੁਝ ਖਾਓ, ਨਾ ਪੀਓ ਅਤੇ ਨਾ ਹੀ ਤਮਾਕੂਨੋਸ਼ੀ ਕਰੋ, ਅਤੇ ਬਾਅਦ ਵਿੱਚ ਹੱਥ ਅਤੇ ਕੱਪੜੇ ਧੋਵੋ।",
+    or: "ମିଶାଇବା ଓ ସ୍ପ୍ରେ କରିବା ସମୟରେ ଗ୍ଲୋଭସ୍, ମାସ୍କ, ଚଷମା ଓ ପୂରା ହାତ ପୋଷାକ ପିନ୍ଧନ୍ତୁ। ସ୍ପ୍ରେ କରିବା ସମୟରେ ଖାଆନ୍ତୁ ନାହିଁ, ପିଅନ୍ତୁ ନାହିଁ କିମ୍ବା ଧୂମପାନ କରନ୍ତୁ ନାହିଁ, ଏବଂ ପରେ ହାତ ଓ ପୋଷାକ ଧୋଇଦିଅନ୍ତୁ।",
+    ml: "കലർത്തുമ്പോഴും തളിക്കുമ്പോഴും കയ്യുറ, മാസ്ക്, കണ്ണട, മുഴുക്കൈ വസ്ത്രം എന്നിവ ധരിക്കുക. തളിക്കുന്ന സമയത്ത് ഭക്ഷണം കഴിക്കുകയോ വെള്ളം കുടിക്കുകയോ പുകവലിക്കുകയോ ചെയ്യരുത്; ശേഷം കൈകളും വസ്ത്രങ്ങളും കഴുകുക.",
+  },
+  preHarvestInterval: {
+    en: "Pre-harvest interval for {chemical}: do not harvest for at least {days} days after the last spray.",
+    hi: "{chemical} के लिए कटाई पूर्व अंतराल: अंतिम छिड़काव के बाद कम से कम {days} दिन तक कटाई न करें।",
+    ta: "{chemical} அறுவடைக்கு முந்தைய இடைவெளி: கடைசி தெளிப்புக்குப் பிறகு குறைந்தது {days} நாட்களுக்கு அறுவடை செய்யக்கூடாது.",
+    te: "{chemical} కోత ముందు విరామం: చివరి పిచికారీ తర్వాత కనీసం {days} రోజుల వరకు కోత కోయవద్దు.",
+    kn: "{chemical} ಕೊಯ್ಲಿನ ಮುಂಚಿನ ಅಂತರ: ಕೊನೆಯ ಸಿಂಪಡಣೆಯ ನಂತರ ಕನಿಷ್ಠ {days} ದಿನಗಳವರೆಗೆ ಕೊಯ್ಲು ಮಾಡಬೇಡಿ.",
+    mr: "{chemical} साठी काढणीपूर्व कालावधी: शेवटच्या फवारणीनंतर किमान {days} दिवस काढणी करू नका.",
+    bn: "{chemical}-এর ফসল তোলার আগের ব্যবধান: শেষ স্প্রের পর অন্তত {days} দিন ফসল তুলবেন না।",
+    gu: "{chemical} માટે લણણી પહેલાંનો સમયગાળો: છેલ્લા છંટકાવ પછી ઓછામાં ઓછા {days} દિવસ સુધી લણણી કરશો નહીં.",
+    pa: "{chemical} ਲਈ ਵਾਢੀ ਤੋਂ ਪਹਿਲਾਂ ਦਾ ਅੰਤਰਾਲ: ਆਖਰੀ ਛਿੜਕਾਅ ਤੋਂ ਬਾਅਦ ਘੱਟੋ-ਘੱਟ {days} ਦਿਨਾਂ ਤੱਕ ਵਾਢੀ ਨਾ ਕਰੋ।",
+    or: "{chemical} ପାଇଁ ଅମଳ ପୂର୍ବ ବ୍ୟବଧାନ: ଶେଷ ସ୍ପ୍ରେ ପରେ ଅତି କମରେ {days} ଦିନ ପର୍ଯ୍ୟନ୍ତ ଅମଳ କରନ୍ତୁ ନାହିଁ।",
+    ml: "{chemical} വിളവെടുപ്പിന് മുമ്പുള്ള ഇടവേള: അവസാനമായി തളിച്ചതിന് ശേഷം കുറഞ്ഞത് {days} ദിവസത്തേക്ക് വിളവെടുക്കരുത്.",
+  },
+  bannedPesticide: {
+    en: "{chemical} is banned in India and must not be used. Ask your nearest Krishi Vigyan Kendra (KVK) for a safe, approved alternative.",
+    hi: "{chemical} भारत में प्रतिबंधित है और इसका उपयोग नहीं करना चाहिए। सुरक्षित, अनुमोदित विकल्प के लिए अपने निकटतम कृषि विज्ञान केंद्र (KVK) से पूछें।",
+    ta: "{chemical} இந்தியாவில் தடை செய்யப்பட்டுள்ளது, இதைப் பயன்படுத்தக்கூடாது. பாதுகாப்பான, அங்கீகரிக்கப்பட்ட மாற்றுக்கு உங்கள் அருகிலுள்ள கிருஷி விஞ்ஞான கேந்திராவை (KVK) அணுகவும்.",
+    te: "{chemical} భారతదేశంలో నిషేధించబడింది, దీనిని ఉపయోగించకూడదు. సురక్షితమైన, ఆమోదించబడిన ప్రత్యామ్నాయం కోసం మీ సమీప కృషి విజ్ఞాన కేంద్రాన్ని (KVK) సంప్రదించండి.",
+    kn: "{chemical} ಭಾರತದಲ್ಲಿ ನಿಷೇಧಿಸಲಾಗಿದೆ ಮತ್ತು ಇದನ್ನು ಬಳಸಬಾರದು. ಸುರಕ್ಷಿತ, ಅನುಮೋದಿತ ಪರ್ಯಾಯಕ್ಕಾಗಿ ನಿಮ್ಮ ಹತ್ತಿರದ ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರವನ್ನು (KVK) ಕೇಳಿ.",
+    mr: "{chemical} भारतात प्रतिबंधित आहे आणि त्याचा वापर करू नये. सुरक्षित, मान्यताप्राप्त पर्यायासाठी तुमच्या जवळच्या कृषी विज्ञान केंद्राला (KVK) विचारा.",
+    bn: "{chemical} ভারতে নিষিদ্ধ এবং এটি ব্যবহার করা উচিত নয়। নিরাপদ, অনুমোদিত বিকল্পের জন্য আপনার নিকটতম কৃষি বিজ্ঞান কেন্দ্রে (KVK) জিজ্ঞাসা করুন।",
+    gu: "{chemical} ભારતમાં પ્રતિબંધિત છે અને તેનો ઉપયોગ કરવો નહીં. સુરક્ષિત, માન્ય વિકલ્પ માટે તમારા નજીકના કૃષિ વિજ્ઞાન કેન્દ્ર (KVK) ને પૂછો.",
+    pa: "{chemical} ਭਾਰਤ ਵਿੱਚ ਪਾਬੰਦੀਸ਼ੁਦਾ ਹੈ ਅਤੇ ਇਸਦੀ ਵਰਤੋਂ ਨਹੀਂ ਕਰਨੀ ਚਾਹੀਦੀ। ਸੁਰੱਖਿਅਤ, ਪ੍ਰਵਾਨਿਤ ਬਦਲ ਲਈ ਆਪਣੇ ਨੇੜਲੇ ਕ੍ਰਿਸ਼ੀ ਵਿਗਿਆਨ ਕੇਂਦਰ (KVK) ਤੋਂ ਪੁੱਛੋ।",
+    or: "{chemical} ଭାରତରେ ନିଷିଦ୍ଧ ଏବଂ ଏହାକୁ ବ୍ୟବହାର କରିବା ଉଚିତ ନୁହେଁ। ସୁରକ୍ଷିତ, ଅନୁମୋଦିତ ବିକଳ୍ପ ପାଇଁ ଆପଣଙ୍କ ନିକଟତମ କୃଷି ବିଜ୍ଞାନ କେନ୍ଦ୍ର (KVK) କୁ ପଚାରନ୍ତୁ।",
+    ml: "{chemical} ഇന്ത്യയിൽ നിരോധിച്ചതാണ്, ഇത് ഉപയോഗിക്കരുത്. സുരക്ഷിതവും അംഗീകൃതവുമായ ഒരു ബദലിനായി നിങ്ങളുടെ അടുത്തുള്ള കൃഷി വിജ്ഞാൻ കേന്ദ്രത്തോട് (KVK) ചോദിക്കുക.",
+  },
+  restrictedPesticide: {
+    en: "{chemical} is restricted in India and is not permitted for this use. Ask your nearest Krishi Vigyan Kendra (KVK) for an approved alternative.",
+    hi: "{chemical} भारत में प्रतिबंधित उपयोग वाला रसायन है और इस उपयोग की अनुमति नहीं है। अनुमोदित विकल्प के लिए अपने निकटतम कृषि विज्ञान केंद्र (KVK) से पूछें।",
+    ta: "{chemical} இந்தியாவில் கட்டுப்படுத்தப்பட்ட பயன்பாட்டுக்குரியது, இந்தப் பயன்பாட்டிற்கு அனுமதி இல்லை. அங்கீகரிக்கப்பட்ட மாற்றுக்கு உங்கள் அருகிலுள்ள கிருஷி விஞ்ஞான கேந்திராவை (KVK) அணுகவும்.",
+    te: "{chemical} భారతదేశంలో పరిమిత వినియోగ రసాయనం, ఈ వినియోగానికి అనుమతి లేదు. ఆమోదించబడిన ప్రత్యామ్నాయం కోసం మీ సమీప కృషి విజ్ఞాన కేంద్రాన్ని (KVK) సంప్రదించండి.",
+    kn: "{chemical} ಭಾರತದಲ್ಲಿ ನಿರ್ಬಂಧಿತ ಬಳಕೆಯ ರಾಸಾಯನಿಕವಾಗಿದ್ದು, ಈ ಬಳಕೆಗೆ ಅನುಮತಿ ಇಲ್ಲ. ಅನುಮೋದಿತ ಪರ್ಯಾಯಕ್ಕಾಗಿ ನಿಮ್ಮ ಹತ್ತಿರದ ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರವನ್ನು (KVK) ಕೇಳಿ.",
+    mr: "{chemical} भारतात निर्बंधित वापराचे रसायन आहे आणि या वापरासाठी परवानगी नाही. मान्यताप्राप्त पर्यायासाठी तुमच्या जवळच्या कृषी विज्ञान केंद्राला (KVK) विचारा.",
+    bn: "{chemical} ভারতে সীমিত ব্যবহারের রাসায়নিক এবং এই ব্যবহারের অনুমতি নেই। অনুমোদিত বিকল্পের জন্য আপনার নিকটতম কৃষি বিজ্ঞান কেন্দ্রে (KVK) জিজ্ঞাসা করুন।",
+    gu: "{chemical} ભારતમાં મર્યાદિત ઉપયોગનું રસાયણ છે અને આ ઉપયોગ માટે મંજૂરી નથી. માન્ય વિકલ્પ માટે તમારા નજીકના કૃષિ વિજ્ઞાન કેન્દ્ર (KVK) ને પૂછો.",
+    pa: "{chemical} ਭਾਰਤ ਵਿੱਚ ਸੀਮਤ ਵਰਤੋਂ ਵਾਲਾ ਰਸਾਇਣ ਹੈ ਅਤੇ ਇਸ ਵਰਤੋਂ ਦੀ ਇਜਾਜ਼ਤ ਨਹੀਂ ਹੈ। ਪ੍ਰਵਾਨਿਤ ਬਦਲ ਲਈ ਆਪਣੇ ਨੇੜਲੇ ਕ੍ਰਿਸ਼ੀ ਵਿਗਿਆਨ ਕੇਂਦਰ (KVK) ਤੋਂ ਪੁੱਛੋ।",
+    or: "{chemical} ଭାରତରେ ସୀମିତ ବ୍ୟବହାର ରାସାୟନିକ ଏବଂ ଏହି ବ୍ୟବହାର ପାଇଁ ଅନୁମତି ନାହିଁ। ଅନୁମୋଦିତ ବିକଳ୍ପ ପାଇଁ ଆପଣଙ୍କ ନିକଟତମ କୃଷି ବିଜ୍ଞାନ କେନ୍ଦ୍ର (KVK) କୁ ପଚାରନ୍ତୁ।",
+    ml: "{chemical} ഇന്ത്യയിൽ നിയന്ത്രിത ഉപയോഗമുള്ള രാസവസ്തുവാണ്, ഈ ഉപയോഗത്തിന് അനുമതിയില്ല. അംഗീകൃത ബദലിനായി നിങ്ങളുടെ അടുത്തുള്ള കൃഷി വിജ്ഞാൻ കേന്ദ്രത്തോട് (KVK) ചോദിക്കുക.",
+  },
+  notLabelApproved: {
+    en: "{chemical} is not label-approved for {crop}. Confirm with your KVK or agriculture officer before using it.",
+    hi: "{chemical} {crop} के लिए लेबल-अनुमोदित नहीं है। उपयोग से पहले अपने KVK या कृषि अधिकारी से पुष्टि करें।",
+    ta: "{chemical} {crop} பயிருக்கு லேபிள் அனுமதி பெறவில்லை. பயன்படுத்தும் முன் உங்கள் KVK அல்லது வேளாண்மை அதிகாரியிடம் உறுதிப்படுத்துங்கள்.",
+    te: "{chemical} {crop} పంటకు లేబుల్ ఆమోదం లేదు. ఉపయోగించే ముందు మీ KVK లేదా వ్యవసాయ అధికారితో నిర్ధారించుకోండి.",
+    kn: "{chemical} {crop} ಬೆಳೆಗೆ ಲೇಬಲ್ ಅನುಮೋದನೆ ಪಡೆದಿಲ್ಲ. ಬಳಸುವ ಮೊದಲು ನಿಮ್ಮ KVK ಅಥವಾ ಕೃಷಿ ಅಧಿಕಾರಿಯೊಂದಿಗೆ ಖಚಿತಪಡಿಸಿಕೊಳ್ಳಿ.",
+    mr: "{chemical} ला {crop} साठी लेबल-मान्यता नाही. वापरण्यापूर्वी तुमच्या KVK किंवा कृषी अधिकाऱ्यांकडून खात्री करून घ्या.",
+    bn: "{chemical} {crop}-এর জন্য লেবেল-অনুমোদিত নয়। ব্যবহারের আগে আপনার KVK বা কৃষি আধিকারিকের কাছে নিশ্চিত হয়ে নিন।",
+    gu: "{chemical} {crop} માટે લેબલ-માન્ય નથી. ઉપયોગ કરતા પહેલાં તમારા KVK અથવા કૃષિ અધિકારી પાસેથી ખાતરી કરો.",
+    pa: "{chemical} {crop} ਲਈ ਲੇਬਲ-ਪ੍ਰਵਾਨਿਤ ਨਹੀਂ ਹੈ। ਵਰਤਣ ਤੋਂ ਪਹਿਲਾਂ ਆਪਣੇ KVK ਜਾਂ ਖੇਤੀਬਾੜੀ ਅਧਿਕਾਰੀ ਤੋਂ ਪੁਸ਼ਟੀ ਕਰੋ।",
+    or: "{chemical} {crop} ପାଇଁ ଲେବଲ୍-ଅନୁମୋଦିତ ନୁହେଁ। ବ୍ୟବହାର କରିବା ପୂର୍ବରୁ ଆପଣଙ୍କ KVK କିମ୍ବା କୃଷି ଅଧିକାରୀଙ୍କ ସହ ନିଶ୍ଚିତ କରନ୍ତୁ।",
+    ml: "{chemical} {crop} വിളയ്ക്ക് ലേബൽ അംഗീകാരമുള്ളതല്ല. ഉപയോഗിക്കുന്നതിന് മുമ്പ് നിങ്ങളുടെ KVK അല്ലെങ്കിൽ കൃഷി ഓഫീസറുമായി ഉറപ്പുവരുത്തുക.",
+  },
+  doseAboveLabel: {
+    en: "The dose given for {chemical} ({dose}) is above the label maximum of {maxDose}. Do not exceed the label dose.",
+    hi: "{chemical} की बताई गई मात्रा ({dose}) लेबल की अधिकतम मात्रा {maxDose} से अधिक है। लेबल मात्रा से अधिक उपयोग न करें।",
+    ta: "{chemical} க்கு கூறப்பட்ட அளவு ({dose}) லேபிளில் உள்ள அதிகபட்ச அளவு {maxDose} ஐ விட அதிகம். லேபிள் அளவைத் தாண்டக்கூடாது.",
+    te: "{chemical} కోసం ఇచ్చిన మోతాదు ({dose}) లేబుల్ గరిష్ఠ మోతాదు {maxDose} కంటే ఎక్కువ. లేబుల్ మోతాదును మించవద్దు.",
+    kn: "{chemical} ಗೆ ನೀಡಿದ ಪ್ರಮಾಣ ({dose}) ಲೇಬಲ್‌ನ ಗರಿಷ್ಠ ಪ್ರಮಾಣ {maxDose} ಕ್ಕಿಂತ ಹೆಚ್ಚಾಗಿದೆ. ಲೇಬಲ್ ಪ್ರಮಾಣವನ್ನು ಮೀರಬೇಡಿ.",
+    mr: "{chemical} साठी सांगितलेली मात्रा ({dose}) लेबलवरील कमाल मात्रा {maxDose} पेक्षा जास्त आहे. लेबलवरील मात्रेपेक्षा जास्त वापरू नका.",
+    bn: "{chemical}-এর জন্য দেওয়া মাত্রা ({dose}) লেবেলের সর্বোচ্চ মাত্রা {maxDose}-এর চেয়ে বেশি। লেবেলের মাত্রা ছাড়াবেন না।",
+    gu: "{chemical} માટે આપેલી માત્રા ({dose}) લેબલની મહત્તમ માત્રા {maxDose} કરતાં વધુ છે. લેબલની માત્રાથી વધુ ઉપયોગ કરશો નહીં.",
+    pa: "{chemical} ਲਈ ਦੱਸੀ ਗਈ ਮਾਤਰਾ ({dose}) ਲੇਬਲ ਦੀ ਵੱਧ ਤੋਂ ਵੱਧ ਮਾਤਰਾ {maxDose} ਤੋਂ ਵੱਧ ਹੈ। ਲੇਬਲ ਮਾਤਰਾ ਤੋਂ ਵੱਧ ਨਾ ਵਰਤੋ।",
+    or: "{chemical} ପାଇଁ ଦିଆଯାଇଥିବା ମାତ୍ରା ({dose}) ଲେବଲ୍‌ର ସର୍ବାଧିକ ମାତ୍ରା {maxDose} ଠାରୁ ଅଧିକ। ଲେବଲ୍ ମାତ୍ରାଠାରୁ ଅଧିକ ବ୍ୟବହାର କରନ୍ତୁ ନାହିଁ।",
+    ml: "{chemical} ന് നൽകിയ അളവ് ({dose}) ലേബലിലെ പരമാവധി അളവായ {maxDose} നേക്കാൾ കൂടുതലാണ്. ലേബലിലെ അളവ് കവിയരുത്.",
+  },
+  safetyReferral: {
+    en: "Some of this advice did not pass our pesticide safety check. Please confirm the treatment with your nearest Krishi Vigyan Kendra (KVK) or agricultural officer before spraying.",
+    hi: "इस सलाह का कुछ हिस्सा हमारी कीटनाशक सुरक्षा जाँच में पास नहीं हुआ। छिड़काव से पहले अपने निकटतम कृषि विज्ञान केंद्र (KVK) या कृषि अधिकारी से उपचार की पुष्टि करें।",
+    ta: "இந்த ஆலோசனையின் ஒரு பகுதி எங்கள் பூச்சிக்கொல்லி பாதுகாப்பு சோதனையில் தேறவில்லை. தெளிப்பதற்கு முன் உங்கள் அருகிலுள்ள கிருஷி விஞ்ஞான கேந்திரா (KVK) அல்லது வேளாண்மை அதிகாரியிடம் சிகிச்சையை உறுதிப்படுத்துங்கள்.",
+    te: "ఈ సలహాలో కొంత భాగం మా పురుగుమందుల భద్రతా తనిఖీలో ఉత్తీర్ణత సాధించలేదు. పిచికారీ చేసే ముందు మీ సమీప కృషి విజ్ఞాన కేంద్రం (KVK) లేదా వ్యవసాయ అధికారితో చికిత్సను నిర్ధారించుకోండి.",
+    kn: "ಈ ಸಲಹೆಯ ಕೆಲವು ಭಾಗ ನಮ್ಮ ಕೀಟನಾಶಕ ಸುರಕ್ಷತಾ ಪರಿಶೀಲನೆಯಲ್ಲಿ ತೇರ್ಗಡೆಯಾಗಿಲ್ಲ. ಸಿಂಪಡಿಸುವ ಮೊದಲು ನಿಮ್ಮ ಹತ್ತಿರದ ಕೃಷಿ ವಿಜ್ಞಾನ ಕೇಂದ್ರ (KVK) ಅಥವಾ ಕೃಷಿ ಅಧಿಕಾರಿಯೊಂದಿಗೆ ಚಿಕಿತ್ಸೆಯನ್ನು ಖಚಿತಪಡಿಸಿಕೊಳ್ಳಿ.",
+    mr: "या सल्ल्याचा काही भाग आमच्या कीटकनाशक सुरक्षा तपासणीत उत्तीर्ण झाला नाही. फवारणीपूर्वी तुमच्या जवळच्या कृषी विज्ञान केंद्र (KVK) किंवा कृषी अधिकाऱ्यांकडून उपचाराची खात्री करून घ्या.",
+    bn: "এই পরামর্শের কিছু অংশ আমাদের কীটনাশক নিরাপত্তা যাচাইয়ে উত্তীর্ণ হয়নি। স্প্রে করার আগে আপনার নিকটতম কৃষি বিজ্ঞান কেন্দ্র (KVK) বা কৃষি আধিকারিকের কাছে চিকিৎসাটি নিশ্চিত করুন।",
+    gu: "આ સલાહનો કેટલોક ભાગ અમારી જંતુનાશક સલામતી તપાસમાં પાસ થયો નથી. છંટકાવ કરતા પહેલાં તમારા નજીકના કૃષિ વિજ્ઞાન કેન્દ્ર (KVK) અથવા કૃષિ અધિકારી પાસેથી સારવારની ખાતરી કરો.",
+    pa: "ਇਸ ਸਲਾਹ ਦਾ ਕੁਝ ਹਿੱਸਾ ਸਾਡੀ ਕੀਟਨਾਸ਼ਕ ਸੁਰੱਖਿਆ ਜਾਂਚ ਵਿੱਚ ਪਾਸ ਨਹੀਂ ਹੋਇਆ। ਛਿੜਕਾਅ ਤੋਂ ਪਹਿਲਾਂ ਆਪਣੇ ਨੇੜਲੇ ਕ੍ਰਿਸ਼ੀ ਵਿਗਿਆਨ ਕੇਂਦਰ (KVK) ਜਾਂ ਖੇਤੀਬਾੜੀ ਅਧਿਕਾਰੀ ਤੋਂ ਇਲਾਜ ਦੀ ਪੁਸ਼ਟੀ ਕਰੋ।",
+    or: "ଏହି ପରାମର୍ଶର କିଛି ଅଂଶ ଆମର କୀଟନାଶକ ସୁରକ୍ଷା ଯାଞ୍ଚରେ ଉତ୍ତୀର୍ଣ୍ଣ ହୋଇନାହିଁ। ସ୍ପ୍ରେ କରିବା ପୂର୍ବରୁ ଆପଣଙ୍କ ନିକଟତମ କୃଷି ବିଜ୍ଞାନ କେନ୍ଦ୍ର (KVK) କିମ୍ବା କୃଷି ଅଧିକାରୀଙ୍କ ସହ ଚିକିତ୍ସା ନିଶ୍ଚିତ କରନ୍ତୁ।",
+    ml: "ഈ ഉപദേശത്തിന്റെ ഒരു ഭാഗം ഞങ്ങളുടെ കീടനാശിനി സുരക്ഷാ പരിശോധനയിൽ വിജയിച്ചില്ല. തളിക്കുന്നതിന് മുമ്പ് നിങ്ങളുടെ അടുത്തുള്ള കൃഷി വിജ്ഞാൻ കേന്ദ്രത്തിലോ (KVK) കൃഷി ഓഫീസറുമായോ ചികിത്സ ഉറപ്പുവരുത്തുക.",
   },
 };
 
 module.exports = {
   buildAgriculturalPrompt,
+  buildDiagnosisPrompt,
+  buildConversationSummaryPrompt,
+  buildRepairPrompt,
+  buildTranslationPrompt,
   responseTemplates,
+  STREAM_METADATA_MARKER,
 };
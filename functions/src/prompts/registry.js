@@ -0,0 +1,329 @@
+/**
+ * Prompt template registry
+ * Every prompt the advisor sends is a versioned template registered for a task. A template version is
+ * never edited once released; prompt changes are added as a new version so answer quality can be compared
+ * between revisions. Experiments in data/promptExperiments.json send a percentage of users to a variant.
+ */
+
+const crypto = require("crypto");
+const experimentData = require("../data/promptExperiments.json");
+const { buildAgriculturalPrompt, buildDiagnosisPrompt } = require("./agricultural");
+
+/**
+ * Tasks a prompt template can serve
+ */
+const PROMPT_TASKS = {
+  GENERAL_ADVICE: "general_advice",
+  SCHEME_HELP: "scheme_help",
+  DIAGNOSIS: "diagnosis",
+  CLARIFICATION: "clarification",
+};
+
+/**
+ * Registered templates. build(params) receives
+ * { farmProfile, language, question, hasHistory, streaming, schemes, imageCount, clarifications, agroContext,
+ *   inputLanguage }
+ */
+const PROMPT_TEMPLATES = [
+  {
+    id: "general-advice",
+    version: 1,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+    }),
+  },
+  {
+    id: "general-advice",
+    version: 2,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      answerStyle: "steps",
+    }),
+  },
+  {
+    id: "general-advice",
+    version: 3,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      allowClarification: true,
+    }),
+  },
+  {
+    id: "general-advice",
+    version: 4,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      answerStyle: "steps",
+      allowClarification: true,
+    }),
+  },
+  {
+    id: "general-advice",
+    version: 5,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      allowClarification: true,
+      agroContext: params.agroContext,
+    }),
+  },
+  {
+    id: "general-advice",
+    version: 6,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      answerStyle: "steps",
+      allowClarification: true,
+      agroContext: params.agroContext,
+    }),
+  },
+  {
+    id: "general-advice",
+    version: 7,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      allowClarification: true,
+      agroContext: params.agroContext,
+      inputLanguage: params.inputLanguage,
+    }),
+  },
+  {
+    id: "general-advice",
+    version: 8,
+    task: PROMPT_TASKS.GENERAL_ADVICE,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      answerStyle: "steps",
+      allowClarification: true,
+      agroContext: params.agroContext,
+      inputLanguage: params.inputLanguage,
+    }),
+  },
+  {
+    id: "scheme-help",
+    version: 1,
+    task: PROMPT_TASKS.SCHEME_HELP,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      schemes: params.schemes,
+    }),
+  },
+  {
+    id: "scheme-help",
+    version: 2,
+    task: PROMPT_TASKS.SCHEME_HELP,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      schemes: params.schemes,
+      allowClarification: true,
+    }),
+  },
+  {
+    id: "scheme-help",
+    version: 3,
+    task: PROMPT_TASKS.SCHEME_HELP,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      schemes: params.schemes,
+      allowClarification: true,
+      agroContext: params.agroContext,
+    }),
+  },
+  {
+    id: "scheme-help",
+    version: 4,
+    task: PROMPT_TASKS.SCHEME_HELP,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      schemes: params.schemes,
+      allowClarification: true,
+      agroContext: params.agroContext,
+      inputLanguage: params.inputLanguage,
+    }),
+  },
+  {
+    id: "crop-diagnosis",
+    version: 1,
+    task: PROMPT_TASKS.DIAGNOSIS,
+    build: (params) => buildDiagnosisPrompt(params.farmProfile, params.language, params.question, params.imageCount),
+  },
+  {
+    id: "crop-diagnosis",
+    version: 2,
+    task: PROMPT_TASKS.DIAGNOSIS,
+    build: (params) => buildDiagnosisPrompt(params.farmProfile, params.language, params.question, params.imageCount, {
+      agroContext: params.agroContext,
+    }),
+  },
+  {
+    id: "crop-diagnosis",
+    version: 3,
+    task: PROMPT_TASKS.DIAGNOSIS,
+    build: (params) => buildDiagnosisPrompt(params.farmProfile, params.language, params.question, params.imageCount, {
+      agroContext: params.agroContext,
+      inputLanguage: params.inputLanguage,
+    }),
+  },
+  {
+    id: "clarified-advice",
+    version: 1,
+    task: PROMPT_TASKS.CLARIFICATION,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      schemes: params.schemes,
+      clarifications: params.clarifications,
+    }),
+  },
+  {
+    id: "clarified-advice",
+    version: 2,
+    task: PROMPT_TASKS.CLARIFICATION,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      schemes: params.schemes,
+      clarifications: params.clarifications,
+      agroContext: params.agroContext,
+    }),
+  },
+  {
+    id: "clarified-advice",
+    version: 3,
+    task: PROMPT_TASKS.CLARIFICATION,
+    build: (params) => buildAgriculturalPrompt(params.farmProfile, params.language, params.question, {
+      hasHistory: params.hasHistory,
+      streaming: params.streaming,
+      schemes: params.schemes,
+      clarifications: params.clarifications,
+      agroContext: params.agroContext,
+      inputLanguage: params.inputLanguage,
+    }),
+  },
+];
+
+/**
+ * Version served to users outside any experiment, per task
+ */
+const DEFAULT_VERSIONS = {
+  [PROMPT_TASKS.GENERAL_ADVICE]: { templateId: "general-advice", version: 7 },
+  [PROMPT_TASKS.SCHEME_HELP]: { templateId: "scheme-help", version: 4 },
+  [PROMPT_TASKS.DIAGNOSIS]: { templateId: "crop-diagnosis", version: 3 },
+  [PROMPT_TASKS.CLARIFICATION]: { templateId: "clarified-advice", version: 3 },
+};
+
+/**
+ * Looks up a registered template
+ * @param {string} templateId - Template ID
+ * @param {number} version - Template version
+ * @return {Object} The template
+ * @throws {Error} If no such template is registered
+ */
+function getPromptTemplate(templateId, version) {
+  const template = PROMPT_TEMPLATES.find((entry) => entry.id === templateId && entry.version === version);
+  if (!template) {
+    throw new Error(`Unknown prompt template: ${templateId}@v${version}`);
+  }
+  return template;
+}
+
+/**
+ * Maps a user to a stable bucket from 0 to 99 for an experiment
+ * Hashing the experiment ID with the uid keeps assignments independent across experiments
+ * @param {string} experimentId - Experiment ID
+ * @param {string} uid - The user ID
+ * @return {number} Bucket number
+ */
+function experimentBucket(experimentId, uid) {
+  const hash = crypto.createHash("sha256").update(`${experimentId}:${uid}`).digest();
+  return hash.readUInt32BE(0) % 100;
+}
+
+/**
+ * Selects the prompt template for a task and user, applying any enabled experiment
+ * @param {string} task - One of PROMPT_TASKS
+ * @param {string} uid - The user ID, so a user keeps the same variant across requests
+ * @return {Object} { template, experiment: { id, variant } | null }
+ * @throws {Error} If the task has no default template
+ */
+function selectPromptTemplate(task, uid) {
+  const defaults = DEFAULT_VERSIONS[task];
+  if (!defaults) {
+    throw new Error(`Unknown prompt task: ${task}`);
+  }
+
+  const experiment = experimentData.experiments.find((entry) => entry.enabled && entry.task === task);
+  if (experiment) {
+    const bucket = experimentBucket(experiment.id, uid);
+    let threshold = 0;
+
+    for (const variant of experiment.variants) {
+      threshold += variant.percent;
+      if (bucket < threshold) {
+        return {
+          template: getPromptTemplate(variant.templateId, variant.version),
+          experiment: { id: experiment.id, variant: variant.name },
+        };
+      }
+    }
+
+    // Users outside every variant are the control group
+    return {
+      template: getPromptTemplate(defaults.templateId, defaults.version),
+      experiment: { id: experiment.id, variant: "control" },
+    };
+  }
+
+  return {
+    template: getPromptTemplate(defaults.templateId, defaults.version),
+    experiment: null,
+  };
+}
+
+/**
+ * Selects and renders the prompt for a task
+ * @param {string} task - One of PROMPT_TASKS
+ * @param {string} uid - The user ID
+ * @param {Object} params - Template parameters (see PROMPT_TEMPLATES)
+ * @return {Object} { prompt, promptTemplate: { task, templateId, version, experimentId, variant } }
+ *   promptTemplate is stored on the chat document to compare answer quality between prompt revisions
+ */
+function renderPrompt(task, uid, params) {
+  const { template, experiment } = selectPromptTemplate(task, uid);
+
+  return {
+    prompt: template.build(params),
+    promptTemplate: {
+      task,
+      templateId: template.id,
+      version: template.version,
+      experimentId: experiment ? experiment.id : null,
+      variant: experiment ? experiment.variant : null,
+    },
+  };
+}
+
+module.exports = {
+  PROMPT_TASKS,
+  getPromptTemplate,
+  selectPromptTemplate,
+  renderPrompt,
+};
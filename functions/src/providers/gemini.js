@@ -0,0 +1,97 @@
+/**
+ * Gemini LLM provider
+ * Wraps the Google Generative AI SDK behind the provider interface
+ */
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+const DEFAULT_MODEL = "gemini-1.5-flash";
+
+/**
+ * Normalizes a prompt string or content request into a Gemini request
+ * @param {string|Object} request - Prompt string or { contents, generationConfig? }
+ * @param {Object} options - { json?: boolean } to request JSON response mode
+ * @return {Object} Request accepted by the Gemini SDK
+ */
+function toGeminiRequest(request, options = {}) {
+  const geminiRequest = typeof request === "string" ?
+    { contents: [{ role: "user", parts: [{ text: request }] }] } :
+    { ...request };
+
+  // JSON response mode makes the model emit a bare JSON object; GEMINI_JSON_MODE=false disables it
+  if (options.json && process.env.GEMINI_JSON_MODE !== "false") {
+    geminiRequest.generationConfig = {
+      ...geminiRequest.generationConfig,
+      responseMimeType: "application/json",
+    };
+  }
+
+  return geminiRequest;
+}
+
+/**
+ * Reads token counts from a Gemini response
+ * @param {Object} response - Gemini response
+ * @return {Object|undefined} { inputTokens, outputTokens }
+ */
+function toUsage(response) {
+  const metadata = response.usageMetadata;
+  if (!metadata) {
+    return undefined;
+  }
+  return {
+    inputTokens: metadata.promptTokenCount || 0,
+    outputTokens: metadata.candidatesTokenCount || 0,
+  };
+}
+
+/**
+ * Creates the Gemini provider
+ * TODO: Set GEMINI_API_KEY (and optionally GEMINI_MODEL) in functions/.env
+ * @return {Object} Provider instance
+ * @throws {Error} If the Gemini API key is not configured
+ */
+function createGeminiProvider() {
+  const apiKey = process.env.GEMINI_API_KEY;
+
+  // Check if Gemini API key is configured
+  if (!apiKey || apiKey === "YOUR_GEMINI_API_KEY") {
+    throw new Error("Gemini API key not configured. Please set GEMINI_API_KEY in functions/.env");
+  }
+
+  const modelName = process.env.GEMINI_MODEL || DEFAULT_MODEL;
+  const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName });
+
+  return {
+    name: "gemini",
+    model: modelName,
+
+    async generate(request, options = {}) {
+      const result = await model.generateContent(toGeminiRequest(request, options));
+      return { text: result.response.text(), usage: toUsage(result.response) };
+    },
+
+    async* stream(request, options = {}) {
+      const result = await model.generateContentStream(toGeminiRequest(request), { signal: options.signal });
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+      if (options.onUsage) {
+        options.onUsage(toUsage(await result.response));
+      }
+    },
+
+    async generateMultimodal({ prompt, images }) {
+      const parts = [
+        { text: prompt },
+        ...images.map((image) => ({ inlineData: { mimeType: image.mimeType, data: image.data } })),
+      ];
+      const result = await model.generateContent({ contents: [{ role: "user", parts }] });
+      return { text: result.response.text(), usage: toUsage(result.response) };
+    },
+  };
+}
+
+module.exports = {
+  createGeminiProvider,
+};
@@ -0,0 +1,47 @@
+/**
+ * LLM provider registry
+ * Selects the language model backend from the LLM_PROVIDER environment variable
+ *
+ * Every provider implements:
+ * - generate(request, { json? }): Promise<{ text, usage? }>, json requests the model's JSON response mode
+ * - stream(request, { onUsage?, signal? }): AsyncIterable<string> of text chunks; onUsage(usage) is called once
+ *   the stream ends and aborting signal (an AbortSignal) stops generation
+ * - generateMultimodal({ prompt, images: [{ mimeType, data }] }): Promise<{ text, usage? }>
+ * where request is a prompt string or { contents: [{ role, parts }] } and usage is
+ * { inputTokens, outputTokens }
+ */
+
+const { createGeminiProvider } = require("./gemini");
+const { createStubProvider } = require("./stub");
+
+const providerFactories = {
+  gemini: createGeminiProvider,
+  stub: createStubProvider,
+};
+
+let cachedProvider = null;
+
+/**
+ * Returns the configured LLM provider (LLM_PROVIDER=gemini|stub, default gemini)
+ * @return {Object} Provider instance
+ * @throws {Error} If the provider is unknown or not configured
+ */
+function getLLMProvider() {
+  if (cachedProvider) {
+    return cachedProvider;
+  }
+
+  const providerName = (process.env.LLM_PROVIDER || "gemini").toLowerCase();
+  const factory = providerFactories[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${providerName}. Supported: ${Object.keys(providerFactories).join(", ")}`);
+  }
+
+  cachedProvider = factory();
+  return cachedProvider;
+}
+
+module.exports = {
+  getLLMProvider,
+};
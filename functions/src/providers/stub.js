@@ -0,0 +1,111 @@
+/**
+ * Stub LLM provider
+ * Returns deterministic, fixture-driven responses without any network access,
+ * so the question → answer → Firestore path can run under the emulator
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { STREAM_METADATA_MARKER } = require("../prompts/agricultural");
+
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, "fixtures", "stubResponses.json");
+
+// Size of each chunk yielded by stream(), so streaming clients see several deltas
+const STREAM_CHUNK_SIZE = 24;
+
+/**
+ * Flattens a prompt string or content request into the text of its last user turn
+ * @param {string|Object} request - Prompt string or { contents }
+ * @return {string} Prompt text
+ */
+function promptText(request) {
+  if (typeof request === "string") {
+    return request;
+  }
+
+  const userTurns = (request.contents || []).filter((content) => content.role === "user");
+  const lastTurn = userTurns[userTurns.length - 1];
+  if (!lastTurn) {
+    return "";
+  }
+
+  return lastTurn.parts
+      .filter((part) => typeof part.text === "string")
+      .map((part) => part.text)
+      .join("\n");
+}
+
+/**
+ * Creates the stub provider
+ * Fixtures are read from LLM_STUB_FIXTURES when set, otherwise fixtures/stubResponses.json
+ * @return {Object} Provider instance
+ */
+function createStubProvider() {
+  const fixturesPath = process.env.LLM_STUB_FIXTURES || DEFAULT_FIXTURES_PATH;
+  const fixtures = JSON.parse(fs.readFileSync(fixturesPath, "utf8"));
+
+  /**
+   * Picks the first fixture whose keywords appear in the prompt's question
+   * @param {string} text - Prompt text
+   * @return {Object} Fixture response
+   */
+  function findResponse(text) {
+    // Match against the question only, so keywords in the instructions don't skew the choice
+    const questionMatch = text.match(/FARMER'S QUESTION:([\s\S]*)/);
+    const haystack = (questionMatch ? questionMatch[1] : text).toLowerCase();
+
+    const entry = fixtures.responses.find((candidate) =>
+      candidate.match.some((keyword) => haystack.includes(keyword.toLowerCase())),
+    );
+
+    return entry ? entry.response : fixtures.default;
+  }
+
+  /**
+   * Renders a fixture in the output format the prompt asks for
+   * @param {string} text - Prompt text
+   * @return {string} Model-like output
+   */
+  function render(text) {
+    const response = findResponse(text);
+
+    if (text.includes(STREAM_METADATA_MARKER)) {
+      const { answer, ...metadata } = response;
+      return `${answer}\n${STREAM_METADATA_MARKER}\n${JSON.stringify(metadata)}`;
+    }
+
+    if (text.includes("\"diagnosis\"") && fixtures.diagnosis) {
+      return JSON.stringify(fixtures.diagnosis);
+    }
+
+    if (text.includes("\"answer\"")) {
+      return JSON.stringify(response);
+    }
+
+    return fixtures.summary || response.answer;
+  }
+
+  return {
+    name: "stub",
+    model: "stub",
+
+    async generate(request) {
+      return { text: render(promptText(request)) };
+    },
+
+    async* stream(request) {
+      const text = render(promptText(request));
+      for (let offset = 0; offset < text.length; offset += STREAM_CHUNK_SIZE) {
+        yield text.slice(offset, offset + STREAM_CHUNK_SIZE);
+      }
+    },
+
+    async generateMultimodal({ prompt }) {
+      return { text: render(prompt) };
+    },
+  };
+}
+
+module.exports = {
+  createStubProvider,
+};
@@ -0,0 +1,81 @@
+/**
+ * Cloud Function: rateAnswer
+ * Records a farmer's feedback on an answer: a rating, an optional text or voice correction
+ * and whether the advice worked when they tried it
+ */
+
+const functions = require("firebase-functions");
+const admin = require("firebase-admin");
+const { validateAuth } = require("./utils/auth");
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, recordUsage } = require("./utils/usageLedger");
+const { validateRequiredFields, validateDocumentId } = require("./utils/validators");
+const { parseFeedback } = require("./utils/feedback");
+
+/**
+ * Stores feedback in the feedback field of a chat document
+ * Aggregation into feedbackStats happens in the aggregateFeedback trigger
+ * @param {Object} data - { chatId: string, rating: "helpful" | "not_helpful" | "wrong", correction?: string,
+ *   correctionAudioPath?: string, outcome?: { tried: boolean, result?: string, notes?: string } }
+ * @param {Object} context - Cloud Function context with auth info
+ * @return {Promise<Object>} { chatId, feedback }
+ */
+exports.rateAnswer = functions.https.onCall(async (data, context) => {
+  let usage = null;
+
+  try {
+    // Validate authentication
+    const uid = await validateAuth(context);
+
+    // Validate input
+    validateRequiredFields(data, ["chatId", "rating"]);
+    const chatId = validateDocumentId(data.chatId, "chatId");
+    const feedback = parseFeedback(data, uid);
+
+    // Count the request against the caller's per-minute and daily quota
+    await enforceQuota(uid, "rateAnswer", context.auth.token.role);
+    usage = startUsage(uid, "rateAnswer");
+
+    // Chats live under the user's document, so only the owner can rate them
+    const chatRef = admin.firestore().collection("users").doc(uid).collection("chats").doc(chatId);
+    const chat = await chatRef.get();
+    if (!chat.exists) {
+      throw new Error("Chat not found");
+    }
+
+    await chatRef.update({
+      feedback: {
+        ...feedback,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    });
+
+    await recordUsage(usage);
+
+    return { chatId, feedback };
+  } catch (error) {
+    console.error("Error rating answer:", error);
+
+    if (usage) {
+      await recordUsage(usage, { status: "error" });
+    }
+
+    if (error.quota) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, error.quota);
+    }
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message === "Chat not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+    if (/^(Missing required fields|Invalid|Unauthorized)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to save feedback: ${error.message}`,
+    );
+  }
+});
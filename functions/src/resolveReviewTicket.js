@@ -0,0 +1,57 @@
+/**
+ * Cloud Function: resolveReviewTicket
+ * Lets an extension officer answer, amend or approve a claimed review ticket;
+ * the outcome is pushed into the farmer's chat
+ */
+
+const functions = require("firebase-functions");
+const { validateRole } = require("./utils/auth");
+const { validateRequiredFields, validateDocumentId } = require("./utils/validators");
+const { resolveReviewTicket } = require("./utils/reviewQueue");
+
+/**
+ * Resolves a claimed review ticket
+ * @param {Object} data - { ticketId: string, action: "answer" | "amend" | "approve", text?: string, note?: string }
+ *   text is the expert answer for "answer" and the corrected answer for "amend"
+ * @param {Object} context - Cloud Function context with auth info (requires the extension_officer role)
+ * @return {Promise<Object>} { ticketId, status }
+ */
+exports.resolveReviewTicket = functions.https.onCall(async (data, context) => {
+  try {
+    // Validate authentication and role
+    const uid = await validateRole(context, ["extension_officer"]);
+
+    // Validate input
+    validateRequiredFields(data, ["ticketId", "action"]);
+    const ticketId = validateDocumentId(data.ticketId, "ticketId");
+
+    return await resolveReviewTicket(
+        ticketId,
+        { uid, name: context.auth.token.name || "Extension officer" },
+        { action: data.action, text: data.text, note: data.note },
+    );
+  } catch (error) {
+    console.error("Error resolving review ticket:", error);
+
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message.startsWith("Permission denied")) {
+      throw new functions.https.HttpsError("permission-denied", error.message);
+    }
+    if (error.message === "Review ticket not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+    if (error.message.startsWith("Review ticket must be claimed")) {
+      throw new functions.https.HttpsError("failed-precondition", error.message);
+    }
+    if (/^(Missing required fields|Invalid)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to resolve review ticket: ${error.message}`,
+    );
+  }
+});
@@ -0,0 +1,20 @@
+/**
+ * Cloud Function: rollupUsage
+ * Rolls up the previous day's usage ledger per user and per state every night
+ */
+
+const functions = require("firebase-functions");
+const { rollupUsageDay } = require("./utils/usageLedger");
+const { istDateKey, addDays } = require("./utils/dates");
+
+/**
+ * Runs shortly after midnight India time and rolls up the day that just ended
+ */
+exports.rollupUsage = functions.pubsub
+    .schedule("15 0 * * *")
+    .timeZone("Asia/Kolkata")
+    .onRun(async () => {
+      const day = addDays(istDateKey(Date.now()), -1);
+      const result = await rollupUsageDay(day);
+      console.log("Usage rollup complete:", result);
+    });
@@ -4,94 +4,95 @@
  */
 
 const functions = require("firebase-functions");
-const admin = require("firebase-admin");
-const textToSpeech = require("@google-cloud/text-to-speech");
 const { validateAuth } = require("./utils/auth");
-const { validateRequiredFields, validateLanguage, validateTextLength } = require("./utils/validators");
-
-const ttsClient = new textToSpeech.TextToSpeechClient();
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, trackProviderUsage, recordUsage } = require("./utils/usageLedger");
+const {
+  validateRequiredFields,
+  validateLanguage,
+  validateTextLength,
+  validateDocumentId,
+} = require("./utils/validators");
+const { getChatTranslation } = require("./utils/chatTranslation");
+const { synthesizeToStorage } = require("./utils/speechSynthesis");
+const { getLLMProvider } = require("./providers");
 
 /**
  * Synthesizes speech from text and stores in Firebase Storage
- * @param {Object} data - { text: string, language: string }
+ * Instead of text, a chatId reads out that chat's answer in the requested language, using the
+ * translation cached by translateChat or translating it first. The text is read out as SSML in the voice
+ * and speaking rate saved in the user's voicePreferences. Audio is stored under a hash of the SSML, voice
+ * and speaking rate and reused by later calls; answers from the answer cache share one copy across users.
+ * @param {Object} data - { text: string, language: string } or { chatId: string, language: string }
  * @param {Object} context - Cloud Function context with auth info
- * @return {Promise<Object>} { audioUrl: string }
+ * @return {Promise<Object>} { audioUrl: string, storagePath: string, cached: boolean, chatId?: string } where
+ *   cached is true when stored audio was reused
  */
 exports.synthesizeSpeech = functions.https.onCall(async (data, context) => {
+  let usage = null;
+  let translationUsage = null;
+
   try {
     // Validate authentication
     const uid = await validateAuth(context);
 
     // Validate input
-    validateRequiredFields(data, ["text", "language"]);
-    const text = validateTextLength(data.text, 5000);
+    validateRequiredFields(data, [data.chatId ? "chatId" : "text", "language"]);
+    const chatId = data.chatId ? validateDocumentId(data.chatId, "chatId") : null;
     const language = validateLanguage(data.language);
+    let text = chatId ? null : validateTextLength(data.text, 5000);
+    let shared = false;
 
-    // Map language codes to Text-to-Speech language and voice codes
-    const voiceConfig = {
-      en: { languageCode: "en-IN", voiceName: "en-IN-Wavenet-D", ssmlGender: "FEMALE" },
-      hi: { languageCode: "hi-IN", voiceName: "hi-IN-Wavenet-D", ssmlGender: "FEMALE" },
-      ta: { languageCode: "ta-IN", voiceName: "ta-IN-Wavenet-A", ssmlGender: "FEMALE" },
-      te: { languageCode: "te-IN", voiceName: "te-IN-Standard-A", ssmlGender: "FEMALE" },
-    };
-
-    const voice = voiceConfig[language] || voiceConfig.en;
-
-    // Configure Text-to-Speech request
-    const request = {
-      input: { text: text },
-      voice: {
-        languageCode: voice.languageCode,
-        name: voice.voiceName,
-        ssmlGender: voice.ssmlGender,
-      },
-      audioConfig: {
-        audioEncoding: "MP3",
-        speakingRate: 0.95, // Slightly slower for clarity
-        pitch: 0,
-        volumeGainDb: 0,
-      },
-    };
-
-    // Perform text-to-speech
-    const [response] = await ttsClient.synthesizeSpeech(request);
+    // Count the request against the caller's per-minute and daily quota
+    await enforceQuota(uid, "synthesizeSpeech", context.auth.token.role);
+    usage = startUsage(uid, "synthesizeSpeech", { language });
 
-    if (!response.audioContent) {
-      throw new Error("No audio content generated");
+    // Read out a stored answer; a new translation is recorded in the ledger as translateChat
+    if (chatId) {
+      translationUsage = startUsage(uid, "translateChat", { language });
+      const provider = trackProviderUsage(getLLMProvider(), translationUsage);
+      const translation = await getChatTranslation(uid, chatId, language, provider);
+      await recordUsage(translationUsage, { cacheHit: translation.cached });
+      translationUsage = null;
+      text = validateTextLength(translation.answer, 5000);
+      shared = translation.shared;
     }
 
-    // Generate unique filename
-    const timestamp = Date.now();
-    const fileName = `audio/${uid}/response-${timestamp}.mp3`;
-
-    // Upload to Firebase Storage
-    const bucket = admin.storage().bucket();
-    const file = bucket.file(fileName);
-
-    await file.save(response.audioContent, {
-      metadata: {
-        contentType: "audio/mpeg",
-        metadata: {
-          userId: uid,
-          language: language,
-          generatedAt: new Date().toISOString(),
-        },
-      },
-    });
+    const { audioUrl, storagePath, voiceName, characters, cached } = await synthesizeToStorage(
+        uid, text, language, { shared },
+    );
 
-    // Make file publicly readable (or generate signed URL for private access)
-    // For this app, we'll use signed URLs for security
-    const [url] = await file.getSignedUrl({
-      action: "read",
-      expires: Date.now() + 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+    // Reused audio costs no synthesis; Text-to-Speech bills the SSML sent, tags included
+    await recordUsage(usage, { model: voiceName, characters: cached ? 0 : characters, cacheHit: cached });
 
     return {
-      audioUrl: url,
-      storagePath: fileName,
+      audioUrl,
+      storagePath,
+      cached,
+      ...(chatId ? { chatId } : {}),
     };
   } catch (error) {
     console.error("Error synthesizing speech:", error);
+
+    if (translationUsage) {
+      await recordUsage(translationUsage, { status: "error" });
+    }
+    if (usage) {
+      await recordUsage(usage, { status: "error" });
+    }
+
+    if (error.quota) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, error.quota);
+    }
+
+    if (error.message === "Chat not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+
+    if (/^(Missing required fields|Invalid|Unsupported language|Text too long)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
     throw new functions.https.HttpsError(
         "internal",
         `Failed to synthesize speech: ${error.message}`,
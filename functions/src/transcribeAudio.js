@@ -1,110 +1,139 @@
 /**
  * Cloud Function: transcribeAudio
  * Converts audio files to text using Google Cloud Speech-to-Text API
+ * Short recordings are recognized synchronously; longer ones run as resumable transcription jobs.
+ * The encoding and sample rate come from the stored file's header. Formats Speech-to-Text cannot decode are
+ * rejected rather than transcoded; the web client converts AAC and 3GP recordings to WAV before uploading.
  */
 
 const functions = require("firebase-functions");
-const admin = require("firebase-admin");
-const speech = require("@google-cloud/speech");
 const { validateAuth } = require("./utils/auth");
-const { validateRequiredFields, validateAudioPath, validateLanguage } = require("./utils/validators");
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, recordUsage } = require("./utils/usageLedger");
+const { validateDocumentId } = require("./utils/validators");
+const {
+  JOB_STATUS,
+  SPEECH_MODEL,
+  transcriptionJobRef,
+  parseTranscriptionRequest,
+  startTranscription,
+  pollTranscription,
+} = require("./utils/transcription");
 
-const speechClient = new speech.SpeechClient();
+/**
+ * Builds the callable response for a job document
+ * @param {string} jobId - Job ID
+ * @param {Object} job - Job document data
+ * @return {Object} { jobId, mode, status, progressPercent, transcript, confidence, message?, error? }
+ */
+function jobResponse(jobId, job) {
+  return {
+    jobId,
+    mode: job.mode,
+    status: job.status,
+    progressPercent: job.progressPercent || 0,
+    transcript: job.transcript || "",
+    confidence: job.confidence || 0,
+    ...(job.message ? { message: job.message } : {}),
+    ...(job.error ? { error: job.error } : {}),
+  };
+}
+
+/**
+ * Polls a long-running job and stores its transcript once the operation finishes
+ * @param {Object} jobRef - Job document reference
+ * @param {Object} job - { mode, operationName } of the job
+ * @param {Object} usage - Usage tracker; billed audio is recorded on the call that completes the job
+ * @return {Promise<Object>} Callable response, with status "running" if the poll budget ran out first
+ */
+async function pollJob(jobRef, job, usage) {
+  const poll = await pollTranscription(jobRef, job);
+  await recordUsage(usage, { model: `speech-${SPEECH_MODEL}`, audioSeconds: poll.audioSeconds || 0 });
+
+  return jobResponse(jobRef.id, poll.job);
+}
 
 /**
  * Transcribes audio file from Firebase Storage
- * @param {Object} data - { audioPath: string, language: string }
+ * Recordings up to about a minute are recognized synchronously; longer ones start long-running recognition
+ * and are polled for up to a minute. If the job is still running then, call again with { jobId } to resume
+ * polling, or watch users/{uid}/transcriptions/{jobId}, which holds the status, progress and transcript.
+ * @param {Object} data - { audioPath: string, language: string, durationSeconds?: number } to start a job, where
+ *   durationSeconds is the recorder's duration (estimated from the file size when omitted), or { jobId: string }
+ *   to resume one
  * @param {Object} context - Cloud Function context with auth info
- * @return {Promise<Object>} { transcript: string, confidence: number }
+ * @return {Promise<Object>} { jobId, mode: "sync" | "long_running", status: "running" | "done" | "error",
+ *   progressPercent, transcript, confidence, message?, error? }
+ *   Files Speech-to-Text cannot decode (AAC in MP4, AMR in 3GP, Vorbis) fail with invalid-argument and details
+ *   { reason: "unsupported-audio-format", format, codec, contentType, supportedFormats }; they are not
+ *   converted server-side, so clients must upload a supported format
+ *   Errors checking a long-running operation fail with unavailable; the job keeps running and can be resumed
  */
-exports.transcribeAudio = functions.https.onCall(async (data, context) => {
+exports.transcribeAudio = functions.runWith({ timeoutSeconds: 120 }).https.onCall(async (data, context) => {
+  let usage = null;
+
   try {
     // Validate authentication
     const uid = await validateAuth(context);
 
-    // Validate input
-    validateRequiredFields(data, ["audioPath", "language"]);
-    const audioPath = validateAudioPath(data.audioPath);
-    const language = validateLanguage(data.language);
-
-    // Verify user owns this audio file
-    if (!audioPath.includes(`audio/${uid}/`)) {
-      throw new Error("Unauthorized: Cannot access audio file");
+    // Resume a job started by an earlier call
+    if (data && data.jobId) {
+      const jobRef = transcriptionJobRef(uid, validateDocumentId(data.jobId, "jobId"));
+      const jobDoc = await jobRef.get();
+      if (!jobDoc.exists) {
+        throw new Error("Transcription job not found");
+      }
+
+      const job = jobDoc.data();
+      if (job.status !== JOB_STATUS.RUNNING || !job.operationName) {
+        return jobResponse(jobDoc.id, job);
+      }
+
+      usage = startUsage(uid, "transcribeAudio", { language: job.language });
+      return await pollJob(jobRef, job, usage);
     }
 
-    // Get audio file from Storage
-    const bucket = admin.storage().bucket();
-    const file = bucket.file(audioPath);
+    // Validate input and verify the user owns the audio file
+    const { audioPath, language, durationSeconds } = parseTranscriptionRequest(uid, data);
 
-    const [exists] = await file.exists();
-    if (!exists) {
-      throw new Error("Audio file not found");
-    }
+    // Count the request against the caller's per-minute and daily quota
+    await enforceQuota(uid, "transcribeAudio", context.auth.token.role);
+    usage = startUsage(uid, "transcribeAudio", { language });
 
-    // Get signed URL for the audio file (valid for 5 minutes)
-    const [url] = await file.getSignedUrl({
-      action: "read",
-      expires: Date.now() + 5 * 60 * 1000,
-    });
-
-    // Map language codes to Speech-to-Text language codes
-    const languageCodeMap = {
-      en: "en-IN",
-      hi: "hi-IN",
-      ta: "ta-IN",
-      te: "te-IN",
-    };
-
-    const languageCode = languageCodeMap[language] || "en-IN";
-
-    // Configure Speech-to-Text request
-    const request = {
-      audio: {
-        uri: `gs://${bucket.name}/${audioPath}`,
-      },
-      config: {
-        encoding: "WEBM_OPUS", // Common format for web audio recording
-        sampleRateHertz: 48000,
-        languageCode: languageCode,
-        enableAutomaticPunctuation: true,
-        model: "default",
-        useEnhanced: true,
-      },
-    };
-
-    // Perform transcription
-    const [response] = await speechClient.recognize(request);
-
-    if (!response.results || response.results.length === 0) {
-      return {
-        transcript: "",
-        confidence: 0,
-        message: "No speech detected in audio",
-      };
+    const started = await startTranscription(uid, { audioPath, language, durationSeconds });
+    if (started.result) {
+      await recordUsage(usage, { model: `speech-${SPEECH_MODEL}`, audioSeconds: started.audioSeconds });
+      return jobResponse(started.jobRef.id, started.job);
     }
 
-    // Get the best transcription result
-    const transcription = response.results
-        .map((result) => result.alternatives[0])
-        .filter((alternative) => alternative && alternative.transcript)
-        .map((alternative) => alternative.transcript)
-        .join(" ");
-
-    // Calculate average confidence
-    const confidenceScores = response.results
-        .map((result) => result.alternatives[0]?.confidence || 0)
-        .filter((score) => score > 0);
-
-    const avgConfidence = confidenceScores.length > 0 ?
-      confidenceScores.reduce((sum, score) => sum + score, 0) / confidenceScores.length :
-      0;
-
-    return {
-      transcript: transcription.trim(),
-      confidence: Math.round(avgConfidence * 100) / 100,
-    };
+    return await pollJob(started.jobRef, started.job, usage);
   } catch (error) {
     console.error("Error transcribing audio:", error);
+
+    // Failed jobs are marked by startTranscription and pollTranscription; retryable errors leave the job running
+    if (usage) {
+      await recordUsage(usage, { status: "error" });
+    }
+
+    if (error.quota) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, error.quota);
+    }
+    if (error.audioFormat) {
+      throw new functions.https.HttpsError("invalid-argument", error.message, error.audioFormat);
+    }
+    if (error.retryable) {
+      throw new functions.https.HttpsError("unavailable", `Transcription is still running: ${error.message}`);
+    }
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message === "Transcription job not found" || error.message === "Audio file not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+    if (/^(Missing required fields|Invalid|Unsupported language)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
     throw new functions.https.HttpsError(
         "internal",
         `Failed to transcribe audio: ${error.message}`,
@@ -0,0 +1,79 @@
+/**
+ * Cloud Function: translateChat
+ * Translates a stored question and answer into another supported language
+ * so family members can read or listen to the same advice in their own language
+ */
+
+const functions = require("firebase-functions");
+const { validateAuth } = require("./utils/auth");
+const { enforceQuota } = require("./utils/quota");
+const { startUsage, trackProviderUsage, recordUsage } = require("./utils/usageLedger");
+const { validateRequiredFields, validateDocumentId, validateLanguage } = require("./utils/validators");
+const { getChatTranslation } = require("./utils/chatTranslation");
+const { getLLMProvider } = require("./providers");
+
+/**
+ * Returns a chat in the requested language, translating it on first request
+ * Translations are cached on the chat document and returned by later calls and by getChatById
+ * @param {Object} data - { chatId: string, language: string }
+ * @param {Object} context - Cloud Function context with auth info
+ * @return {Promise<Object>} { chatId, language, sourceLanguage, question, answer, suggestions, original, cached,
+ *   shared }
+ *   where original is true when the chat was answered in the requested language
+ */
+exports.translateChat = functions.https.onCall(async (data, context) => {
+  let usage = null;
+
+  try {
+    // Validate authentication
+    const uid = await validateAuth(context);
+
+    // Validate input
+    validateRequiredFields(data, ["chatId", "language"]);
+    const chatId = validateDocumentId(data.chatId, "chatId");
+    const language = validateLanguage(data.language);
+
+    // Count the request against the caller's per-minute and daily quota
+    await enforceQuota(uid, "translateChat", context.auth.token.role);
+
+    // Select the configured LLM provider, counting its tokens in the usage ledger
+    usage = startUsage(uid, "translateChat", { language });
+    const provider = trackProviderUsage(getLLMProvider(), usage);
+
+    const translation = await getChatTranslation(uid, chatId, language, provider);
+
+    await recordUsage(usage, { cacheHit: translation.cached });
+
+    return { chatId, ...translation };
+  } catch (error) {
+    console.error("Error translating chat:", error);
+
+    if (usage) {
+      await recordUsage(usage, { status: "error" });
+    }
+
+    if (error.quota) {
+      throw new functions.https.HttpsError("resource-exhausted", error.message, error.quota);
+    }
+    if (error.message.startsWith("Unauthenticated")) {
+      throw new functions.https.HttpsError("unauthenticated", error.message);
+    }
+    if (error.message.includes("API key")) {
+      throw new functions.https.HttpsError(
+          "failed-precondition",
+          "Gemini API key not configured. Please contact support.",
+      );
+    }
+    if (error.message === "Chat not found") {
+      throw new functions.https.HttpsError("not-found", error.message);
+    }
+    if (/^(Missing required fields|Invalid|Unsupported language)/.test(error.message)) {
+      throw new functions.https.HttpsError("invalid-argument", error.message);
+    }
+
+    throw new functions.https.HttpsError(
+        "internal",
+        `Failed to translate chat: ${error.message}`,
+    );
+  }
+});
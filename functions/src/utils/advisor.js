@@ -0,0 +1,636 @@
+/**
+ * Shared helpers for the AI advisor Cloud Functions
+ * Used by the askGemini and askByVoice callables and the askGeminiStream HTTP function
+ */
+
+const admin = require("firebase-admin");
+const {
+  validateRequiredFields,
+  validateLanguage,
+  validateTextLength,
+  validateDocumentId,
+} = require("./validators");
+const { emptyHistory, loadConversationHistory, buildConversationContents } = require("./conversation");
+const { isSchemeQuestion, retrieveSchemes, resolveSchemeCitations } = require("./schemeRetrieval");
+const { ADVISOR_RESPONSE_SCHEMA, omitProperties, validateAgainstSchema } = require("./responseSchema");
+const { REVIEW_STATUS, reviewReasons, buildReviewTicket } = require("./reviewQueue");
+const {
+  parseClarificationRequest,
+  loadClarificationContinuation,
+  buildClarificationResponse,
+} = require("./clarification");
+const { buildFollowUps, parseFollowUpRequest, loadFollowUp } = require("./followUps");
+const { resolveFarmContext } = require("./farmContext");
+const { getAgroContext } = require("./agroCalendar");
+const { detectInputLanguage, summarizeInputLanguage } = require("./inputLanguage");
+const { reviewAdviceSafety } = require("./pesticideSafety");
+const {
+  isCacheableTurn,
+  sharedFarmProfile,
+  sharedAgroContext,
+  buildAnswerCacheKey,
+  getCachedAnswer,
+  storeCachedAnswer,
+  cacheMetadata,
+} = require("./answerCache");
+const { STREAM_METADATA_MARKER, buildRepairPrompt } = require("../prompts/agricultural");
+const { renderPrompt, PROMPT_TASKS } = require("../prompts/registry");
+
+// Number of times the model is asked to fix an invalid response before falling back
+const MAX_REPAIR_ATTEMPTS = 1;
+
+/**
+ * Validates and normalizes an advisor request payload, loading the farm it is about
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} data - { question, language, farmId?, farmProfile?, conversationId?,
+ *   clarification?: { chatId, values }, followUp?: { chatId, id } } where farmId is one of the user's saved farms,
+ *   farmProfile is only used for unsaved drafts, clarification answers the missing facts a previous chat asked
+ *   for and followUp asks one of a previous chat's suggestions
+ * @return {Promise<Object>} { question, farmId, farmProfile, language, conversationId, clarification, followUp }
+ *   farmId is null for drafts
+ * @throws {Error} If the payload is invalid or the farm does not exist
+ */
+async function parseAdvisorRequest(uid, data) {
+  validateRequiredFields(data, ["question", "language"]);
+  const question = validateTextLength(data.question, 1000);
+  const language = validateLanguage(data.language);
+  const conversationId = data.conversationId ?
+    validateDocumentId(data.conversationId, "conversationId") :
+    null;
+
+  const clarification = data.clarification ? parseClarificationRequest(data.clarification) : null;
+  const followUp = data.followUp ? parseFollowUpRequest(data.followUp) : null;
+  if (clarification && followUp) {
+    throw new Error("Invalid followUp. A request cannot answer a clarification and ask a follow-up at once");
+  }
+
+  // Saved farms are read from Firestore rather than trusted from the payload
+  const { farmId, farmProfile } = await resolveFarmContext(uid, data);
+
+  return { question, farmId, farmProfile, language, conversationId, clarification, followUp };
+}
+
+/**
+ * Loads conversation history for a question, using the model to summarize older turns
+ * @param {string} uid - The authenticated user ID
+ * @param {string|null} conversationId - Conversation to continue, or null for a new one
+ * @param {Object} provider - LLM provider used for summarization
+ * @return {Promise<Object>} History as returned by loadConversationHistory
+ */
+async function loadAdvisorHistory(uid, conversationId, provider) {
+  if (!conversationId) {
+    return emptyHistory();
+  }
+
+  return loadConversationHistory(uid, conversationId, async (prompt) => {
+    const summaryResult = await provider.generate(prompt);
+    return summaryResult.text;
+  });
+}
+
+/**
+ * Retrieves verified schemes to ground the answer in when the question is about schemes
+ * Retrieval failures are logged and the question is answered without scheme context
+ * @param {string} question - The farmer's question
+ * @param {Object} farmProfile - The farmer's farm profile
+ * @return {Promise<Array<Object>>} Matching schemes (empty for non-scheme questions)
+ */
+async function loadSchemeContext(question, farmProfile) {
+  if (!isSchemeQuestion(question)) {
+    return [];
+  }
+
+  try {
+    return await retrieveSchemes(question, farmProfile);
+  } catch (error) {
+    console.error("Failed to retrieve schemes, answering without them:", error);
+    return [];
+  }
+}
+
+/**
+ * Loads the context for an advisor question and renders its prompt
+ * A clarification continuation answers the original question with the facts the farmer filled in,
+ * in the same conversation, using the clarification prompt template. A follow-up asks the stored text of
+ * an earlier chat's suggestion in that chat's conversation.
+ * The question's own language, detected from its script or romanized words, becomes the answer language.
+ * Questions the answer cache may share are prompted with sharedFarmProfile and sharedAgroContext rather than
+ * the whole farm and today's calendar, and get the cache key their answer is looked up and stored under.
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} request - Parsed request from parseAdvisorRequest
+ * @param {Object} provider - LLM provider, used to summarize long conversations
+ * @param {Object} options - { streaming?: boolean }
+ * @return {Promise<Object>} { question, language, inputLanguage, conversationId, history, schemes, agroContext,
+ *   systemPrompt, promptTemplate, cacheKey, continuation, followUp } where language is the answer language,
+ *   inputLanguage is the detection result from detectInputLanguage, agroContext is the derived season and crop
+ *   stages from getAgroContext, cacheKey is from buildAnswerCacheKey (null when the answer is not cached),
+ *   continuation is { chatId, threadId, values, clarifications } for a clarification answer and followUp is
+ *   { parentChatId, followUpId, threadId } for a follow-up question (each null otherwise)
+ */
+async function prepareAdvisorTurn(uid, request, provider, options = {}) {
+  const { farmProfile } = request;
+
+  const continuation = request.clarification ?
+    await loadClarificationContinuation(uid, request.clarification) :
+    null;
+  const followUp = request.followUp ? await loadFollowUp(uid, request.followUp) : null;
+  const origin = continuation || followUp;
+  const question = origin ? origin.question : request.question;
+  const conversationId = origin ? origin.conversationId : request.conversationId;
+
+  // Answer in the language the farmer asked in, which may differ from the language setting
+  const inputLanguage = detectInputLanguage(question, request.language);
+  const language = inputLanguage.language;
+
+  // Load earlier turns of the same conversation, summarizing older ones when it gets long
+  const history = await loadAdvisorHistory(uid, conversationId, provider);
+
+  // Ground scheme questions in the schemes collection
+  const schemes = await loadSchemeContext(question, farmProfile);
+
+  // Derive today's season and typical crop stages from the farm's state
+  const agroContext = getAgroContext(farmProfile);
+
+  let task = schemes.length > 0 ? PROMPT_TASKS.SCHEME_HELP : PROMPT_TASKS.GENERAL_ADVICE;
+  if (continuation) {
+    task = PROMPT_TASKS.CLARIFICATION;
+  }
+
+  // A cacheable answer is shared with other farmers, so it only sees the farm fields and crop stages its cache
+  // key covers
+  const cacheable = isCacheableTurn({ question, task, history });
+
+  // Build the prompt from the template selected for this task and user
+  const { prompt, promptTemplate } = renderPrompt(task, uid, {
+    farmProfile: cacheable ? sharedFarmProfile(farmProfile) : farmProfile,
+    language,
+    question,
+    hasHistory: history.turns.length > 0 || Boolean(history.summary),
+    streaming: Boolean(options.streaming),
+    schemes,
+    clarifications: continuation ? continuation.clarifications : [],
+    agroContext: cacheable ? sharedAgroContext(agroContext) : agroContext,
+    inputLanguage,
+  });
+
+  const cacheKey = cacheable ?
+    buildAnswerCacheKey({ question, language, farmProfile, agroContext, history, promptTemplate }) :
+    null;
+
+  return {
+    question,
+    language,
+    inputLanguage,
+    conversationId,
+    history,
+    schemes,
+    agroContext,
+    systemPrompt: prompt,
+    promptTemplate,
+    cacheKey,
+    continuation,
+    followUp,
+  };
+}
+
+/**
+ * Extracts and parses the first JSON object in model output (in case there's extra text)
+ * @param {string} text - Raw model output
+ * @return {Object} The parsed object
+ * @throws {Error} If no valid JSON object is found
+ */
+function extractJsonObject(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new Error("No JSON found in response");
+  }
+  return JSON.parse(jsonMatch[0]);
+}
+
+/**
+ * Parses and validates model output against a response schema
+ * @param {string} text - Raw model output
+ * @param {Object} schema - Schema the parsed output must match
+ * @return {Object} { parsed: Object|null, errors: Array<string> }
+ */
+function parseValidatedResponse(text, schema) {
+  let parsed;
+  try {
+    parsed = extractJsonObject(text);
+  } catch (parseError) {
+    return { parsed: null, errors: [`response is not valid JSON: ${parseError.message}`] };
+  }
+
+  return { parsed, errors: validateAgainstSchema(parsed, schema) };
+}
+
+/**
+ * Builds the response used when the model output cannot be validated
+ * Keeps whatever answer text is available and marks the advice as low confidence
+ * @param {string} answerText - The best available answer text
+ * @return {Object} Fallback response matching ADVISOR_RESPONSE_SCHEMA
+ */
+function buildFallbackResponse(answerText) {
+  return {
+    answer: answerText,
+    confidence: "Low",
+    sources: [],
+    suggestions: [],
+  };
+}
+
+/**
+ * Generates a schema-validated advisor response, asking the model to repair invalid output
+ * @param {Object} provider - LLM provider
+ * @param {Array<Object>} contents - Multi-turn content for the request
+ * @param {Object} schema - Schema the response must match
+ * @return {Promise<Object>} { aiResponse, validation: { valid, repairAttempts, errors? } }
+ */
+async function generateValidatedResponse(provider, contents, schema = ADVISOR_RESPONSE_SCHEMA) {
+  let conversation = contents;
+  let responseText = "";
+  let parsed = null;
+  let errors = [];
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    const result = await provider.generate({ contents: conversation }, { json: true });
+    responseText = result.text;
+    ({ parsed, errors } = parseValidatedResponse(responseText, schema));
+
+    if (errors.length === 0) {
+      return {
+        aiResponse: parsed,
+        validation: { valid: true, repairAttempts: attempt },
+      };
+    }
+
+    console.warn(`AI response failed validation (attempt ${attempt + 1}):`, errors);
+
+    // Ask the model to fix its own output in the next turn
+    conversation = [
+      ...conversation,
+      { role: "model", parts: [{ text: responseText }] },
+      { role: "user", parts: [{ text: buildRepairPrompt(errors, schema) }] },
+    ];
+  }
+
+  console.error("AI response still invalid after repair, using fallback:", responseText);
+
+  const salvagedAnswer = parsed && typeof parsed.answer === "string" && parsed.answer.trim() ?
+    parsed.answer :
+    responseText.trim();
+
+  if (!salvagedAnswer) {
+    throw new Error("Invalid AI response: missing answer field");
+  }
+
+  return {
+    aiResponse: buildFallbackResponse(salvagedAnswer),
+    validation: { valid: false, repairAttempts: MAX_REPAIR_ATTEMPTS, errors },
+  };
+}
+
+/**
+ * Validates the metadata block of a streamed answer
+ * The answer text has already been delivered, so invalid metadata falls back without a repair round-trip
+ * @param {string} answer - The streamed answer text
+ * @param {string} metadataText - Raw metadata block following the stream marker
+ * @return {Object} { aiResponse, validation: { valid, repairAttempts, errors? } }
+ */
+function finalizeStreamedResponse(answer, metadataText) {
+  if (!answer) {
+    throw new Error("Invalid AI response: missing answer field");
+  }
+
+  const metadataSchema = omitProperties(ADVISOR_RESPONSE_SCHEMA, ["answer"]);
+  const { parsed, errors } = parseValidatedResponse(metadataText, metadataSchema);
+
+  if (errors.length > 0) {
+    console.error("Streamed metadata failed validation:", errors, metadataText);
+    return {
+      aiResponse: buildFallbackResponse(answer),
+      validation: { valid: false, repairAttempts: 0, errors },
+    };
+  }
+
+  return {
+    aiResponse: { ...parsed, answer },
+    validation: { valid: true, repairAttempts: 0 },
+  };
+}
+
+/**
+ * Saves a question and its answer to the user's chat history
+ * Low-confidence and safety-flagged answers also open an expert review ticket
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} turn - { question, language, farmProfile, farmId?, conversationId, history, aiResponse, validation,
+ *   safety, promptTemplate, agroContext?, inputLanguage?, cache?, continuation?, followUp?, model,
+ *   type?: "text" | "image" | "voice", details?: object of type-specific fields, chatId? } where language is the
+ *   answer language, inputLanguage is the detection result from detectInputLanguage, farmId is null for draft
+ *   farms, continuation marks the pending clarification it answers as answered, continuation or followUp links
+ *   the chat to its parent in the thread and chatId fills in a chat document created earlier (keeping its other
+ *   fields) instead of creating one
+ * @return {Promise<Object>} { chatId, conversationId, threadId, parentChatId, followUps, review } where followUps
+ *   is [{ id, text }] built from the suggestions and review is { ticketId, status, reasons } or null
+ */
+async function saveChatTurn(uid, turn) {
+  const { question, language, farmProfile, conversationId, history, aiResponse, validation, model } = turn;
+
+  const db = admin.firestore();
+  const chats = db.collection("users").doc(uid).collection("chats");
+  const chatRef = turn.chatId ? chats.doc(turn.chatId) : chats.doc();
+
+  // The first question of a conversation starts it; its chat ID becomes the conversation ID
+  const chatConversationId = conversationId || chatRef.id;
+
+  // Follow-ups and clarification answers hang under the chat they continue; other questions start a thread
+  const parent = turn.followUp ?
+    { chatId: turn.followUp.parentChatId, threadId: turn.followUp.threadId } :
+    turn.continuation && { chatId: turn.continuation.chatId, threadId: turn.continuation.threadId };
+
+  const chat = {
+    ...turn.details,
+    type: turn.type || "text",
+    userId: uid,
+    conversationId: chatConversationId,
+    turnIndex: history.turnIndex,
+    historySummary: history.summary,
+    summarizedTurns: history.summarizedTurns,
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    question: question,
+    answer: aiResponse.answer,
+    confidence: aiResponse.confidence,
+    sources: aiResponse.sources,
+    suggestions: aiResponse.suggestions,
+    followUps: buildFollowUps(aiResponse.suggestions),
+    threadId: parent ? parent.threadId : chatRef.id,
+    parentChatId: parent ? parent.chatId : null,
+    followUpId: turn.followUp ? turn.followUp.followUpId : null,
+    citations: aiResponse.citations || [],
+    language: language,
+    model: model,
+    responseValidation: validation,
+    safety: turn.safety || null,
+    promptTemplate: turn.promptTemplate || null,
+    cache: turn.cache || null,
+    clarification: aiResponse.clarification || null,
+    farmId: turn.farmId || null,
+    agroContext: turn.agroContext ? {
+      date: turn.agroContext.date,
+      season: turn.agroContext.season.id,
+      crops: turn.agroContext.crops.map((entry) => ({ crop: entry.crop, stage: entry.stage })),
+    } : null,
+    inputLanguage: turn.inputLanguage || null,
+    farmProfile: {
+      crops: farmProfile.crops || [],
+      location: farmProfile.location || {},
+      soilType: farmProfile.soilType || "",
+    },
+  };
+
+  // Queue weak or unsafe answers for an extension officer
+  const reasons = reviewReasons(aiResponse, turn.safety);
+  const batch = db.batch();
+  let review = null;
+
+  if (reasons.length > 0) {
+    const ticketRef = db.collection("reviewTickets").doc();
+    review = { ticketId: ticketRef.id, status: REVIEW_STATUS.OPEN, reasons };
+    chat.review = { ...review, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+    batch.set(ticketRef, buildReviewTicket(uid, chatRef.id, chat, reasons));
+  }
+
+  if (turn.continuation) {
+    chat.clarificationOf = turn.continuation.chatId;
+    chat.clarificationValues = turn.continuation.values;
+    batch.update(db.collection("users").doc(uid).collection("chats").doc(turn.continuation.chatId), {
+      "clarification.status": "answered",
+      "clarification.answeredChatId": chatRef.id,
+    });
+  }
+
+  batch.set(chatRef, chat, { merge: Boolean(turn.chatId) });
+  await batch.commit();
+
+  return {
+    chatId: chatRef.id,
+    conversationId: chatConversationId,
+    threadId: chat.threadId,
+    parentChatId: chat.parentChatId,
+    followUps: chat.followUps,
+    review,
+  };
+}
+
+/**
+ * Checks a validated model response before it reaches the farmer: scheme citations, clarification requests
+ * and the pesticide safety review
+ * Used for generated and streamed answers alike
+ * @param {Object} generatedResponse - Validated model response
+ * @param {Object} request - { schemes, farmProfile, language, continuation }
+ * @return {Object} { aiResponse, safety }
+ */
+function reviewGeneratedAdvice(generatedResponse, request) {
+  const { schemes, farmProfile, language, continuation } = request;
+
+  // Keep only citations of schemes we supplied, with names and links from Firestore
+  generatedResponse.citations = resolveSchemeCitations(generatedResponse.citations, schemes);
+
+  // Ask for missing facts instead of guessing; a continuation must answer with what it was given
+  const clarifiedResponse = buildClarificationResponse(generatedResponse, language, !continuation);
+
+  // Check recommended pesticides and doses before the advice reaches the farmer
+  return reviewAdviceSafety(clarifiedResponse, {
+    crops: farmProfile.crops || [],
+    language,
+  });
+}
+
+/**
+ * Generates a fresh answer: schema validation, then reviewGeneratedAdvice
+ * @param {Object} provider - LLM provider
+ * @param {Object} request - { history, systemPrompt, schemes, farmProfile, language, continuation }
+ * @return {Promise<Object>} { aiResponse, validation, safety }
+ */
+async function generateAdvice(provider, request) {
+  const { history, systemPrompt } = request;
+
+  // Generate a schema-validated response with prior turns as multi-turn content
+  const { aiResponse: generatedResponse, validation } = await generateValidatedResponse(
+      provider,
+      buildConversationContents(history, systemPrompt),
+  );
+
+  const { aiResponse, safety } = reviewGeneratedAdvice(generatedResponse, request);
+  return { aiResponse, validation, safety };
+}
+
+/**
+ * Builds the outcome of a turn served from the answer cache
+ * @param {Object} entry - Entry returned by getCachedAnswer
+ * @return {Object} { aiResponse, validation, safety, model, cached } as finishAdvisorTurn expects
+ */
+function adviceFromCache(entry) {
+  return {
+    aiResponse: entry.aiResponse,
+    validation: { valid: true, repairAttempts: 0 },
+    safety: entry.safety,
+    model: entry.model,
+    cached: entry,
+  };
+}
+
+/**
+ * Finishes an advisor turn, the same way for callable, streamed and voice answers
+ * Caches a fresh answer first, so the chat records whether other farmers are served the same answer, then
+ * saves the chat (opening a review ticket for weak or unsafe answers) and builds the response
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} request - Parsed request from parseAdvisorRequest
+ * @param {Object} turn - Result of prepareAdvisorTurn
+ * @param {Object} outcome - { aiResponse, validation, safety, model, cached } where cached is the answer cache
+ *   entry the answer was served from (see adviceFromCache), or null for a fresh answer
+ * @param {Object} options - { chatId?, type?, details? } passed on to saveChatTurn
+ * @return {Promise<Object>} The askGemini callable response
+ */
+async function finishAdvisorTurn(uid, request, turn, outcome, options = {}) {
+  const { farmId, farmProfile } = request;
+  const { question, language, inputLanguage, conversationId, history, promptTemplate, agroContext, cacheKey } = turn;
+  const { aiResponse, validation, safety, model, cached } = outcome;
+
+  const stored = cached ? false : await storeCachedAnswer(cacheKey, { aiResponse, validation, safety, model });
+  const cache = cacheMetadata(cacheKey, cached, stored);
+
+  const saved = await saveChatTurn(uid, {
+    question,
+    language,
+    farmProfile,
+    farmId,
+    conversationId,
+    history,
+    aiResponse,
+    validation,
+    safety,
+    promptTemplate,
+    agroContext,
+    inputLanguage,
+    cache,
+    continuation: turn.continuation,
+    followUp: turn.followUp,
+    model,
+    ...options,
+  });
+
+  return {
+    answer: aiResponse.answer,
+    confidence: aiResponse.confidence,
+    sources: aiResponse.sources,
+    suggestions: aiResponse.suggestions,
+    followUps: saved.followUps,
+    citations: aiResponse.citations,
+    clarification: aiResponse.clarification || null,
+    safetyWarnings: safety.warnings,
+    cache,
+    review: saved.review,
+    chatId: saved.chatId,
+    conversationId: saved.conversationId,
+    threadId: saved.threadId,
+    parentChatId: saved.parentChatId,
+    farmId,
+    language,
+    inputLanguage: summarizeInputLanguage(inputLanguage),
+  };
+}
+
+/**
+ * Answers an advisor question and saves it to the user's chat history
+ * Recurring first questions are served from the answer cache; fresh answers are generated and cached
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} request - Parsed request from parseAdvisorRequest
+ * @param {Object} provider - LLM provider, wrapped by trackProviderUsage
+ * @param {Object} options - { chatId?, type?, details? } passed on to saveChatTurn
+ * @return {Promise<Object>} { response, cacheHit } where response is the askGemini callable response
+ */
+async function answerAdvisorQuestion(uid, request, provider, options = {}) {
+  // Load history and schemes, then render the prompt selected for this task and user
+  const turn = await prepareAdvisorTurn(uid, request, provider);
+
+  // Serve recurring first questions from the answer cache
+  const cached = await getCachedAnswer(turn.cacheKey);
+  const outcome = cached ?
+    adviceFromCache(cached) :
+    {
+      ...(await generateAdvice(provider, { ...turn, farmProfile: request.farmProfile })),
+      model: provider.model,
+      cached: null,
+    };
+
+  const response = await finishAdvisorTurn(uid, request, turn, outcome, options);
+  return { response, cacheHit: Boolean(cached) };
+}
+
+/**
+ * Creates a splitter for streamed model output in the streaming prompt format
+ * Text before the metadata marker is released incrementally; the rest is kept as metadata
+ * @return {Object} { push(chunk): string, end(): { delta: string, answer: string, metadataText: string } }
+ */
+function createAnswerStreamSplitter() {
+  let buffer = "";
+  let answer = "";
+  let metadataText = "";
+  let inMetadata = false;
+
+  return {
+    push(chunk) {
+      if (inMetadata) {
+        metadataText += chunk;
+        return "";
+      }
+
+      buffer += chunk;
+      const markerIndex = buffer.indexOf(STREAM_METADATA_MARKER);
+
+      if (markerIndex !== -1) {
+        const delta = buffer.slice(0, markerIndex);
+        metadataText = buffer.slice(markerIndex + STREAM_METADATA_MARKER.length);
+        buffer = "";
+        inMetadata = true;
+        answer += delta;
+        return delta;
+      }
+
+      // Hold back a tail that could be the start of a marker split across chunks
+      const safeLength = Math.max(0, buffer.length - (STREAM_METADATA_MARKER.length - 1));
+      const delta = buffer.slice(0, safeLength);
+      buffer = buffer.slice(safeLength);
+      answer += delta;
+      return delta;
+    },
+
+    end() {
+      const delta = inMetadata ? "" : buffer;
+      answer += delta;
+      buffer = "";
+
+      return {
+        delta,
+        answer: answer.trim(),
+        metadataText: metadataText.trim(),
+      };
+    },
+  };
+}
+
+module.exports = {
+  parseAdvisorRequest,
+  prepareAdvisorTurn,
+  loadAdvisorHistory,
+  loadSchemeContext,
+  generateValidatedResponse,
+  finalizeStreamedResponse,
+  saveChatTurn,
+  reviewGeneratedAdvice,
+  adviceFromCache,
+  finishAdvisorTurn,
+  answerAdvisorQuestion,
+  createAnswerStreamSplitter,
+};
@@ -0,0 +1,59 @@
+const assert = require("assert");
+const { createAnswerStreamSplitter, finalizeStreamedResponse } = require("./advisor");
+const { STREAM_METADATA_MARKER } = require("../prompts/agricultural");
+
+const METADATA = JSON.stringify({ confidence: "High", sources: ["ICAR"], suggestions: ["Irrigate at dusk"] });
+
+describe("createAnswerStreamSplitter", () => {
+  it("streams the answer and keeps the metadata back", () => {
+    const splitter = createAnswerStreamSplitter();
+    const chunks = [`Apply urea in two splits.${STREAM_METADATA_MARKER}`, METADATA];
+    const deltas = chunks.map((chunk) => splitter.push(chunk));
+    const end = splitter.end();
+
+    assert.strictEqual(deltas.join("") + end.delta, "Apply urea in two splits.");
+    assert.strictEqual(end.answer, "Apply urea in two splits.");
+    assert.strictEqual(end.metadataText, METADATA);
+  });
+
+  it("finds a marker split across chunks without streaming part of it", () => {
+    const splitter = createAnswerStreamSplitter();
+    const text = `Water weekly. ${STREAM_METADATA_MARKER}${METADATA}`;
+    let streamed = "";
+    for (let i = 0; i < text.length; i += 5) {
+      streamed += splitter.push(text.slice(i, i + 5));
+    }
+    const end = splitter.end();
+
+    assert.strictEqual(streamed + end.delta, "Water weekly. ");
+    assert.ok(!streamed.includes("<<<"));
+    assert.strictEqual(end.answer, "Water weekly.");
+    assert.strictEqual(end.metadataText, METADATA);
+  });
+
+  it("streams everything when no marker arrives", () => {
+    const splitter = createAnswerStreamSplitter();
+    const streamed = splitter.push("Use neem oil <<") + splitter.end().delta;
+    assert.strictEqual(streamed, "Use neem oil <<");
+  });
+});
+
+describe("finalizeStreamedResponse", () => {
+  it("combines the answer with valid metadata", () => {
+    const { aiResponse, validation } = finalizeStreamedResponse("Apply urea.", METADATA);
+    assert.deepStrictEqual(aiResponse, { ...JSON.parse(METADATA), answer: "Apply urea." });
+    assert.deepStrictEqual(validation, { valid: true, repairAttempts: 0 });
+  });
+
+  it("falls back to a low-confidence response when the metadata is invalid", () => {
+    const { aiResponse, validation } = finalizeStreamedResponse("Apply urea.", "{\"confidence\": \"Sure\"}");
+    assert.strictEqual(aiResponse.answer, "Apply urea.");
+    assert.strictEqual(aiResponse.confidence, "Low");
+    assert.strictEqual(validation.valid, false);
+    assert.ok(validation.errors.length > 0);
+  });
+
+  it("rejects an empty answer", () => {
+    assert.throws(() => finalizeStreamedResponse("", METADATA), /missing answer field/);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Agro-calendar
+ * Derives the current cropping season (Kharif, Rabi or Zaid) and the typical growth stage of each crop
+ * from today's date and the farm's state, so prompts no longer depend on a season the farmer set by hand.
+ * Season start dates per state and crop sowing windows are data in data/agroCalendar.json.
+ */
+
+const calendar = require("../data/agroCalendar.json");
+const { DAY_MS, istDateKey } = require("./dates");
+
+/**
+ * Converts a date key to a day number (days since the epoch)
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @return {number} Day number
+ */
+function toDayNumber(dateKey) {
+  return Date.parse(`${dateKey}T00:00:00Z`) / DAY_MS;
+}
+
+/**
+ * Converts a day number back to a date key
+ * @param {number} day - Day number
+ * @return {string} Date as YYYY-MM-DD
+ */
+function toDateKey(day) {
+  return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Lists season starts around a day, oldest first
+ * @param {Object} starts - Season id to "MM-DD" start date
+ * @param {number} today - Day number
+ * @return {Array<Object>} [{ id, startDay }] covering the previous, current and next year
+ */
+function seasonOccurrences(starts, today) {
+  const year = new Date(today * DAY_MS).getUTCFullYear();
+  const occurrences = [];
+
+  for (const offset of [-1, 0, 1]) {
+    for (const [id, monthDay] of Object.entries(starts)) {
+      occurrences.push({ id, startDay: toDayNumber(`${year + offset}-${monthDay}`) });
+    }
+  }
+
+  return occurrences.sort((a, b) => a.startDay - b.startDay);
+}
+
+/**
+ * Finds the most recent start of one of the given seasons
+ * @param {Object} starts - Season id to "MM-DD" start date
+ * @param {number} today - Day number
+ * @param {Array<string>} seasonIds - Seasons to consider
+ * @return {Object|null} { id, startDay, endDay }, where endDay is the day before the next season starts
+ */
+function latestSeasonStart(starts, today, seasonIds) {
+  const occurrences = seasonOccurrences(starts, today);
+  let latest = null;
+
+  occurrences.forEach((occurrence, index) => {
+    if (occurrence.startDay <= today && seasonIds.includes(occurrence.id)) {
+      latest = { ...occurrence, endDay: occurrences[index + 1].startDay - 1 };
+    }
+  });
+
+  return latest;
+}
+
+/**
+ * Finds a crop in the calendar by id, name or local alias
+ * @param {string} cropName - Crop name as entered by the farmer
+ * @return {Object|null} { id, crop } or null if the crop is not in the calendar
+ */
+function findCrop(cropName) {
+  const name = String(cropName).trim().toLowerCase();
+
+  for (const [id, crop] of Object.entries(calendar.crops)) {
+    if (id === name || crop.name.toLowerCase() === name || crop.aliases.includes(name)) {
+      return { id, crop };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Estimates where a crop typically is in its cycle today
+ * Uses the crop's most recent season in this state and the middle of its sowing window
+ * @param {string} cropName - Crop name as entered by the farmer
+ * @param {Object} starts - Season start dates for the farm's state
+ * @param {string|null} state - Lowercase state name
+ * @param {number} today - Day number
+ * @return {Object} { crop, season, stage, daysSinceSowing, sowingWindow: { from, to } }; stage is null when
+ *   the crop is not in the calendar or not grown in this state
+ */
+function cropStage(cropName, starts, state, today) {
+  const match = findCrop(cropName);
+  const unknown = { crop: cropName, season: null, stage: null, daysSinceSowing: null, sowingWindow: null };
+  if (!match) {
+    return unknown;
+  }
+
+  const { crop } = match;
+  const seasonIds = Object.keys(crop.seasons).filter((seasonId) => {
+    const states = crop.seasons[seasonId].states;
+    return !states || (state && states.includes(state));
+  });
+
+  const season = latestSeasonStart(starts, today, seasonIds);
+  if (!season) {
+    return { ...unknown, crop: crop.name };
+  }
+
+  const [firstDay, lastDay] = crop.seasons[season.id].sowingDays;
+  const sowingWindow = {
+    from: toDateKey(season.startDay + firstDay),
+    to: toDateKey(season.startDay + lastDay),
+  };
+  const result = { crop: crop.name, season: season.id, sowingWindow };
+
+  if (today < season.startDay + firstDay) {
+    return { ...result, stage: "land preparation", daysSinceSowing: null };
+  }
+  if (today <= season.startDay + lastDay) {
+    return { ...result, stage: "sowing", daysSinceSowing: null };
+  }
+
+  const daysSinceSowing = today - (season.startDay + Math.round((firstDay + lastDay) / 2));
+  const stage = crop.stages.find((entry) => daysSinceSowing <= entry.untilDay);
+
+  return {
+    ...result,
+    stage: stage ? stage.stage : "harvested",
+    daysSinceSowing,
+  };
+}
+
+/**
+ * Derives the season and typical crop stages for a farm on a date
+ * @param {Object} farmProfile - The farm profile (crops and location.state are used)
+ * @param {number} now - Time in milliseconds (defaults to now); the date is taken in IST
+ * @return {Object} { date, state, stateCalendar, season: { id, name, startDate, endDate, dayOfSeason }, crops }
+ *   stateCalendar is false when the state has no entry and the national season dates were used
+ */
+function getAgroContext(farmProfile, now = Date.now()) {
+  const date = istDateKey(now);
+  const today = toDayNumber(date);
+
+  const location = farmProfile.location || {};
+  const state = typeof location.state === "string" && location.state.trim() ?
+    location.state.trim().toLowerCase() :
+    null;
+  const stateStarts = state && calendar.seasonStarts.states[state];
+  const starts = stateStarts || calendar.seasonStarts.default;
+
+  const season = latestSeasonStart(starts, today, Object.keys(starts));
+
+  return {
+    date,
+    state,
+    stateCalendar: Boolean(stateStarts),
+    season: {
+      id: season.id,
+      name: calendar.seasonNames[season.id],
+      startDate: toDateKey(season.startDay),
+      endDate: toDateKey(season.endDay),
+      dayOfSeason: today - season.startDay + 1,
+    },
+    crops: (farmProfile.crops || []).map((cropName) => cropStage(cropName, starts, state, today)),
+  };
+}
+
+module.exports = {
+  findCrop,
+  getAgroContext,
+};
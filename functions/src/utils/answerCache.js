@@ -0,0 +1,338 @@
+/**
+ * Answer cache for recurring questions
+ * Farmers in the same area ask near-identical questions every season, so validated answers are cached
+ * in the answerCache collection, keyed on the normalized question, language, prompt template version, the
+ * farm fields of sharedFarmProfile and the season and crop stages of sharedAgroContext. Cacheable questions
+ * are answered from those reduced contexts, so a cached answer never depends on (or names) one farmer's
+ * village or farm size, and is only served to farmers whose crops are at the same typical stage. Entries
+ * expire via expiresAt (a Firestore TTL field) and can be invalidated by admins.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const { PROMPT_TASKS } = require("../prompts/registry");
+const { REVIEW_STATUS } = require("./reviewQueue");
+
+const CACHE_COLLECTION = "answerCache";
+
+// How long a cached answer stays valid, per prompt task. Scheme details change more often than agronomy.
+const CACHE_TTL_HOURS = {
+  [PROMPT_TASKS.GENERAL_ADVICE]: 30 * 24,
+  [PROMPT_TASKS.SCHEME_HELP]: 24,
+};
+
+// Questions shorter than this after normalization are too vague to share an answer
+const MIN_QUESTION_TERMS = 2;
+
+// Firestore batch write limit
+const MAX_BATCH_SIZE = 500;
+
+// Filler words dropped during normalization so rephrasings map to the same key
+const STOPWORDS = new Set([
+  // English
+  "a", "an", "the", "for", "of", "in", "at", "on", "to", "is", "are", "what", "which", "how", "much", "many",
+  "should", "i", "my", "me", "we", "our", "please", "and", "or", "with", "do", "does", "can", "could", "give",
+  "tell", "about", "use", "apply", "required", "needed", "best",
+  // Hindi (romanized and Devanagari)
+  "kya", "hai", "ka", "ki", "ke", "mein", "me", "ko", "kaise", "kitna", "kitni", "bataye", "batao",
+  "क्या", "है", "का", "की", "के", "में", "को", "कैसे", "कितना", "कितनी", "मेरे", "मेरी", "बताएं", "बताइए",
+]);
+
+/**
+ * Normalizes a question so near-identical phrasings produce the same text
+ * Lowercases, strips punctuation, drops filler words and sorts the remaining terms
+ * @param {string} question - The farmer's question
+ * @return {string} Normalized question
+ */
+function normalizeQuestion(question) {
+  const terms = question
+      .toLowerCase()
+      .normalize("NFC")
+      .split(/[^\p{L}\p{M}\p{N}]+/u)
+      .filter((term) => term && !STOPWORDS.has(term));
+
+  return [...new Set(terms)].sort().join(" ");
+}
+
+/**
+ * Checks whether answer caching is turned on for this deployment
+ * @return {boolean} False when ANSWER_CACHE_ENABLED is "false"
+ */
+function isAnswerCacheEnabled() {
+  return process.env.ANSWER_CACHE_ENABLED !== "false";
+}
+
+/**
+ * Checks whether a question's answer may be cached and shared
+ * Follow-up questions depend on earlier turns, so only the first question of a conversation is cached
+ * @param {Object} turn - { question, task, history } where task is one of PROMPT_TASKS
+ * @return {boolean} True if the answer is looked up in and stored to the cache
+ */
+function isCacheableTurn(turn) {
+  const { question, task, history } = turn;
+
+  if (!isAnswerCacheEnabled() || !CACHE_TTL_HOURS[task]) {
+    return false;
+  }
+  if (history.turns.length > 0 || history.summary) {
+    return false;
+  }
+  return normalizeQuestion(question).split(" ").length >= MIN_QUESTION_TERMS;
+}
+
+/**
+ * Reduces a farm profile to the fields a shared answer may depend on
+ * Cacheable questions are answered from this profile instead of the full one, and every field in it is
+ * part of the cache key. Village and farm area are left out: they identify the farmer and would split the
+ * cache per farm.
+ * @param {Object} farmProfile - The farmer's farm profile
+ * @return {Object} { crops, location: { district, state }, soilType, irrigationType }, normalized to lowercase
+ */
+function sharedFarmProfile(farmProfile) {
+  const location = farmProfile.location || {};
+  const normalize = (value) => String(value || "").trim().toLowerCase();
+
+  return {
+    crops: (farmProfile.crops || []).map(normalize).filter(Boolean).sort(),
+    location: {
+      district: normalize(location.district),
+      state: normalize(location.state),
+    },
+    soilType: normalize(farmProfile.soilType),
+    irrigationType: normalize(farmProfile.irrigationType),
+  };
+}
+
+/**
+ * Reduces the derived crop calendar to what a shared answer may depend on
+ * Today's date, the day of the season and days since sowing change daily while a cached answer lives for
+ * weeks, so cacheable questions only see each crop's typical stage, which is part of the cache key.
+ * @param {Object} agroContext - Result of getAgroContext
+ * @return {Object} The agro context with date, season.dayOfSeason and crops[].daysSinceSowing set to null
+ */
+function sharedAgroContext(agroContext) {
+  return {
+    ...agroContext,
+    date: null,
+    season: { ...agroContext.season, dayOfSeason: null },
+    crops: agroContext.crops.map((entry) => ({ ...entry, daysSinceSowing: null })),
+  };
+}
+
+/**
+ * Builds the cache key for a question, or null when the question is not cacheable
+ * @param {Object} request - { question, language, farmProfile, agroContext, history, promptTemplate } where
+ *   agroContext is the derived season and crop stages from getAgroContext
+ * @return {Object|null} { key, fields } where fields are stored on the entry for invalidation
+ */
+function buildAnswerCacheKey(request) {
+  const { question, language, farmProfile, agroContext, history, promptTemplate } = request;
+
+  if (!isCacheableTurn({ question, task: promptTemplate.task, history })) {
+    return null;
+  }
+
+  const farm = sharedFarmProfile(farmProfile);
+  const fields = {
+    normalizedQuestion: normalizeQuestion(question),
+    language,
+    crops: farm.crops,
+    state: farm.location.state,
+    district: farm.location.district,
+    soilType: farm.soilType,
+    irrigationType: farm.irrigationType,
+    season: String(agroContext.season.id || "").toLowerCase(),
+    cropStages: agroContext.crops.map((entry) => `${entry.crop.toLowerCase()}:${entry.stage || "unknown"}`).sort(),
+    task: promptTemplate.task,
+    template: `${promptTemplate.templateId}@v${promptTemplate.version}`,
+  };
+
+  const key = crypto
+      .createHash("sha256")
+      .update(JSON.stringify([
+        fields.normalizedQuestion,
+        fields.language,
+        fields.crops,
+        fields.state,
+        fields.district,
+        fields.soilType,
+        fields.irrigationType,
+        fields.season,
+        fields.cropStages,
+        fields.template,
+      ]))
+      .digest("hex");
+
+  return { key, fields };
+}
+
+/**
+ * Looks up a cached answer and counts the hit
+ * Cache errors never fail the request; they are logged and treated as a miss
+ * @param {Object|null} cacheKey - Key returned by buildAnswerCacheKey
+ * @return {Promise<Object|null>} Cached entry { aiResponse, safety, model, cachedAt, expiresAt } or null
+ */
+async function getCachedAnswer(cacheKey) {
+  if (!cacheKey) {
+    return null;
+  }
+
+  try {
+    const docRef = admin.firestore().collection(CACHE_COLLECTION).doc(cacheKey.key);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return null;
+    }
+
+    const entry = doc.data();
+    if (entry.expiresAt.toMillis() <= Date.now()) {
+      return null;
+    }
+
+    await docRef.update({
+      hitCount: admin.firestore.FieldValue.increment(1),
+      lastHitAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return entry;
+  } catch (error) {
+    console.warn("Answer cache lookup failed:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Stores a validated answer in the cache
+ * Low confidence answers, clarification requests, unrepaired responses and answers with safety violations
+ * are never cached
+ * @param {Object|null} cacheKey - Key returned by buildAnswerCacheKey
+ * @param {Object} entry - { aiResponse, validation, safety, model }
+ * @return {Promise<boolean>} True if the answer was stored
+ */
+async function storeCachedAnswer(cacheKey, entry) {
+  const { aiResponse, validation, safety, model } = entry;
+
+  if (!cacheKey || !validation.valid || aiResponse.confidence === "Low" || aiResponse.clarification ||
+      safety.violations.length > 0) {
+    return false;
+  }
+
+  try {
+    const ttlMs = CACHE_TTL_HOURS[cacheKey.fields.task] * 60 * 60 * 1000;
+
+    await admin.firestore().collection(CACHE_COLLECTION).doc(cacheKey.key).set({
+      ...cacheKey.fields,
+      aiResponse: {
+        answer: aiResponse.answer,
+        confidence: aiResponse.confidence,
+        sources: aiResponse.sources,
+        suggestions: aiResponse.suggestions,
+        citations: aiResponse.citations || [],
+      },
+      safety,
+      model,
+      hitCount: 0,
+      cachedAt: admin.firestore.FieldValue.serverTimestamp(),
+      expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + ttlMs),
+    });
+
+    return true;
+  } catch (error) {
+    console.warn("Answer cache write failed:", error.message);
+    return false;
+  }
+}
+
+/**
+ * Builds the cache metadata returned to clients and stored on the chat document
+ * @param {Object|null} cacheKey - Key returned by buildAnswerCacheKey
+ * @param {Object|null} entry - Cached entry on a hit
+ * @param {boolean} stored - Whether a fresh answer was written to the cache
+ * @return {Object} { hit, eligible, stored, cachedAt?, expiresAt? }
+ */
+function cacheMetadata(cacheKey, entry, stored = false) {
+  if (entry) {
+    return {
+      hit: true,
+      eligible: true,
+      stored: false,
+      cachedAt: entry.cachedAt.toDate().toISOString(),
+      expiresAt: entry.expiresAt.toDate().toISOString(),
+    };
+  }
+
+  return {
+    hit: false,
+    eligible: Boolean(cacheKey),
+    stored,
+  };
+}
+
+/**
+ * Checks whether a chat's answer is the one the answer cache serves to every farmer asking the question
+ * True only when the answer came from the cache or was written to it, and no expert has since replaced it.
+ * Eligible answers the cache refused (low confidence, clarifications, safety violations) are not shared.
+ * @param {Object|null} cache - Cache metadata from cacheMetadata, as stored on the chat
+ * @param {Object|null} review - Review state of the chat, if it was queued for review
+ * @return {boolean} True if the answer text is not personal to the farmer
+ */
+function isSharedAnswer(cache, review) {
+  if (!cache || !(cache.hit || cache.stored)) {
+    return false;
+  }
+  return !(review && review.status === REVIEW_STATUS.AMENDED);
+}
+
+/**
+ * Deletes cached answers matching the given filters
+ * @param {Object} filters - { language?, state?, crop?, season?, task?, all? }; all must be true to clear everything
+ * @return {Promise<number>} Number of entries deleted
+ * @throws {Error} If no filter is given without all: true
+ */
+async function invalidateAnswerCache(filters) {
+  let query = admin.firestore().collection(CACHE_COLLECTION);
+  let filtered = false;
+
+  for (const field of ["language", "state", "season", "task"]) {
+    if (filters[field]) {
+      query = query.where(field, "==", String(filters[field]).toLowerCase());
+      filtered = true;
+    }
+  }
+  if (filters.crop) {
+    query = query.where("crops", "array-contains", String(filters.crop).trim().toLowerCase());
+    filtered = true;
+  }
+
+  if (!filtered && filters.all !== true) {
+    throw new Error("Invalid filters. Provide language, state, crop, season or task, or set all to true");
+  }
+
+  let deleted = 0;
+  let snapshot = await query.limit(MAX_BATCH_SIZE).get();
+
+  while (!snapshot.empty) {
+    const batch = admin.firestore().batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+
+    deleted += snapshot.size;
+    snapshot = await query.limit(MAX_BATCH_SIZE).get();
+  }
+
+  return deleted;
+}
+
+module.exports = {
+  normalizeQuestion,
+  isCacheableTurn,
+  sharedFarmProfile,
+  sharedAgroContext,
+  buildAnswerCacheKey,
+  getCachedAnswer,
+  storeCachedAnswer,
+  cacheMetadata,
+  isSharedAnswer,
+  invalidateAnswerCache,
+};
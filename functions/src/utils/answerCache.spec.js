@@ -0,0 +1,215 @@
+const assert = require("assert");
+const {
+  normalizeQuestion,
+  isCacheableTurn,
+  sharedFarmProfile,
+  sharedAgroContext,
+  buildAnswerCacheKey,
+  cacheMetadata,
+  isSharedAnswer,
+} = require("./answerCache");
+const { renderPrompt } = require("../prompts/registry");
+
+const FARM = {
+  crops: ["Tomato", "Onion"],
+  location: { village: "Khed", district: "Pune", state: "Maharashtra" },
+  soilType: "Black",
+  irrigationType: "Drip",
+  area: { value: 3, unit: "acres" },
+};
+
+const AGRO = {
+  date: "2026-11-20",
+  state: "maharashtra",
+  stateCalendar: true,
+  season: { id: "rabi", name: "Rabi", startDate: "2026-10-15", endDate: "2027-03-14", dayOfSeason: 37 },
+  crops: [
+    {
+      crop: "Tomato",
+      season: "rabi",
+      stage: "flowering",
+      daysSinceSowing: 40,
+      sowingWindow: { from: "2026-10-01", to: "2026-10-20" },
+    },
+    {
+      crop: "Onion",
+      season: "rabi",
+      stage: "sowing",
+      daysSinceSowing: null,
+      sowingWindow: { from: "2026-11-01", to: "2026-12-15" },
+    },
+  ],
+};
+
+/**
+ * Moves the fixture calendar forward, optionally changing the tomato's stage
+ * @param {number} days - Days to move forward
+ * @param {string} [tomatoStage] - Tomato stage on the later date
+ * @return {Object} Agro context
+ */
+const laterAgro = (days, tomatoStage = "flowering") => ({
+  ...AGRO,
+  date: `2026-11-${20 + days}`,
+  season: { ...AGRO.season, dayOfSeason: AGRO.season.dayOfSeason + days },
+  crops: [{ ...AGRO.crops[0], stage: tomatoStage, daysSinceSowing: 40 + days }, AGRO.crops[1]],
+});
+
+const firstTurn = (overrides = {}) => ({
+  question: "What fertilizer should I use for tomato flowering?",
+  language: "en",
+  farmProfile: FARM,
+  agroContext: AGRO,
+  history: { turns: [], summary: null },
+  promptTemplate: { task: "general_advice", templateId: "general-advice", version: 2 },
+  ...overrides,
+});
+
+describe("normalizeQuestion", () => {
+  it("maps rephrasings to the same text", () => {
+    assert.strictEqual(
+        normalizeQuestion("What fertilizer should I use for Tomato flowering?"),
+        normalizeQuestion("tomato flowering: which fertilizer to apply"),
+    );
+  });
+
+  it("drops Hindi filler words", () => {
+    assert.strictEqual(normalizeQuestion("टमाटर में कौन सा खाद है?"), normalizeQuestion("खाद टमाटर कौन सा"));
+  });
+});
+
+describe("isCacheableTurn", () => {
+  const history = { turns: [], summary: null };
+
+  it("caches first questions of cacheable tasks", () => {
+    assert.strictEqual(isCacheableTurn({ question: "tomato fertilizer dose", task: "general_advice", history }), true);
+  });
+
+  it("skips follow-up turns, vague questions and uncached tasks", () => {
+    assert.strictEqual(isCacheableTurn({
+      question: "tomato fertilizer dose",
+      task: "general_advice",
+      history: { turns: [{ question: "hi" }], summary: null },
+    }), false);
+    assert.strictEqual(isCacheableTurn({ question: "what is tomato?", task: "general_advice", history }), false);
+    assert.strictEqual(isCacheableTurn({ question: "tomato fertilizer dose", task: "clarification", history }), false);
+  });
+});
+
+describe("buildAnswerCacheKey", () => {
+  it("gives the same key to farmers whose shared farm fields match", () => {
+    const other = { ...FARM, location: { ...FARM.location, village: "Junnar" }, area: { value: 10, unit: "acres" } };
+    assert.strictEqual(
+        buildAnswerCacheKey(firstTurn()).key,
+        buildAnswerCacheKey(firstTurn({ farmProfile: other })).key,
+    );
+  });
+
+  it("separates farms whose prompt context differs", () => {
+    const base = buildAnswerCacheKey(firstTurn()).key;
+    for (const farmProfile of [
+      { ...FARM, soilType: "Red" },
+      { ...FARM, irrigationType: "Rainfed" },
+      { ...FARM, location: { ...FARM.location, district: "Nashik" } },
+      { ...FARM, crops: ["Tomato"] },
+    ]) {
+      assert.notStrictEqual(buildAnswerCacheKey(firstTurn({ farmProfile })).key, base);
+    }
+    assert.notStrictEqual(buildAnswerCacheKey(firstTurn({ language: "hi" })).key, base);
+    const kharif = { ...AGRO, season: { ...AGRO.season, id: "kharif" } };
+    assert.notStrictEqual(buildAnswerCacheKey(firstTurn({ agroContext: kharif })).key, base);
+  });
+
+  it("keeps the key while the crops stay at the same stage", () => {
+    assert.strictEqual(
+        buildAnswerCacheKey(firstTurn({ agroContext: laterAgro(5) })).key,
+        buildAnswerCacheKey(firstTurn()).key,
+    );
+  });
+
+  it("separates farms whose crops are at different stages", () => {
+    assert.notStrictEqual(
+        buildAnswerCacheKey(firstTurn({ agroContext: laterAgro(5, "harvested") })).key,
+        buildAnswerCacheKey(firstTurn()).key,
+    );
+  });
+
+  it("returns null for turns that are not cacheable", () => {
+    assert.strictEqual(buildAnswerCacheKey(firstTurn({ question: "tomato?" })), null);
+  });
+});
+
+describe("sharedFarmProfile", () => {
+  it("keeps village and farm area out of prompts for cacheable questions", () => {
+    const { prompt } = renderPrompt("general_advice", "user-1", {
+      farmProfile: sharedFarmProfile(FARM),
+      language: "en",
+      question: firstTurn().question,
+      hasHistory: false,
+      streaming: false,
+      schemes: [],
+      clarifications: [],
+      agroContext: null,
+      inputLanguage: null,
+    });
+
+    assert.ok(!prompt.includes("Khed"));
+    assert.ok(!prompt.includes("3 acres"));
+    assert.ok(prompt.toLowerCase().includes("pune"));
+  });
+});
+
+describe("sharedAgroContext", () => {
+  it("keeps today's date and day counts out of prompts for cacheable questions", () => {
+    const render = (agroContext) => renderPrompt("general_advice", "user-1", {
+      farmProfile: sharedFarmProfile(FARM),
+      language: "en",
+      question: firstTurn().question,
+      hasHistory: false,
+      streaming: false,
+      schemes: [],
+      clarifications: [],
+      agroContext: sharedAgroContext(agroContext),
+      inputLanguage: null,
+    }).prompt;
+
+    const prompt = render(AGRO);
+    assert.ok(prompt.includes("Tomato (rabi): typically at the flowering stage"));
+    assert.ok(!prompt.includes("2026-11-20"));
+    assert.ok(!prompt.includes("days after sowing"));
+    assert.ok(!prompt.includes("day 37"));
+    assert.strictEqual(render(laterAgro(5)), prompt);
+  });
+});
+
+describe("isSharedAnswer", () => {
+  const cacheKey = { key: "abc", fields: {} };
+
+  it("shares answers served from the cache", () => {
+    const entry = {
+      cachedAt: { toDate: () => new Date("2026-10-01T00:00:00Z") },
+      expiresAt: { toDate: () => new Date("2026-10-31T00:00:00Z") },
+    };
+    assert.strictEqual(isSharedAnswer(cacheMetadata(cacheKey, entry), null), true);
+  });
+
+  it("shares answers written to the cache", () => {
+    assert.strictEqual(isSharedAnswer(cacheMetadata(cacheKey, null, true), null), true);
+  });
+
+  it("keeps eligible answers the cache refused private", () => {
+    const cache = cacheMetadata(cacheKey, null, false);
+    assert.strictEqual(cache.eligible, true);
+    assert.strictEqual(isSharedAnswer(cache, null), false);
+  });
+
+  it("keeps answers without cache metadata private", () => {
+    assert.strictEqual(isSharedAnswer(null, null), false);
+    assert.strictEqual(isSharedAnswer(cacheMetadata(null, null), null), false);
+  });
+
+  it("stops sharing an answer once an expert amends it", () => {
+    const cache = cacheMetadata(cacheKey, null, true);
+    assert.strictEqual(isSharedAnswer(cache, { status: "claimed" }), true);
+    assert.strictEqual(isSharedAnswer(cache, { status: "amended" }), false);
+  });
+});
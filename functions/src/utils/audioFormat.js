@@ -0,0 +1,250 @@
+/**
+ * Audio format detection
+ * Browsers and phones upload voice questions in many formats: Chrome records Opus in WebM, Firefox Opus in
+ * Ogg, WhatsApp shares Opus in Ogg or AMR, and older apps send MP3 or WAV. The stored content type is often
+ * generic ("application/octet-stream") or wrong, so the format is read from the file header and the content
+ * type is only a fallback for naming the format in errors. Speech-to-Text cannot decode AAC (Safari and iOS
+ * record AAC in MP4), Vorbis or AMR inside 3GP; those are rejected with an unsupported-audio-format error.
+ * Nothing is transcoded server-side: the web client converts AAC and 3GP recordings to WAV before uploading
+ * (src/utils/audio.js), so only files uploaded some other way reach this error.
+ */
+
+// Bytes of the file read to detect its format
+const HEADER_BYTES = 4096;
+
+// Sample rates Speech-to-Text accepts for OGG_OPUS
+const OGG_OPUS_SAMPLE_RATES = [8000, 12000, 16000, 24000, 48000];
+
+// Formats Speech-to-Text decodes, listed in unsupported-format errors
+const SUPPORTED_FORMATS = ["webm-opus", "ogg-opus", "amr", "amr-wb", "flac", "wav", "mp3"];
+
+// MPEG audio sample rates by version bits and sample rate index
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG 1
+  2: [22050, 24000, 16000], // MPEG 2
+  0: [11025, 12000, 8000], // MPEG 2.5
+};
+
+// MPEG audio bitrates in kbps by index, for MPEG 1 and MPEG 2/2.5 layer III
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+
+/**
+ * Checks whether a buffer holds an ASCII string at an offset
+ * @param {Buffer} header - File header
+ * @param {number} offset - Byte offset
+ * @param {string} text - Expected ASCII text
+ * @return {boolean} True when the bytes match
+ */
+function hasText(header, offset, text) {
+  return header.length >= offset + text.length && header.toString("latin1", offset, offset + text.length) === text;
+}
+
+/**
+ * Reads the format of a WAV file from its fmt chunk
+ * @param {Buffer} header - File header starting with RIFF....WAVE
+ * @return {Object} Detected format
+ */
+function detectWav(header) {
+  // Walk the chunks after "WAVE" to find "fmt "
+  let offset = 12;
+  while (offset + 8 <= header.length) {
+    const chunkSize = header.readUInt32LE(offset + 4);
+    if (hasText(header, offset, "fmt ") && offset + 24 <= header.length) {
+      const audioFormat = header.readUInt16LE(offset + 8);
+      const channels = header.readUInt16LE(offset + 10);
+      const sampleRateHertz = header.readUInt32LE(offset + 12);
+      const byteRate = header.readUInt32LE(offset + 16);
+      const bitsPerSample = header.readUInt16LE(offset + 22);
+
+      const decoded = { format: "wav", sampleRateHertz, channels, bitsPerSecond: byteRate * 8 };
+
+      // Linear PCM must be 16-bit; 7 is G.711 mu-law
+      if (audioFormat === 1 && bitsPerSample === 16) {
+        return { ...decoded, codec: "pcm", encoding: "LINEAR16" };
+      }
+      if (audioFormat === 7) {
+        return { ...decoded, codec: "mulaw", encoding: "MULAW" };
+      }
+      return { format: "wav", codec: `wav-format-${audioFormat}-${bitsPerSample}bit`, encoding: null };
+    }
+    offset += 8 + chunkSize + (chunkSize % 2);
+  }
+
+  return { format: "wav", codec: "unknown", encoding: null };
+}
+
+/**
+ * Reads the format of an Ogg file from its first packet
+ * @param {Buffer} header - File header starting with OggS
+ * @return {Object} Detected format
+ */
+function detectOgg(header) {
+  const opusHead = header.indexOf("OpusHead", 0, "latin1");
+  if (opusHead !== -1 && opusHead + 16 <= header.length) {
+    const channels = header.readUInt8(opusHead + 9);
+    const inputSampleRate = header.readUInt32LE(opusHead + 12);
+    return {
+      format: "ogg-opus",
+      codec: "opus",
+      encoding: "OGG_OPUS",
+      // The decoder runs at 48 kHz when the original rate is not one Speech-to-Text accepts
+      sampleRateHertz: OGG_OPUS_SAMPLE_RATES.includes(inputSampleRate) ? inputSampleRate : 48000,
+      channels,
+      bitsPerSecond: 32000,
+    };
+  }
+
+  if (header.indexOf("vorbis", 0, "latin1") !== -1) {
+    return { format: "ogg", codec: "vorbis", encoding: null };
+  }
+  if (header.indexOf("FLAC", 0, "latin1") !== -1) {
+    return { format: "ogg", codec: "flac", encoding: null };
+  }
+  return { format: "ogg", codec: "unknown", encoding: null };
+}
+
+/**
+ * Reads the format of a WebM (Matroska) file from its track codec ID
+ * @param {Buffer} header - File header starting with the EBML magic
+ * @return {Object} Detected format
+ */
+function detectWebm(header) {
+  if (header.indexOf("A_VORBIS", 0, "latin1") !== -1) {
+    return { format: "webm", codec: "vorbis", encoding: null };
+  }
+
+  // Opus always decodes at 48 kHz and the web recorder records at 128 kbps. The codec ID can sit beyond
+  // the bytes read, so WebM without a Vorbis track is taken as Opus, the only audio MediaRecorder writes to WebM
+  return { format: "webm-opus", codec: "opus", encoding: "WEBM_OPUS", sampleRateHertz: 48000, bitsPerSecond: 128000 };
+}
+
+/**
+ * Reads the format of an MP3 file from its first frame header
+ * @param {Buffer} header - File header
+ * @return {Object|null} Detected format, or null if no MPEG audio frame is found
+ */
+function detectMp3(header) {
+  let offset = 0;
+
+  // Skip an ID3v2 tag; its size is stored as a 28-bit syncsafe integer
+  if (hasText(header, 0, "ID3") && header.length >= 10) {
+    offset = 10 + ((header[6] & 0x7f) << 21 | (header[7] & 0x7f) << 14 | (header[8] & 0x7f) << 7 | (header[9] & 0x7f));
+  }
+
+  // A tag larger than the bytes read still marks the file as MP3; assume the most common frame settings
+  if (offset >= header.length - 4) {
+    return offset > 0 ?
+      { format: "mp3", codec: "mp3", encoding: "MP3", sampleRateHertz: 44100, bitsPerSecond: 128000 } :
+      null;
+  }
+
+  for (; offset < header.length - 4; offset++) {
+    if (header[offset] !== 0xff || (header[offset + 1] & 0xe0) !== 0xe0) {
+      continue;
+    }
+
+    const versionBits = (header[offset + 1] >> 3) & 0x03;
+    const layerBits = (header[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = header[offset + 2] >> 4;
+    const sampleRateIndex = (header[offset + 2] >> 2) & 0x03;
+
+    // Layer III only (layer bits 01), with valid version, bitrate and sample rate
+    if (layerBits !== 1 || !MP3_SAMPLE_RATES[versionBits] || sampleRateIndex === 3 ||
+        bitrateIndex === 0 || bitrateIndex === 15) {
+      continue;
+    }
+
+    const bitrates = versionBits === 3 ? MP3_BITRATES.mpeg1 : MP3_BITRATES.mpeg2;
+    return {
+      format: "mp3",
+      codec: "mp3",
+      encoding: "MP3",
+      sampleRateHertz: MP3_SAMPLE_RATES[versionBits][sampleRateIndex],
+      bitsPerSecond: bitrates[bitrateIndex] * 1000,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Names the format suggested by a content type, for files whose header is not recognized
+ * @param {string} contentType - Stored content type
+ * @return {string} Format name
+ */
+function formatFromContentType(contentType) {
+  const type = (contentType || "").split(";")[0].trim().toLowerCase();
+  if (!type || type === "application/octet-stream") {
+    return "unknown";
+  }
+  return type.replace(/^audio\//, "");
+}
+
+/**
+ * Detects the format of an audio file and the Speech-to-Text settings that decode it
+ * @param {Buffer} header - The first HEADER_BYTES bytes of the file
+ * @param {string} contentType - Stored content type, used when the header is not recognized
+ * @return {Object} { format, codec, encoding, sampleRateHertz?, channels?, bitsPerSecond?, supported } where
+ *   encoding is the Speech-to-Text encoding, or null when Speech-to-Text cannot decode the file
+ */
+function detectAudioFormat(header, contentType) {
+  let detected = null;
+
+  if (header.length >= 4 && header.readUInt32BE(0) === 0x1a45dfa3) {
+    detected = detectWebm(header);
+  } else if (hasText(header, 0, "OggS")) {
+    detected = detectOgg(header);
+  } else if (hasText(header, 0, "#!AMR-WB\n")) {
+    detected = { format: "amr-wb", codec: "amr-wb", encoding: "AMR_WB", sampleRateHertz: 16000, bitsPerSecond: 23850 };
+  } else if (hasText(header, 0, "#!AMR\n")) {
+    detected = { format: "amr", codec: "amr", encoding: "AMR", sampleRateHertz: 8000, bitsPerSecond: 12200 };
+  } else if (hasText(header, 0, "fLaC")) {
+    // Speech-to-Text reads the sample rate from the FLAC header
+    detected = { format: "flac", codec: "flac", encoding: "FLAC" };
+  } else if (hasText(header, 0, "RIFF") && hasText(header, 8, "WAVE")) {
+    detected = detectWav(header);
+  } else if (hasText(header, 4, "ftyp")) {
+    // MP4, M4A and 3GP share the ISO base media container; Speech-to-Text decodes none of them
+    const brand = header.toString("latin1", 8, 12);
+    detected = {
+      format: brand.startsWith("3g") ? "3gp" : "mp4",
+      codec: header.indexOf("samr", 0, "latin1") !== -1 ? "amr" : "aac",
+      encoding: null,
+    };
+  } else {
+    detected = detectMp3(header) || { format: formatFromContentType(contentType), codec: "unknown", encoding: null };
+  }
+
+  return { ...detected, supported: Boolean(detected.encoding) };
+}
+
+/**
+ * Builds the error thrown for a file Speech-to-Text cannot decode
+ * @param {Object} detected - Result of detectAudioFormat
+ * @param {string} contentType - Stored content type
+ * @return {Error} Error with an audioFormat property { reason, format, codec, contentType, supportedFormats }
+ */
+function unsupportedAudioFormatError(detected, contentType) {
+  const name = detected.codec === "unknown" ? detected.format : `${detected.codec} in ${detected.format}`;
+  const error = new Error(
+      `Unsupported audio format: ${name}. Send the recording as ${SUPPORTED_FORMATS.join(", ")}`,
+  );
+  error.audioFormat = {
+    reason: "unsupported-audio-format",
+    format: detected.format,
+    codec: detected.codec,
+    contentType: contentType || null,
+    supportedFormats: SUPPORTED_FORMATS,
+  };
+  return error;
+}
+
+module.exports = {
+  HEADER_BYTES,
+  SUPPORTED_FORMATS,
+  detectAudioFormat,
+  unsupportedAudioFormatError,
+};
@@ -0,0 +1,101 @@
+const assert = require("assert");
+const { detectAudioFormat, unsupportedAudioFormatError } = require("./audioFormat");
+
+/**
+ * Builds a minimal WAV header
+ * @param {number} audioFormat - WAVE format code
+ * @param {number} bitsPerSample - Bits per sample
+ * @return {Buffer} Header
+ */
+function wavHeader(audioFormat, bitsPerSample) {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "latin1");
+  header.write("WAVE", 8, "latin1");
+  header.write("fmt ", 12, "latin1");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(16000 * bitsPerSample / 8, 28);
+  header.writeUInt16LE(bitsPerSample, 34);
+  return header;
+}
+
+/**
+ * Builds an ISO base media header with a brand and sample entry
+ * @param {string} brand - Major brand, such as "M4A " or "3gp4"
+ * @param {string} sampleEntry - Audio sample entry, such as "mp4a" or "samr"
+ * @return {Buffer} Header
+ */
+function isoHeader(brand, sampleEntry) {
+  return Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from(`ftyp${brand}`, "latin1"),
+    Buffer.alloc(16), Buffer.from(sampleEntry, "latin1")]);
+}
+
+describe("detectAudioFormat", () => {
+  it("reads WebM as Opus at 48 kHz", () => {
+    const header = Buffer.concat([Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), Buffer.from("A_OPUS", "latin1")]);
+    const detected = detectAudioFormat(header, "audio/webm");
+    assert.strictEqual(detected.encoding, "WEBM_OPUS");
+    assert.strictEqual(detected.sampleRateHertz, 48000);
+    assert.strictEqual(detected.supported, true);
+  });
+
+  it("reads the sample rate and channels of Ogg Opus", () => {
+    const opusHead = Buffer.alloc(19);
+    opusHead.write("OpusHead", 0, "latin1");
+    opusHead.writeUInt8(1, 8);
+    opusHead.writeUInt8(2, 9);
+    opusHead.writeUInt32LE(16000, 12);
+    const detected = detectAudioFormat(Buffer.concat([Buffer.from("OggS", "latin1"), Buffer.alloc(24), opusHead]));
+    assert.strictEqual(detected.encoding, "OGG_OPUS");
+    assert.strictEqual(detected.sampleRateHertz, 16000);
+    assert.strictEqual(detected.channels, 2);
+  });
+
+  it("reads AMR files shared from WhatsApp", () => {
+    assert.strictEqual(detectAudioFormat(Buffer.from("#!AMR\n", "latin1")).encoding, "AMR");
+    assert.strictEqual(detectAudioFormat(Buffer.from("#!AMR-WB\n", "latin1")).encoding, "AMR_WB");
+  });
+
+  it("accepts 16-bit PCM WAV and rejects other WAV formats", () => {
+    const pcm = detectAudioFormat(wavHeader(1, 16));
+    assert.strictEqual(pcm.encoding, "LINEAR16");
+    assert.strictEqual(pcm.sampleRateHertz, 16000);
+    assert.strictEqual(detectAudioFormat(wavHeader(3, 32)).supported, false);
+  });
+
+  it("reads the sample rate and bitrate of MP3 after an ID3 tag", () => {
+    // 10-byte ID3v2 header with an empty tag, then an MPEG 1 layer III frame at 128 kbps and 44.1 kHz
+    const header = Buffer.concat([Buffer.from("ID3\x03\x00\x00\x00\x00\x00\x00", "latin1"),
+      Buffer.from([0xff, 0xfb, 0x90, 0x64]), Buffer.alloc(8)]);
+    const detected = detectAudioFormat(header, "audio/mpeg");
+    assert.strictEqual(detected.encoding, "MP3");
+    assert.strictEqual(detected.sampleRateHertz, 44100);
+    assert.strictEqual(detected.bitsPerSecond, 128000);
+  });
+
+  it("rejects AAC in MP4 and AMR in 3GP", () => {
+    assert.deepStrictEqual(detectAudioFormat(isoHeader("M4A ", "mp4a"), "audio/mp4"),
+        { format: "mp4", codec: "aac", encoding: null, supported: false });
+    assert.deepStrictEqual(detectAudioFormat(isoHeader("3gp4", "samr"), "audio/3gpp"),
+        { format: "3gp", codec: "amr", encoding: null, supported: false });
+  });
+
+  it("names unrecognized files after their content type", () => {
+    const detected = detectAudioFormat(Buffer.from("not audio at all"), "audio/x-ms-wma");
+    assert.strictEqual(detected.format, "x-ms-wma");
+    assert.strictEqual(detected.supported, false);
+    assert.strictEqual(detectAudioFormat(Buffer.alloc(0), "application/octet-stream").format, "unknown");
+  });
+});
+
+describe("unsupportedAudioFormatError", () => {
+  it("describes the file and the formats to send instead", () => {
+    const error = unsupportedAudioFormatError({ format: "mp4", codec: "aac" }, "audio/mp4");
+    assert.ok(error.message.startsWith("Unsupported audio format: aac in mp4."));
+    assert.strictEqual(error.audioFormat.reason, "unsupported-audio-format");
+    assert.strictEqual(error.audioFormat.contentType, "audio/mp4");
+    assert.ok(error.audioFormat.supportedFormats.includes("wav"));
+  });
+});
@@ -23,6 +23,58 @@ async function validateAuth(context) {
   return context.auth.uid;
 }
 
+/**
+ * Validates that the caller is signed in with one of the given roles
+ * Roles are set as the "role" custom claim on the user's ID token (e.g. "admin")
+ * @param {Object} context - The Cloud Function context
+ * @param {Array<string>} allowedRoles - Roles allowed to call the function
+ * @return {string} The authenticated user ID
+ * @throws {Error} If authentication fails or the caller lacks the role
+ */
+async function validateRole(context, allowedRoles) {
+  const uid = await validateAuth(context);
+  const role = context.auth.token && context.auth.token.role;
+
+  if (!allowedRoles.includes(role)) {
+    throw new Error(`Permission denied: requires role ${allowedRoles.join(" or ")}`);
+  }
+
+  return uid;
+}
+
+/**
+ * Verifies the Firebase ID token sent as a Bearer token on an HTTP request
+ * Used by onRequest functions, which do not receive a callable auth context
+ * @param {Object} req - The HTTP request
+ * @return {Object} The decoded ID token, including uid and custom claims such as role
+ * @throws {Error} If authentication fails
+ */
+async function validateRequestToken(req) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer (.+)$/);
+
+  if (!match) {
+    throw new Error("Unauthenticated: No auth token provided");
+  }
+
+  try {
+    return await admin.auth().verifyIdToken(match[1]);
+  } catch (error) {
+    throw new Error("Unauthenticated: Invalid auth token");
+  }
+}
+
+/**
+ * Validates the Firebase ID token sent as a Bearer token on an HTTP request
+ * @param {Object} req - The HTTP request
+ * @return {string} The authenticated user ID
+ * @throws {Error} If authentication fails
+ */
+async function validateRequestAuth(req) {
+  const decodedToken = await validateRequestToken(req);
+  return decodedToken.uid;
+}
+
 /**
  * Validates authentication and returns user data
  * @param {Object} context - The Cloud Function context
@@ -46,5 +98,8 @@ async function validateAuthWithUser(context) {
 
 module.exports = {
   validateAuth,
+  validateRole,
+  validateRequestToken,
+  validateRequestAuth,
   validateAuthWithUser,
 };
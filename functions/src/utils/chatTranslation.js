@@ -0,0 +1,107 @@
+/**
+ * Chat translations
+ * A chat stores its question and answer in the one language they were answered in. Translations into other
+ * supported languages are made on demand and cached on the chat document in a translations map keyed by
+ * language code, so a farmer can listen in Tamil to an answer their son read in English without paying for
+ * the translation twice. An expert amending the answer clears the cached translations (see reviewQueue.js).
+ */
+
+const admin = require("firebase-admin");
+const { buildTranslationPrompt } = require("../prompts/agricultural");
+const { TRANSLATION_RESPONSE_SCHEMA } = require("./responseSchema");
+const { generateValidatedResponse } = require("./advisor");
+const { isSharedAnswer } = require("./answerCache");
+
+/**
+ * Reads the original question and answer of a chat
+ * @param {Object} chat - Chat document data
+ * @return {Object} { language, question, answer, suggestions }
+ */
+function originalText(chat) {
+  return {
+    language: chat.language,
+    question: chat.question,
+    answer: chat.answer,
+    suggestions: chat.suggestions || [],
+  };
+}
+
+/**
+ * Returns a chat's question and answer in a language, translating and caching them on first use
+ * @param {string} uid - The authenticated user ID, who owns the chat
+ * @param {string} chatId - Chat document ID
+ * @param {string} language - Validated target language code
+ * @param {Object} provider - LLM provider, only called when no cached translation exists
+ * @return {Promise<Object>} { language, sourceLanguage, question, answer, suggestions, original, cached, shared }
+ *   where original is true when the chat was answered in the requested language and shared is true when the
+ *   text is an answer the answer cache serves to other farmers as well (see isSharedAnswer)
+ * @throws {Error} If the chat does not exist or the model's translation is unusable
+ */
+async function getChatTranslation(uid, chatId, language, provider) {
+  const chatRef = admin.firestore().collection("users").doc(uid).collection("chats").doc(chatId);
+  const chatDoc = await chatRef.get();
+  if (!chatDoc.exists) {
+    throw new Error("Chat not found");
+  }
+
+  const chat = chatDoc.data();
+  const source = originalText(chat);
+
+  if (language === source.language) {
+    // Only answers served from or stored in the answer cache, and not since amended by an expert
+    const shared = isSharedAnswer(chat.cache, chat.review);
+    return { ...source, sourceLanguage: source.language, original: true, cached: true, shared };
+  }
+
+  const cached = chat.translations && chat.translations[language];
+  if (cached) {
+    return {
+      language,
+      sourceLanguage: source.language,
+      question: cached.question,
+      answer: cached.answer,
+      suggestions: cached.suggestions,
+      original: false,
+      cached: true,
+      shared: false,
+    };
+  }
+
+  const { aiResponse, validation } = await generateValidatedResponse(
+      provider,
+      [{ role: "user", parts: [{ text: buildTranslationPrompt(source, source.language, language) }] }],
+      TRANSLATION_RESPONSE_SCHEMA,
+  );
+
+  // The advisor fallback keeps only an answer, which is not a usable translation
+  if (!validation.valid) {
+    throw new Error("Translation failed: the model did not return a valid translation");
+  }
+
+  const translation = {
+    question: aiResponse.question,
+    answer: aiResponse.answer,
+    suggestions: aiResponse.suggestions,
+  };
+
+  await chatRef.update({
+    [`translations.${language}`]: {
+      ...translation,
+      model: provider.model,
+      translatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    },
+  });
+
+  return {
+    language,
+    sourceLanguage: source.language,
+    ...translation,
+    original: false,
+    cached: false,
+    shared: false,
+  };
+}
+
+module.exports = {
+  getChatTranslation,
+};
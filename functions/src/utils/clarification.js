@@ -0,0 +1,164 @@
+/**
+ * Clarifying-question flow
+ * When essential facts are missing the model returns the field ids it needs instead of guessing.
+ * The farmer's chat then holds a pending clarification with typed fields (data/clarificationFields.json),
+ * and the values the farmer fills in are sent back as a continuation of the same question.
+ */
+
+const admin = require("firebase-admin");
+const clarificationData = require("../data/clarificationFields.json");
+const { responseTemplates } = require("../prompts/agricultural");
+const { validateDocumentId } = require("./validators");
+
+const CLARIFICATION_FIELDS = clarificationData.fields;
+
+// Upper bound on facts asked for at once, so the form stays short
+const MAX_MISSING_FACTS = 3;
+
+/**
+ * Turns a model response asking for missing facts into a clarification response
+ * The answer becomes the localized insufficientInfo template followed by the model's questions,
+ * and each missing fact gets its field type, options and limits from the field catalog
+ * @param {Object} aiResponse - Validated AI response, possibly with clarification.missingFacts
+ * @param {string} language - Language code
+ * @param {boolean} allowed - False for continuations, which must answer instead of asking again
+ * @return {Object} The AI response, with clarification { status, missingFacts } or without clarification
+ */
+function buildClarificationResponse(aiResponse, language, allowed) {
+  const { clarification, ...response } = aiResponse;
+  const requested = allowed && clarification && Array.isArray(clarification.missingFacts) ?
+    clarification.missingFacts :
+    [];
+
+  const missingFacts = requested
+      .filter((fact, index) => CLARIFICATION_FIELDS[fact.field] &&
+        requested.findIndex((other) => other.field === fact.field) === index)
+      .slice(0, MAX_MISSING_FACTS)
+      .map((fact) => ({
+        field: fact.field,
+        question: fact.question,
+        ...CLARIFICATION_FIELDS[fact.field],
+      }));
+
+  if (missingFacts.length === 0) {
+    return response;
+  }
+
+  const template = responseTemplates.insufficientInfo[language] || responseTemplates.insufficientInfo.en;
+
+  return {
+    ...response,
+    answer: `${template}${missingFacts.map((fact) => fact.question).join(" ")}`,
+    confidence: "Low",
+    clarification: {
+      status: "pending",
+      missingFacts,
+    },
+  };
+}
+
+/**
+ * Validates one value the farmer filled in against its field definition
+ * @param {Object} fact - Missing fact with its field definition
+ * @param {*} value - Value sent by the client
+ * @return {string|number} The validated value
+ * @throws {Error} If the value does not match the field type
+ */
+function validateFactValue(fact, value) {
+  switch (fact.type) {
+    case "number": {
+      const number = typeof value === "string" ? Number(value) : value;
+      if (typeof number !== "number" || !Number.isFinite(number) || number < fact.min || number > fact.max) {
+        throw new Error(`Invalid value for ${fact.field}. Enter a number from ${fact.min} to ${fact.max}`);
+      }
+      return number;
+    }
+
+    case "select": {
+      if (!fact.options.includes(value)) {
+        throw new Error(`Invalid value for ${fact.field}. Use one of: ${fact.options.join(", ")}`);
+      }
+      return value;
+    }
+
+    default: {
+      if (typeof value !== "string" || !value.trim() || value.length > fact.maxLength) {
+        throw new Error(`Invalid value for ${fact.field}. Maximum length: ${fact.maxLength} characters`);
+      }
+      return value.trim();
+    }
+  }
+}
+
+/**
+ * Parses the clarification part of an advisor request
+ * @param {Object} clarification - { chatId: string, values: object of field id to value }
+ * @return {Object} { chatId, values }
+ * @throws {Error} If the clarification is malformed
+ */
+function parseClarificationRequest(clarification) {
+  if (typeof clarification !== "object" || !clarification.values || typeof clarification.values !== "object") {
+    throw new Error("Invalid clarification. Provide the chatId and values of the clarification being answered");
+  }
+
+  return {
+    chatId: validateDocumentId(clarification.chatId, "clarification chatId"),
+    values: clarification.values,
+  };
+}
+
+/**
+ * Loads the chat that asked for clarification and validates the values the farmer filled in
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} clarification - { chatId, values } from parseClarificationRequest
+ * @return {Promise<Object>} { chatId, threadId, conversationId, question, values,
+ *   clarifications: [{ field, label, value }] }
+ * @throws {Error} If the chat has no pending clarification or a required value is missing or invalid
+ */
+async function loadClarificationContinuation(uid, clarification) {
+  const chatDoc = await admin.firestore()
+      .collection("users").doc(uid).collection("chats").doc(clarification.chatId)
+      .get();
+
+  if (!chatDoc.exists) {
+    throw new Error("Invalid clarification. Chat not found");
+  }
+
+  const chat = chatDoc.data();
+  if (!chat.clarification || chat.clarification.status !== "pending") {
+    throw new Error("Invalid clarification. This question is not waiting for more details");
+  }
+
+  const values = {};
+  const clarifications = [];
+
+  for (const fact of chat.clarification.missingFacts) {
+    const value = clarification.values[fact.field];
+    if (value === undefined || value === null || value === "") {
+      throw new Error(`Invalid clarification. Missing value for ${fact.field}`);
+    }
+
+    values[fact.field] = validateFactValue(fact, value);
+    clarifications.push({
+      field: fact.field,
+      label: fact.label,
+      value: fact.unit ? `${values[fact.field]} ${fact.unit}` : String(values[fact.field]),
+    });
+  }
+
+  return {
+    chatId: clarification.chatId,
+    threadId: chat.threadId || clarification.chatId,
+    conversationId: chat.conversationId,
+    question: chat.question,
+    values,
+    clarifications,
+  };
+}
+
+module.exports = {
+  CLARIFICATION_FIELDS,
+  buildClarificationResponse,
+  parseClarificationRequest,
+  loadClarificationContinuation,
+};
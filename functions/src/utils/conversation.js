@@ -0,0 +1,108 @@
+/**
+ * Conversation memory helpers for Cloud Functions
+ * Loads prior turns of a conversation and shapes them into multi-turn model content
+ */
+
+const admin = require("firebase-admin");
+const { buildConversationSummaryPrompt } = require("../prompts/agricultural");
+
+// Number of most recent turns always passed to the model verbatim
+const RECENT_TURNS = 6;
+
+// Once more than this many turns are unsummarized, the older ones are folded into the summary
+const MAX_VERBATIM_TURNS = 10;
+
+// Upper bound on turns read per request (verbatim window plus the turn just asked)
+const MAX_LOADED_TURNS = MAX_VERBATIM_TURNS + 2;
+
+/**
+ * Returns an empty history for a brand new conversation
+ * @return {Object} { summary, summarizedTurns, turns, turnIndex }
+ */
+function emptyHistory() {
+  return {
+    summary: "",
+    summarizedTurns: 0,
+    turns: [],
+    turnIndex: 0,
+  };
+}
+
+/**
+ * Loads the prior turns of a conversation and summarizes older turns when the history gets long
+ * @param {string} uid - The authenticated user ID
+ * @param {string} conversationId - The conversation the new question belongs to
+ * @param {Function} summarize - async (prompt: string) => string, used to condense older turns
+ * @return {Promise<Object>} { summary, summarizedTurns, turns, turnIndex }
+ */
+async function loadConversationHistory(uid, conversationId, summarize) {
+  const snapshot = await admin.firestore()
+      .collection("users").doc(uid).collection("chats")
+      .where("conversationId", "==", conversationId)
+      .orderBy("timestamp", "desc")
+      .limit(MAX_LOADED_TURNS)
+      .get();
+
+  if (snapshot.empty) {
+    return emptyHistory();
+  }
+
+  // Oldest first; fall back to position for turns written before turnIndex existed
+  const loaded = snapshot.docs.map((doc) => doc.data()).reverse();
+  const latest = loaded[loaded.length - 1];
+  const priorTurns = Number.isInteger(latest.turnIndex) ? latest.turnIndex + 1 : loaded.length;
+  const firstIndex = priorTurns - loaded.length;
+  const turns = loaded.map((turn, position) => ({
+    question: turn.question,
+    answer: turn.answer,
+    turnIndex: firstIndex + position,
+  }));
+
+  let summary = latest.historySummary || "";
+  let summarizedTurns = latest.summarizedTurns || 0;
+  let unsummarized = turns.filter((turn) => turn.turnIndex >= summarizedTurns);
+
+  if (unsummarized.length > MAX_VERBATIM_TURNS) {
+    const toSummarize = unsummarized.slice(0, unsummarized.length - RECENT_TURNS);
+    summary = (await summarize(buildConversationSummaryPrompt(summary, toSummarize))).trim();
+    summarizedTurns += toSummarize.length;
+    unsummarized = unsummarized.slice(toSummarize.length);
+  }
+
+  return {
+    summary,
+    summarizedTurns,
+    turns: unsummarized,
+    turnIndex: priorTurns,
+  };
+}
+
+/**
+ * Builds Gemini multi-turn content from conversation history and the new prompt
+ * @param {Object} history - History returned by loadConversationHistory
+ * @param {string} prompt - The full prompt for the new question
+ * @param {Array<Object>} extraParts - Additional parts for the new turn (e.g. inline images)
+ * @return {Array<Object>} Contents alternating between user and model roles
+ */
+function buildConversationContents(history, prompt, extraParts = []) {
+  const contents = [];
+
+  if (history.summary) {
+    contents.push({ role: "user", parts: [{ text: `Summary of our earlier conversation:\n${history.summary}` }] });
+    contents.push({ role: "model", parts: [{ text: "Noted. I will keep this context in mind." }] });
+  }
+
+  for (const turn of history.turns) {
+    contents.push({ role: "user", parts: [{ text: turn.question }] });
+    contents.push({ role: "model", parts: [{ text: turn.answer }] });
+  }
+
+  contents.push({ role: "user", parts: [{ text: prompt }, ...extraParts] });
+  return contents;
+}
+
+module.exports = {
+  emptyHistory,
+  loadConversationHistory,
+  buildConversationContents,
+};
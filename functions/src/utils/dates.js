@@ -0,0 +1,60 @@
+/**
+ * Date helpers for India Standard Time
+ * Daily quotas, usage rollups and seasons follow the farmer's calendar day, not UTC.
+ * IST is UTC+5:30 all year, so no timezone library is needed.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Returns the start of the IST day containing a time
+ * @param {number} now - Time in milliseconds
+ * @return {number} Midnight IST, in milliseconds
+ */
+function istDayStart(now) {
+  return Math.floor((now + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+}
+
+/**
+ * Formats the IST calendar date of a time
+ * @param {number} now - Time in milliseconds
+ * @return {string} Date key as YYYY-MM-DD
+ */
+function istDateKey(now) {
+  return new Date(now + IST_OFFSET_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Shifts a date key by a number of days
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @return {string} Shifted date key
+ */
+function addDays(dateKey, days) {
+  return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Validates a YYYY-MM-DD date key
+ * @param {*} value - Value to validate
+ * @param {string} fieldName - Field name for the error message
+ * @return {string} The date key
+ * @throws {Error} If the value is not a valid date
+ */
+function validateDateKey(value, fieldName) {
+  if (typeof value !== "string" || !DATE_KEY_PATTERN.test(value) || isNaN(Date.parse(value))) {
+    throw new Error(`Invalid ${fieldName}. Use the format YYYY-MM-DD`);
+  }
+  return value;
+}
+
+module.exports = {
+  DAY_MS,
+  istDayStart,
+  istDateKey,
+  addDays,
+  validateDateKey,
+};
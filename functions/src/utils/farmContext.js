@@ -0,0 +1,161 @@
+/**
+ * Farm context for advisor requests
+ * Saved farms are loaded from users/{uid}/farms so answers are grounded in what the farmer actually
+ * recorded, not in whatever the client sends. A farmProfile in the payload is only accepted as a draft
+ * for farms that have not been saved yet, and is reduced to the fields the prompts use. Drafts that break the
+ * length limits are rejected; saved farms are cut to them, since farmService stores text of any length.
+ */
+
+const admin = require("firebase-admin");
+const { validateDocumentId } = require("./validators");
+
+const MAX_CROPS = 20;
+const MAX_TEXT_LENGTH = 100;
+const AREA_UNITS = ["acres", "hectares", "bigha", "square meters"];
+
+// farmService saves farm size without a unit; the farm setup form asks for acres
+const DEFAULT_AREA_UNIT = "acres";
+
+/**
+ * Validates an optional text field of a farm
+ * @param {*} value - Value to validate
+ * @param {string} fieldName - Field name for the error message
+ * @return {string|undefined} Trimmed text, or undefined when empty
+ * @throws {Error} If the value is not a string or too long
+ */
+function optionalText(value, fieldName) {
+  if (value === undefined || value === null || value === "") {
+    return undefined;
+  }
+  if (typeof value !== "string" || value.length > MAX_TEXT_LENGTH) {
+    throw new Error(`Invalid farm profile. ${fieldName} must be text of at most ${MAX_TEXT_LENGTH} characters`);
+  }
+  return value.trim() || undefined;
+}
+
+/**
+ * Reads an optional text field of a saved farm, cut to MAX_TEXT_LENGTH
+ * @param {*} value - Stored value
+ * @return {string|undefined} Trimmed text, or undefined when empty or not text
+ */
+function storedText(value) {
+  if (typeof value !== "string") {
+    return undefined;
+  }
+  return value.trim().slice(0, MAX_TEXT_LENGTH).trim() || undefined;
+}
+
+/**
+ * Validates a list of crop names
+ * @param {*} crops - Value to validate
+ * @return {Array<string>} Crop names
+ * @throws {Error} If crops is not a list of short strings
+ */
+function validateCrops(crops) {
+  if (crops === undefined || crops === null) {
+    return [];
+  }
+  if (!Array.isArray(crops) || crops.length > MAX_CROPS) {
+    throw new Error(`Invalid farm profile. crops must be a list of at most ${MAX_CROPS} crop names`);
+  }
+  return crops.map((crop) => optionalText(crop, "crops")).filter(Boolean);
+}
+
+/**
+ * Reduces a client-supplied draft farm profile to the validated fields the prompts use
+ * @param {Object} profile - { crops?, location?: { village?, district?, state? }, soilType?, irrigationType?,
+ *   area?: { value, unit }, season? }
+ * @return {Object} Validated farm profile
+ * @throws {Error} If a field has the wrong type or length
+ */
+function normalizeFarmProfile(profile) {
+  if (!profile || typeof profile !== "object" || Array.isArray(profile)) {
+    throw new Error("Invalid farm profile");
+  }
+
+  const location = profile.location && typeof profile.location === "object" ? profile.location : {};
+  const farmProfile = {
+    crops: validateCrops(profile.crops),
+    location: {
+      village: optionalText(location.village, "location.village"),
+      district: optionalText(location.district, "location.district"),
+      state: optionalText(location.state, "location.state"),
+    },
+    soilType: optionalText(profile.soilType, "soilType"),
+    irrigationType: optionalText(profile.irrigationType, "irrigationType"),
+    season: optionalText(profile.season, "season"),
+  };
+
+  if (profile.area !== undefined && profile.area !== null) {
+    const { value, unit } = profile.area;
+    if (typeof value !== "number" || !Number.isFinite(value) || value <= 0 || !AREA_UNITS.includes(unit)) {
+      throw new Error(`Invalid farm profile. area must be { value, unit } with unit one of: ${AREA_UNITS.join(", ")}`);
+    }
+    farmProfile.area = { value, unit };
+  }
+
+  return JSON.parse(JSON.stringify(farmProfile));
+}
+
+/**
+ * Converts a saved farm document into the farm profile shape the prompts use
+ * Unlike drafts, saved farms are never rejected: long text and crop lists are cut to the limits and
+ * malformed fields are dropped, so one bad field does not break every request about the farm
+ * @param {Object} farm - Farm document saved by farmService
+ * @return {Object} Farm profile
+ */
+function farmToProfile(farm) {
+  const farmProfile = {
+    crops: Array.isArray(farm.crops) ? farm.crops.slice(0, MAX_CROPS).map(storedText).filter(Boolean) : [],
+    location: {
+      village: storedText(farm.location),
+      district: storedText(farm.district),
+      state: storedText(farm.state),
+    },
+    soilType: storedText(farm.soilType),
+    irrigationType: storedText(farm.irrigationType),
+    season: storedText(farm.season),
+  };
+
+  if (typeof farm.size === "number" && Number.isFinite(farm.size) && farm.size > 0) {
+    farmProfile.area = {
+      value: farm.size,
+      unit: AREA_UNITS.includes(farm.sizeUnit) ? farm.sizeUnit : DEFAULT_AREA_UNIT,
+    };
+  }
+
+  return JSON.parse(JSON.stringify(farmProfile));
+}
+
+/**
+ * Resolves the farm a request is about
+ * A farmId is loaded from the caller's own farms; without one, the payload farmProfile is used as a draft
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} data - { farmId?: string, farmProfile?: object }
+ * @return {Promise<Object>} { farmId, farmProfile } where farmId is null for drafts
+ * @throws {Error} If neither is given, the farm does not exist or the draft is invalid
+ */
+async function resolveFarmContext(uid, data) {
+  if (!data.farmId) {
+    if (!data.farmProfile) {
+      throw new Error("Missing required fields: farmId or farmProfile");
+    }
+    return { farmId: null, farmProfile: normalizeFarmProfile(data.farmProfile) };
+  }
+
+  const farmId = validateDocumentId(data.farmId, "farmId");
+  const farmDoc = await admin.firestore()
+      .collection("users").doc(uid).collection("farms").doc(farmId)
+      .get();
+
+  if (!farmDoc.exists) {
+    throw new Error("Farm not found");
+  }
+
+  return { farmId, farmProfile: farmToProfile(farmDoc.data()) };
+}
+
+module.exports = {
+  normalizeFarmProfile,
+  resolveFarmContext,
+};
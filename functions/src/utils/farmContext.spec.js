@@ -0,0 +1,53 @@
+const assert = require("assert");
+const admin = require("firebase-admin");
+const { resolveFarmContext } = require("./farmContext");
+
+const LONG_TEXT = "x".repeat(250);
+
+describe("resolveFarmContext", () => {
+  let farm;
+
+  beforeEach(() => {
+    farm = null;
+    const doc = () => ({
+      collection: () => ({ doc }),
+      get: async () => ({ exists: Boolean(farm), data: () => farm }),
+    });
+    Object.defineProperty(admin, "firestore", {
+      value: () => ({ collection: () => ({ doc }) }),
+      configurable: true,
+    });
+  });
+
+  after(() => {
+    // admin.firestore is a getter on the app's prototype; dropping the override restores it
+    delete admin.firestore;
+  });
+
+  it("cuts long text in a saved farm instead of rejecting it", async () => {
+    farm = { name: "Home", size: 2, location: LONG_TEXT, state: "Odisha", crops: ["rice", LONG_TEXT] };
+
+    const { farmId, farmProfile } = await resolveFarmContext("farmer-1", { farmId: "farm-1" });
+
+    assert.strictEqual(farmId, "farm-1");
+    assert.strictEqual(farmProfile.location.village.length, 100);
+    assert.strictEqual(farmProfile.location.state, "Odisha");
+    assert.deepStrictEqual(farmProfile.crops, ["rice", "x".repeat(100)]);
+    assert.deepStrictEqual(farmProfile.area, { value: 2, unit: "acres" });
+  });
+
+  it("drops malformed fields of a saved farm", async () => {
+    farm = { size: "2", location: 42, state: "Punjab", crops: "wheat", sizeUnit: "furlongs" };
+
+    const { farmProfile } = await resolveFarmContext("farmer-1", { farmId: "farm-1" });
+
+    assert.deepStrictEqual(farmProfile, { crops: [], location: { state: "Punjab" } });
+  });
+
+  it("still rejects long text in a draft profile", async () => {
+    await assert.rejects(
+        resolveFarmContext("farmer-1", { farmProfile: { location: { village: LONG_TEXT } } }),
+        /Invalid farm profile/,
+    );
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Farmer feedback on answers
+ * Validates feedback stored in the feedback field of a chat document and keeps the
+ * feedbackStats collection aggregated by crop, state, language and prompt version
+ */
+
+const admin = require("firebase-admin");
+const { validateAudioPath } = require("./validators");
+
+const FEEDBACK_RATINGS = ["helpful", "not_helpful", "wrong"];
+
+const OUTCOME_RESULTS = ["worked", "partly_worked", "did_not_work"];
+
+// Dimensions feedback is aggregated by
+const FEEDBACK_DIMENSIONS = ["crop", "state", "language", "prompt"];
+
+const MAX_CORRECTION_LENGTH = 2000;
+
+/**
+ * Validates feedback sent by a farmer
+ * @param {Object} data - { rating, correction?, correctionAudioPath?, outcome?: { tried, result?, notes? } }
+ * @param {string} uid - The authenticated user ID, owner of any voice correction
+ * @return {Object} Feedback ready to store on the chat document
+ * @throws {Error} If the feedback is invalid
+ */
+function parseFeedback(data, uid) {
+  if (!FEEDBACK_RATINGS.includes(data.rating)) {
+    throw new Error(`Invalid rating. Use one of: ${FEEDBACK_RATINGS.join(", ")}`);
+  }
+
+  const feedback = { rating: data.rating };
+
+  if (data.correction !== undefined && data.correction !== null) {
+    if (typeof data.correction !== "string" || data.correction.length > MAX_CORRECTION_LENGTH) {
+      throw new Error(`Invalid correction. Maximum length: ${MAX_CORRECTION_LENGTH} characters`);
+    }
+    if (data.correction.trim()) {
+      feedback.correction = data.correction.trim();
+    }
+  }
+
+  if (data.correctionAudioPath) {
+    const audioPath = validateAudioPath(data.correctionAudioPath);
+    if (!audioPath.startsWith(`audio/${uid}/`)) {
+      throw new Error("Unauthorized: Cannot access audio file");
+    }
+    feedback.correctionAudioPath = audioPath;
+  }
+
+  if (data.outcome) {
+    if (typeof data.outcome.tried !== "boolean") {
+      throw new Error("Invalid outcome. Set tried to true or false");
+    }
+    if (data.outcome.tried && !OUTCOME_RESULTS.includes(data.outcome.result)) {
+      throw new Error(`Invalid outcome result. Use one of: ${OUTCOME_RESULTS.join(", ")}`);
+    }
+
+    feedback.outcome = { tried: data.outcome.tried };
+    if (data.outcome.tried) {
+      feedback.outcome.result = data.outcome.result;
+    }
+    if (typeof data.outcome.notes === "string" && data.outcome.notes.trim()) {
+      feedback.outcome.notes = data.outcome.notes.trim().slice(0, MAX_CORRECTION_LENGTH);
+    }
+  }
+
+  return feedback;
+}
+
+/**
+ * Lists the aggregation buckets a chat belongs to
+ * @param {Object} chat - Chat document data
+ * @return {Array<Object>} Buckets as { dimension, value }
+ */
+function feedbackBuckets(chat) {
+  const farmProfile = chat.farmProfile || {};
+  const crops = (farmProfile.crops || []).map((crop) => String(crop).trim().toLowerCase());
+  const state = farmProfile.location && farmProfile.location.state;
+  const prompt = chat.promptTemplate ?
+    `${chat.promptTemplate.templateId}@v${chat.promptTemplate.version}` :
+    "unversioned";
+
+  return [
+    ...[...new Set(crops)].map((crop) => ({ dimension: "crop", value: crop })),
+    { dimension: "state", value: state ? state.toLowerCase() : "unknown" },
+    { dimension: "language", value: chat.language || "unknown" },
+    { dimension: "prompt", value: prompt },
+  ];
+}
+
+/**
+ * Builds counter increments for one feedback entry
+ * @param {Object} feedback - Feedback stored on a chat
+ * @param {number} sign - 1 to add the feedback, -1 to remove it
+ * @return {Object} Counter updates for a feedbackStats document
+ */
+function feedbackCounters(feedback, sign) {
+  const increment = admin.firestore.FieldValue.increment(sign);
+  const counters = {
+    total: increment,
+    ratings: { [feedback.rating]: increment },
+  };
+
+  if (feedback.correction || feedback.correctionAudioPath) {
+    counters.corrections = increment;
+  }
+  if (feedback.outcome) {
+    counters.outcomes = { [feedback.outcome.tried ? feedback.outcome.result : "not_tried"]: increment };
+  }
+
+  return counters;
+}
+
+/**
+ * Summarizes the counted parts of a feedback entry, to skip updates that change nothing counted
+ * @param {Object|null} feedback - Feedback stored on a chat
+ * @return {string} Signature of the rating, correction and outcome
+ */
+function feedbackSignature(feedback) {
+  if (!feedback) {
+    return "";
+  }
+
+  const outcome = feedback.outcome ? (feedback.outcome.tried ? feedback.outcome.result : "not_tried") : "";
+  return [feedback.rating, Boolean(feedback.correction || feedback.correctionAudioPath), outcome].join("|");
+}
+
+/**
+ * Updates feedbackStats when the feedback on a chat changes
+ * The previous feedback is subtracted and the new feedback added, so farmers can change their rating
+ * @param {Object|null} before - Feedback before the change
+ * @param {Object|null} after - Feedback after the change
+ * @param {Object} chat - Chat document data
+ * @return {Promise<void>}
+ */
+async function aggregateFeedbackChange(before, after, chat) {
+  if (feedbackSignature(before) === feedbackSignature(after)) {
+    return;
+  }
+
+  const db = admin.firestore();
+  const batch = db.batch();
+
+  for (const bucket of feedbackBuckets(chat)) {
+    const statsRef = db.collection("feedbackStats").doc(`${bucket.dimension}_${bucket.value.replace(/\//g, "-")}`);
+
+    if (before) {
+      batch.set(statsRef, feedbackCounters(before, -1), { merge: true });
+    }
+    if (after) {
+      batch.set(statsRef, feedbackCounters(after, 1), { merge: true });
+    }
+    batch.set(statsRef, {
+      dimension: bucket.dimension,
+      value: bucket.value,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, { merge: true });
+  }
+
+  await batch.commit();
+}
+
+/**
+ * Reads aggregated feedback for one dimension, worst rated first
+ * @param {string} dimension - One of FEEDBACK_DIMENSIONS
+ * @param {number} minTotal - Skip buckets with fewer ratings than this
+ * @return {Promise<Array<Object>>} Buckets as { value, total, ratings, corrections, outcomes, negativeRate }
+ * @throws {Error} If the dimension is unknown
+ */
+async function getFeedbackStats(dimension, minTotal = 1) {
+  if (!FEEDBACK_DIMENSIONS.includes(dimension)) {
+    throw new Error(`Invalid dimension. Use one of: ${FEEDBACK_DIMENSIONS.join(", ")}`);
+  }
+
+  const snapshot = await admin.firestore()
+      .collection("feedbackStats")
+      .where("dimension", "==", dimension)
+      .get();
+
+  return snapshot.docs
+      .map((doc) => doc.data())
+      .filter((stats) => (stats.total || 0) >= minTotal)
+      .map((stats) => {
+        const ratings = stats.ratings || {};
+        const negative = (ratings.not_helpful || 0) + (ratings.wrong || 0);
+
+        return {
+          value: stats.value,
+          total: stats.total,
+          ratings,
+          corrections: stats.corrections || 0,
+          outcomes: stats.outcomes || {},
+          negativeRate: stats.total > 0 ? negative / stats.total : 0,
+        };
+      })
+      .sort((a, b) => b.negativeRate - a.negativeRate);
+}
+
+module.exports = {
+  parseFeedback,
+  aggregateFeedbackChange,
+  getFeedbackStats,
+};
@@ -0,0 +1,75 @@
+/**
+ * Threaded follow-up questions
+ * Each answer's suggestions are stored as follow-ups with ids on the chat document. Asking one creates a
+ * child chat with parentChatId and followUpId pointing back at the suggestion, in the parent's conversation.
+ * Every chat also carries a threadId (the ID of the first chat of its thread), so a whole question tree can
+ * be read with one query.
+ */
+
+const admin = require("firebase-admin");
+const { validateDocumentId } = require("./validators");
+
+/**
+ * Turns the model's suggestions into follow-up objects
+ * Ids are the suggestion's position ("f1", "f2", ...), which also indexes its translations
+ * @param {Array<string>} suggestions - Suggested follow-up questions from the AI response
+ * @return {Array<Object>} [{ id, text }]
+ */
+function buildFollowUps(suggestions) {
+  return (suggestions || []).map((text, index) => ({ id: `f${index + 1}`, text }));
+}
+
+/**
+ * Parses the followUp part of an advisor request
+ * @param {Object} followUp - { chatId: string, id: string } naming a suggestion of an earlier chat
+ * @return {Object} { chatId, id }
+ * @throws {Error} If the follow-up is malformed
+ */
+function parseFollowUpRequest(followUp) {
+  if (typeof followUp !== "object" || typeof followUp.id !== "string" || !/^f\d{1,2}$/.test(followUp.id)) {
+    throw new Error("Invalid followUp. Provide the chatId and id of the suggestion being asked");
+  }
+
+  return {
+    chatId: validateDocumentId(followUp.chatId, "followUp chatId"),
+    id: followUp.id,
+  };
+}
+
+/**
+ * Loads the suggestion a follow-up question asks
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} followUp - { chatId, id } from parseFollowUpRequest
+ * @return {Promise<Object>} { parentChatId, followUpId, threadId, conversationId, question } where question is
+ *   the stored suggestion text
+ * @throws {Error} If the chat or the suggestion does not exist
+ */
+async function loadFollowUp(uid, followUp) {
+  const chatDoc = await admin.firestore()
+      .collection("users").doc(uid).collection("chats").doc(followUp.chatId)
+      .get();
+
+  if (!chatDoc.exists) {
+    throw new Error("Invalid followUp. Chat not found");
+  }
+
+  const chat = chatDoc.data();
+  const suggestion = (chat.followUps || buildFollowUps(chat.suggestions)).find((entry) => entry.id === followUp.id);
+  if (!suggestion) {
+    throw new Error("Invalid followUp. This chat has no such suggestion");
+  }
+
+  return {
+    parentChatId: followUp.chatId,
+    followUpId: followUp.id,
+    threadId: chat.threadId || followUp.chatId,
+    conversationId: chat.conversationId || followUp.chatId,
+    question: suggestion.text,
+  };
+}
+
+module.exports = {
+  buildFollowUps,
+  parseFollowUpRequest,
+  loadFollowUp,
+};
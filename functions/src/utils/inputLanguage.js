@@ -0,0 +1,146 @@
+/**
+ * Question language detection
+ * The language setting only says which UI the farmer picked; many farmers type Hindi or Telugu in Latin
+ * letters ("gehu me kida lag gaya") or mix English crop terms into native script. Before prompting, the
+ * question's script and language are detected, romanized Indic text is transliterated, and the detected
+ * language becomes the answer language. Marker words for romanized text are data in data/languageMarkers.json.
+ */
+
+const markers = require("../data/languageMarkers.json");
+const { getLanguage, getLanguagesForScript } = require("./languages");
+const { SCRIPT_BLOCKS, transliterate } = require("./transliteration");
+
+// A romanized language needs this many marker words, or one marker word in a very short question
+const MIN_MARKER_WORDS = 2;
+const MIN_MARKER_RATIO = 0.3;
+
+const ROMANIZED_MARKERS = Object.fromEntries(
+    Object.entries(markers.romanized).map(([code, words]) => [code, new Set(words)]),
+);
+const NATIVE_MARKERS = Object.fromEntries(
+    Object.entries(markers.native).map(([code, words]) => [code, new Set(words)]),
+);
+
+/**
+ * Finds the script of a word from its first letter
+ * @param {string} word - A word
+ * @return {string|null} "Latin", an Indic script name from SCRIPT_BLOCKS, or null for other scripts
+ */
+function wordScript(word) {
+  const codePoint = word.codePointAt(0);
+  if (/[a-z]/i.test(word[0])) {
+    return "Latin";
+  }
+
+  const script = Object.keys(SCRIPT_BLOCKS).find((name) =>
+    codePoint >= SCRIPT_BLOCKS[name] && codePoint <= SCRIPT_BLOCKS[name] + 0x7F);
+  return script || null;
+}
+
+/**
+ * Picks the language with the most marker words, preferring the language setting on a tie
+ * @param {Array<string>} words - Words of the question
+ * @param {Object} markerSets - Language code to Set of marker words
+ * @param {Array<string>} candidates - Language codes to consider, in priority order
+ * @param {string} settingLanguage - The farmer's language setting
+ * @return {Object} { language: string|null, score: number, scores: object of language code to score }
+ */
+function scoreMarkers(words, markerSets, candidates, settingLanguage) {
+  const scores = {};
+  for (const code of candidates) {
+    const set = markerSets[code];
+    scores[code] = set ? words.filter((word) => set.has(word)).length : 0;
+  }
+
+  const ordered = [...candidates].sort((a, b) =>
+    (scores[b] - scores[a]) || ((b === settingLanguage) - (a === settingLanguage)));
+  const language = ordered.length > 0 && scores[ordered[0]] > 0 ? ordered[0] : null;
+
+  return { language, score: language ? scores[language] : 0, scores };
+}
+
+/**
+ * Detects the language and script of a farmer's question
+ * Native script decides the language directly (Devanagari is Hindi unless Marathi marker words appear).
+ * Latin text is matched against romanized marker words per language; text with too few markers keeps
+ * the language setting.
+ * @param {string} text - The farmer's question
+ * @param {string} settingLanguage - Validated language setting sent by the client
+ * @return {Object} { language, settingLanguage, script, romanized, codeMixed, transliteration, source } where
+ *   language is the answer language, transliteration is the native-script reading of romanized text (else null)
+ *   and source is "script", "markers" or "setting"
+ */
+function detectInputLanguage(text, settingLanguage) {
+  const words = text.normalize("NFC").toLowerCase().split(/[^\p{L}\p{M}]+/u).filter(Boolean);
+
+  const scriptCounts = {};
+  for (const word of words) {
+    const script = wordScript(word);
+    if (script) {
+      scriptCounts[script] = (scriptCounts[script] || 0) + 1;
+    }
+  }
+
+  const latinWords = scriptCounts.Latin || 0;
+  const [indicScript, indicWords] = Object.entries(scriptCounts)
+      .filter(([script]) => script !== "Latin")
+      .sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+  const result = {
+    language: settingLanguage,
+    settingLanguage,
+    script: indicScript && indicWords >= latinWords ? indicScript : "Latin",
+    romanized: false,
+    codeMixed: latinWords > 0 && indicWords > 0,
+    transliteration: null,
+    source: "setting",
+  };
+
+  // Native script: the script names the language, with marker words to split languages sharing a script
+  if (result.script !== "Latin") {
+    const candidates = getLanguagesForScript(result.script);
+    if (candidates.length > 0) {
+      const { language } = scoreMarkers(words, NATIVE_MARKERS, candidates, settingLanguage);
+      const fallback = candidates.includes(settingLanguage) ? settingLanguage : candidates[0];
+      result.language = language || fallback;
+      result.source = "script";
+    }
+    return result;
+  }
+
+  // Latin letters: English, or an Indic language typed phonetically
+  const latin = words.filter((word) => wordScript(word) === "Latin");
+  const { language, score, scores } = scoreMarkers(latin, ROMANIZED_MARKERS, Object.keys(ROMANIZED_MARKERS),
+      settingLanguage);
+
+  if (!language || (score < MIN_MARKER_WORDS && score / latin.length < MIN_MARKER_RATIO)) {
+    return result;
+  }
+
+  result.language = language;
+  result.source = "markers";
+
+  const native = getLanguage(language);
+  if (native.script !== "Latin") {
+    result.romanized = true;
+    result.codeMixed = result.codeMixed || scores.en > 0;
+    result.transliteration = transliterate(text, language, native.script);
+  }
+
+  return result;
+}
+
+/**
+ * Picks the detection fields returned to the client
+ * @param {Object} inputLanguage - Result of detectInputLanguage
+ * @return {Object} { language, script, romanized, codeMixed }
+ */
+function summarizeInputLanguage(inputLanguage) {
+  const { language, script, romanized, codeMixed } = inputLanguage;
+  return { language, script, romanized, codeMixed };
+}
+
+module.exports = {
+  detectInputLanguage,
+  summarizeInputLanguage,
+};
@@ -0,0 +1,46 @@
+const assert = require("assert");
+const { detectInputLanguage, summarizeInputLanguage } = require("./inputLanguage");
+
+describe("detectInputLanguage", () => {
+  it("answers native-script questions in that script's language", () => {
+    const detected = detectInputLanguage("मेरे टमाटर में कीड़े लगे हैं", "en");
+    assert.strictEqual(detected.language, "hi");
+    assert.strictEqual(detected.script, "Devanagari");
+    assert.strictEqual(detected.source, "script");
+  });
+
+  it("tells Marathi from Hindi by marker words", () => {
+    assert.strictEqual(detectInputLanguage("माझ्या कांद्याला रोग आला आहे", "hi").language, "mr");
+  });
+
+  it("detects and transliterates romanized Hindi", () => {
+    const detected = detectInputLanguage("mere tamatar me keede lag gaye hai kya karu", "en");
+    assert.strictEqual(detected.language, "hi");
+    assert.strictEqual(detected.romanized, true);
+    assert.strictEqual(detected.source, "markers");
+    assert.ok(detected.transliteration.startsWith("मेरे"));
+  });
+
+  it("flags code-mixed questions", () => {
+    const detected = detectInputLanguage("टमाटर leaves yellow ho rahe hai", "en");
+    assert.strictEqual(detected.language, "hi");
+    assert.strictEqual(detected.codeMixed, true);
+  });
+
+  it("answers English questions in English whatever the setting", () => {
+    assert.strictEqual(detectInputLanguage("my tomato leaves are yellow", "hi").language, "en");
+  });
+
+  it("keeps the language setting when the question has too few clues", () => {
+    const detected = detectInputLanguage("ok", "hi");
+    assert.strictEqual(detected.language, "hi");
+    assert.strictEqual(detected.source, "setting");
+  });
+});
+
+describe("summarizeInputLanguage", () => {
+  it("returns only the fields sent to the client", () => {
+    assert.deepStrictEqual(Object.keys(summarizeInputLanguage(detectInputLanguage("ok", "hi"))),
+        ["language", "script", "romanized", "codeMixed"]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Supported language registry
+ * data/languages.json is the single list of languages the app supports. Functions read it here and the
+ * client imports the same file, so adding a language means adding one entry (plus its i18n bundle).
+ */
+
+const languageData = require("../data/languages.json");
+
+const LANGUAGES = languageData.languages;
+const DEFAULT_LANGUAGE = languageData.defaultLanguage;
+
+/**
+ * Language codes accepted by the functions
+ */
+const SUPPORTED_LANGUAGES = LANGUAGES.map((language) => language.code);
+
+/**
+ * Looks up a supported language
+ * @param {string} code - Language code
+ * @return {Object|null} { code, name, nativeName, script, speechCode, tts } or null if unsupported
+ */
+function getLanguage(code) {
+  return LANGUAGES.find((language) => language.code === code) || null;
+}
+
+/**
+ * Lists the supported languages written in a script
+ * @param {string} script - Script name, e.g. "Devanagari"
+ * @return {Array<string>} Language codes, in registry order
+ */
+function getLanguagesForScript(script) {
+  return LANGUAGES.filter((language) => language.script === script).map((language) => language.code);
+}
+
+/**
+ * Gets the English name of a language, used to tell the model which language to answer in
+ * @param {string} code - Language code
+ * @return {string} Language name, or the default language's name if unsupported
+ */
+function getLanguageName(code) {
+  return (getLanguage(code) || getLanguage(DEFAULT_LANGUAGE)).name;
+}
+
+/**
+ * Gets the Speech-to-Text language code for a language
+ * @param {string} code - Language code
+ * @return {string} BCP-47 code such as "hi-IN"
+ */
+function getSpeechLanguageCode(code) {
+  return (getLanguage(code) || getLanguage(DEFAULT_LANGUAGE)).speechCode;
+}
+
+/**
+ * Checks whether answers in a language can be read out; Odia, for one, has no Text-to-Speech voice
+ * @param {string} code - Language code
+ * @return {boolean} True if getVoiceConfig has a voice for the language
+ */
+function hasVoice(code) {
+  return Boolean((getLanguage(code) || getLanguage(DEFAULT_LANGUAGE)).tts);
+}
+
+/**
+ * Gets the Text-to-Speech voice for a language
+ * @param {string} code - Language code
+ * @param {string|null} [gender] - "female" or "male"; the language's default voice when omitted or unavailable
+ * @return {Object} { languageCode, voiceName, ssmlGender }
+ * @throws {Error} If the language has no Text-to-Speech voice
+ */
+function getVoiceConfig(code, gender = null) {
+  const language = getLanguage(code) || getLanguage(DEFAULT_LANGUAGE);
+  if (!language.tts) {
+    throw new Error(`Unsupported language: ${language.name} has no text-to-speech voice`);
+  }
+
+  const { languageCode, voiceName, ssmlGender, voices } = language.tts;
+  if (gender && voices && voices[gender]) {
+    return { languageCode, voiceName: voices[gender], ssmlGender: gender.toUpperCase() };
+  }
+  return { languageCode, voiceName, ssmlGender };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  getLanguage,
+  getLanguagesForScript,
+  getLanguageName,
+  getSpeechLanguageCode,
+  hasVoice,
+  getVoiceConfig,
+};
@@ -0,0 +1,251 @@
+/**
+ * Pesticide safety guardrail for generated advice
+ * Checks chemicals and doses in an answer against the banned/restricted list and label claims
+ * in data/pesticides.json, rewrites or flags unsafe recommendations and attaches safety warnings
+ */
+
+const pesticideData = require("../data/pesticides.json");
+const { responseTemplates } = require("../prompts/agricultural");
+
+// Doses like "2.5 ml/L", "2 g per litre" or "500 ml per acre"
+const DOSE_PATTERN = new RegExp(
+    "(\\d+(?:\\.\\d+)?)\\s*(ml|g|gm|gms|gram|grams|kg|l)\\s*(?:\\/|per)\\s*" +
+    "(l|lit|litre|liter|litres|liters|acre|ha|hectare)\\b",
+    "gi",
+);
+
+const UNIT_ALIASES = {
+  gm: "g", gms: "g", gram: "g", grams: "g",
+  lit: "l", litre: "l", liter: "l", litres: "l", liters: "l",
+  hectare: "ha",
+};
+
+/**
+ * Builds the lookup of every chemical the guardrail knows about
+ * @return {Array<Object>} Entries as { name, status, terms, ... } with lowercase search terms
+ */
+function buildChemicalIndex() {
+  const withStatus = (entries, status) => entries.map((entry) => ({
+    ...entry,
+    status,
+    terms: [entry.name, ...(entry.aliases || [])].map((term) => term.toLowerCase()),
+  }));
+
+  return [
+    ...withStatus(pesticideData.banned, "banned"),
+    ...withStatus(pesticideData.restricted, "restricted"),
+    ...withStatus(pesticideData.labelClaims, "approved"),
+  ];
+}
+
+const CHEMICAL_INDEX = buildChemicalIndex();
+
+/**
+ * Fills a localized safety template
+ * @param {string} key - Key in responseTemplates
+ * @param {string} language - Language code
+ * @param {Object} values - Placeholder values
+ * @return {string} The filled message
+ */
+function safetyMessage(key, language, values = {}) {
+  const template = responseTemplates[key][language] || responseTemplates[key].en;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? values[name] : match));
+}
+
+/**
+ * Normalizes a crop name using the crop aliases in the pesticide data
+ * @param {string} crop - Crop name
+ * @return {string} Canonical lowercase crop name
+ */
+function normalizeCrop(crop) {
+  const name = String(crop).trim().toLowerCase();
+  return pesticideData.cropAliases[name] || name;
+}
+
+/**
+ * Checks whether a chemical term occurs in text as a whole word
+ * @param {string} text - Lowercase text
+ * @param {string} term - Lowercase chemical name or alias
+ * @return {boolean} True if the term occurs
+ */
+function mentions(text, term) {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^\\p{L}\\p{M}])${escaped}(?=$|[^\\p{L}\\p{M}])`, "u").test(text);
+}
+
+/**
+ * Splits advice text into sentences (including Devanagari danda and line breaks)
+ * @param {string} text - Advice text
+ * @return {Array<string>} Sentences
+ */
+function splitSentences(text) {
+  return text.split(/(?<=[.!?।\n])\s+/);
+}
+
+/**
+ * Extracts recommended chemicals and their doses from advice text
+ * @param {string} text - Advice text
+ * @return {Array<Object>} Mentions as { chemical, sentenceIndex, dose? }
+ */
+function extractChemicalMentions(text) {
+  const sentences = splitSentences(text);
+  const found = [];
+
+  sentences.forEach((sentence, sentenceIndex) => {
+    const lowerSentence = sentence.toLowerCase();
+    const doses = [...sentence.matchAll(DOSE_PATTERN)].map((match) => ({
+      text: match[0],
+      value: parseFloat(match[1]),
+      unit: `${UNIT_ALIASES[match[2].toLowerCase()] || match[2].toLowerCase()}/` +
+        `${UNIT_ALIASES[match[3].toLowerCase()] || match[3].toLowerCase()}`,
+    }));
+
+    for (const chemical of CHEMICAL_INDEX) {
+      if (chemical.terms.some((term) => mentions(lowerSentence, term))) {
+        // Only attach a dose when the sentence names a single chemical, so doses are not misattributed
+        found.push({ chemical, sentenceIndex, dose: doses.length === 1 ? doses[0] : null });
+      }
+    }
+  });
+
+  // Only one mention per chemical per sentence
+  return found.filter((mention, index) => found.findIndex((other) =>
+    other.chemical.name === mention.chemical.name && other.sentenceIndex === mention.sentenceIndex) === index);
+}
+
+/**
+ * Reviews generated advice for unsafe pesticide recommendations
+ * Banned and restricted chemicals are rewritten out of the answer; off-label use and doses above the
+ * label claim are flagged. Any violation forces confidence to Low and adds a KVK referral.
+ * @param {Object} aiResponse - Validated AI response with an answer field
+ * @param {Object} options - { crops: Array<string>, language: string, extraText?: string }
+ *   extraText holds other recommendation text to check (e.g. a diagnosis treatment list)
+ * @return {Object} { aiResponse, safety: { chemicals, violations, warnings, rewritten } }
+ */
+function reviewAdviceSafety(aiResponse, options) {
+  const { crops = [], language = "en", extraText = "" } = options;
+  const farmCrops = crops.map(normalizeCrop);
+  const sentences = splitSentences(aiResponse.answer);
+  const mentionsInAnswer = extractChemicalMentions(aiResponse.answer);
+  const mentionsInExtra = extraText ? extractChemicalMentions(extraText) : [];
+
+  const violations = [];
+  const warnings = [];
+  const rewrites = new Map();
+
+  for (const mention of [...mentionsInAnswer, ...mentionsInExtra]) {
+    const { chemical, dose } = mention;
+    const inAnswer = mentionsInAnswer.includes(mention);
+
+    if (chemical.status === "banned") {
+      violations.push({ type: "banned", chemical: chemical.name });
+      if (inAnswer) {
+        rewrites.set(mention.sentenceIndex, safetyMessage("bannedPesticide", language, { chemical: chemical.name }));
+      }
+      continue;
+    }
+
+    if (chemical.status === "restricted") {
+      const prohibited = (chemical.prohibitedCrops || []).map(normalizeCrop);
+      const appliesToFarm = prohibited.length === 0 || farmCrops.length === 0 ||
+        farmCrops.some((crop) => prohibited.includes(crop));
+
+      if (appliesToFarm) {
+        violations.push({ type: "restricted", chemical: chemical.name, detail: chemical.restriction });
+        if (inAnswer) {
+          // A sentence already rewritten for a banned chemical keeps that message
+          if (!rewrites.has(mention.sentenceIndex)) {
+            rewrites.set(mention.sentenceIndex, safetyMessage("restrictedPesticide", language, {
+              chemical: chemical.name,
+            }));
+          }
+        }
+      }
+      continue;
+    }
+
+    // Label claim checks for approved chemicals
+    const labelCrops = chemical.crops.map(normalizeCrop);
+    const offLabelCrops = labelCrops.includes("*") ?
+      [] :
+      farmCrops.filter((crop) => !labelCrops.includes(crop));
+
+    if (farmCrops.length > 0 && offLabelCrops.length === farmCrops.length) {
+      violations.push({ type: "not_label_approved", chemical: chemical.name, detail: offLabelCrops.join(", ") });
+      warnings.push(safetyMessage("notLabelApproved", language, {
+        chemical: chemical.name,
+        crop: crops.join(", "),
+      }));
+    }
+
+    if (dose && chemical.maxDose && dose.unit === chemical.maxDose.unit && dose.value > chemical.maxDose.value) {
+      const maxDose = `${chemical.maxDose.value} ${chemical.maxDose.unit.replace(/\/l$/, "/L")}`;
+      violations.push({ type: "dose_above_label", chemical: chemical.name, detail: `${dose.text} > ${maxDose}` });
+      warnings.push(safetyMessage("doseAboveLabel", language, { chemical: chemical.name, dose: dose.text, maxDose }));
+    }
+
+    if (chemical.phiDays > 0) {
+      warnings.push(safetyMessage("preHarvestInterval", language, { chemical: chemical.name, days: chemical.phiDays }));
+    }
+  }
+
+  const chemicals = [...new Set([...mentionsInAnswer, ...mentionsInExtra].map((mention) => mention.chemical.name))];
+
+  // PPE guidance whenever a chemical other than a botanical is recommended
+  const needsPPE = [...mentionsInAnswer, ...mentionsInExtra].some((mention) =>
+    mention.chemical.status === "approved" && mention.chemical.phiDays > 0);
+  if (needsPPE) {
+    warnings.unshift(safetyMessage("pesticidePPE", language));
+  }
+
+  if (violations.length > 0) {
+    warnings.push(safetyMessage("safetyReferral", language));
+  }
+
+  // Replace unsafe sentences in place so the rest of the answer keeps its formatting
+  let rewrittenAnswer = aiResponse.answer;
+  for (const [sentenceIndex, message] of rewrites) {
+    rewrittenAnswer = rewrittenAnswer.replace(sentences[sentenceIndex], message);
+  }
+
+  const uniqueWarnings = [...new Set(warnings)];
+  const answer = uniqueWarnings.length > 0 ?
+    `${rewrittenAnswer}\n\n${uniqueWarnings.map((warning) => `⚠️ ${warning}`).join("\n")}` :
+    rewrittenAnswer;
+
+  return {
+    aiResponse: {
+      ...aiResponse,
+      answer,
+      confidence: violations.length > 0 ? "Low" : aiResponse.confidence,
+    },
+    safety: {
+      chemicals,
+      violations,
+      warnings: uniqueWarnings,
+      rewritten: rewrites.size > 0,
+      kvkReferral: violations.length > 0,
+    },
+  };
+}
+
+/**
+ * Removes recommendation items that name a banned or restricted chemical flagged by a safety review
+ * @param {Array<string>} recommendations - Recommendation texts (e.g. a treatment list)
+ * @param {Object} safety - Safety result from reviewAdviceSafety
+ * @return {Array<string>} Recommendations without the unsafe items
+ */
+function filterUnsafeRecommendations(recommendations, safety) {
+  const unsafeChemicals = safety.violations
+      .filter((violation) => violation.type === "banned" || violation.type === "restricted")
+      .map((violation) => violation.chemical);
+
+  return recommendations.filter((item) =>
+    !extractChemicalMentions(item).some((mention) => unsafeChemicals.includes(mention.chemical.name)));
+}
+
+module.exports = {
+  extractChemicalMentions,
+  reviewAdviceSafety,
+  filterUnsafeRecommendations,
+};
@@ -0,0 +1,126 @@
+/**
+ * Per-user rate limiting and daily quotas
+ * Every billable callable counts requests per uid in the quotas collection, one document per user and
+ * function. Limits per minute and per day are set per function and role in data/quotas.json; the day
+ * resets at midnight India time. Counting happens in a transaction so concurrent requests cannot
+ * overshoot a limit.
+ */
+
+const admin = require("firebase-admin");
+const quotaData = require("../data/quotas.json");
+const { DAY_MS, istDayStart } = require("./dates");
+
+const QUOTA_COLLECTION = "quotas";
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Checks whether quotas are enforced for this deployment
+ * @return {boolean} False when QUOTAS_ENABLED is "false"
+ */
+function isQuotaEnabled() {
+  return process.env.QUOTAS_ENABLED !== "false";
+}
+
+/**
+ * Looks up the limits for a function and role
+ * Callers without a role claim, or with a role that has no entry, get the default role's limits
+ * @param {string} functionName - Cloud Function name (a key of data/quotas.json functions)
+ * @param {string|undefined} role - The caller's "role" custom claim
+ * @return {Object|null} { perMinute, perDay }, or null if the function is not rate limited
+ */
+function getQuotaLimits(functionName, role) {
+  const limits = quotaData.functions[functionName];
+  if (!limits) {
+    return null;
+  }
+  return limits[role] || limits[quotaData.defaultRole];
+}
+
+/**
+ * Computes the current minute and day windows
+ * @param {number} now - Current time in milliseconds
+ * @return {Object} { minuteStart, minuteEnd, dayStart, dayEnd } in milliseconds
+ */
+function quotaWindows(now) {
+  const minuteStart = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+  const dayStart = istDayStart(now);
+
+  return {
+    minuteStart,
+    minuteEnd: minuteStart + MINUTE_MS,
+    dayStart,
+    dayEnd: dayStart + DAY_MS,
+  };
+}
+
+/**
+ * Builds the error raised when a limit is reached
+ * @param {string} functionName - Cloud Function name
+ * @param {string} window - "minute" or "day"
+ * @param {number} limit - The limit that was reached
+ * @param {number} retryAfterSeconds - Seconds until the window resets
+ * @return {Error} Error with a quota property { functionName, window, limit, retryAfterSeconds }
+ */
+function quotaExceededError(functionName, window, limit, retryAfterSeconds) {
+  const error = new Error(
+      `Quota exceeded: ${limit} requests per ${window} for ${functionName}. Try again in ${retryAfterSeconds}s`,
+  );
+  error.quota = { functionName, window, limit, retryAfterSeconds };
+  return error;
+}
+
+/**
+ * Counts one request against the caller's per-minute and per-day limits
+ * The request is not counted when a limit has been reached
+ * @param {string} uid - The authenticated user ID
+ * @param {string} functionName - Cloud Function name
+ * @param {string|undefined} role - The caller's "role" custom claim
+ * @return {Promise<Object|null>} { minuteCount, dayCount, limits } after counting, or null if not limited
+ * @throws {Error} "Quota exceeded" error with a quota property when a limit is reached
+ */
+async function enforceQuota(uid, functionName, role) {
+  const limits = getQuotaLimits(functionName, role);
+  if (!isQuotaEnabled() || !limits) {
+    return null;
+  }
+
+  const db = admin.firestore();
+  const quotaRef = db.collection(QUOTA_COLLECTION).doc(`${uid}_${functionName}`);
+
+  return db.runTransaction(async (transaction) => {
+    const quotaDoc = await transaction.get(quotaRef);
+    const usage = quotaDoc.exists ? quotaDoc.data() : {};
+
+    const now = Date.now();
+    const { minuteStart, minuteEnd, dayStart, dayEnd } = quotaWindows(now);
+
+    const minuteCount = usage.minuteStart === minuteStart ? usage.minuteCount : 0;
+    const dayCount = usage.dayStart === dayStart ? usage.dayCount : 0;
+
+    if (dayCount >= limits.perDay) {
+      throw quotaExceededError(functionName, "day", limits.perDay, Math.ceil((dayEnd - now) / 1000));
+    }
+    if (minuteCount >= limits.perMinute) {
+      throw quotaExceededError(functionName, "minute", limits.perMinute, Math.ceil((minuteEnd - now) / 1000));
+    }
+
+    transaction.set(quotaRef, {
+      userId: uid,
+      functionName,
+      minuteStart,
+      minuteCount: minuteCount + 1,
+      dayStart,
+      dayCount: dayCount + 1,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { minuteCount: minuteCount + 1, dayCount: dayCount + 1, limits };
+  });
+}
+
+module.exports = {
+  getQuotaLimits,
+  quotaWindows,
+  enforceQuota,
+};
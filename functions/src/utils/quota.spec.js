@@ -0,0 +1,40 @@
+const assert = require("assert");
+const { getQuotaLimits, quotaWindows } = require("./quota");
+const quotaData = require("../data/quotas.json");
+
+describe("quotaWindows", () => {
+  it("aligns the minute window to the start of the minute", () => {
+    const now = Date.parse("2026-10-18T06:15:42.500Z");
+    const { minuteStart, minuteEnd } = quotaWindows(now);
+    assert.strictEqual(new Date(minuteStart).toISOString(), "2026-10-18T06:15:00.000Z");
+    assert.strictEqual(minuteEnd - minuteStart, 60 * 1000);
+  });
+
+  it("resets the day at midnight India time", () => {
+    const { dayStart, dayEnd } = quotaWindows(Date.parse("2026-10-18T06:15:42Z"));
+    assert.strictEqual(new Date(dayStart).toISOString(), "2026-10-17T18:30:00.000Z");
+    assert.strictEqual(new Date(dayEnd).toISOString(), "2026-10-18T18:30:00.000Z");
+  });
+
+  it("starts a new day just after midnight India time", () => {
+    const before = quotaWindows(Date.parse("2026-10-18T18:29:59Z"));
+    const after = quotaWindows(Date.parse("2026-10-18T18:30:00Z"));
+    assert.strictEqual(after.dayStart, before.dayEnd);
+  });
+});
+
+describe("getQuotaLimits", () => {
+  it("uses the caller's role", () => {
+    assert.deepStrictEqual(getQuotaLimits("askByVoice", "admin"), quotaData.functions.askByVoice.admin);
+  });
+
+  it("falls back to the default role for missing or unknown roles", () => {
+    const defaults = quotaData.functions.askGemini[quotaData.defaultRole];
+    assert.deepStrictEqual(getQuotaLimits("askGemini", undefined), defaults);
+    assert.deepStrictEqual(getQuotaLimits("askGemini", "superuser"), defaults);
+  });
+
+  it("does not limit functions without an entry", () => {
+    assert.strictEqual(getQuotaLimits("getWeather", "farmer"), null);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Response schemas for AI output
+ * Schemas use a small JSON Schema subset (type, properties, required, items, enum,
+ * minLength, maxLength, maxItems, minimum, maximum) so they can be shown to the model as-is
+ */
+
+const clarificationData = require("../data/clarificationFields.json");
+
+/**
+ * Schema for advisor answers returned by askGemini
+ * Add new response fields here; validation and repair prompts pick them up automatically
+ */
+const ADVISOR_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    answer: { type: "string", minLength: 1, maxLength: 8000 },
+    confidence: { type: "string", enum: ["High", "Medium", "Low"] },
+    sources: { type: "array", items: { type: "string" }, maxItems: 10 },
+    suggestions: { type: "array", items: { type: "string" }, maxItems: 5 },
+    citations: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: { schemeId: { type: "string", minLength: 1 } },
+        required: ["schemeId"],
+      },
+      maxItems: 5,
+    },
+    clarification: {
+      type: "object",
+      properties: {
+        missingFacts: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string", enum: Object.keys(clarificationData.fields) },
+              question: { type: "string", minLength: 1, maxLength: 300 },
+            },
+            required: ["field", "question"],
+          },
+          maxItems: 5,
+        },
+      },
+      required: ["missingFacts"],
+    },
+  },
+  required: ["answer", "confidence", "sources", "suggestions"],
+};
+
+/**
+ * Schema for crop photo diagnoses returned by diagnoseCropImage
+ */
+const DIAGNOSIS_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    answer: { type: "string", minLength: 1, maxLength: 8000 },
+    diagnosis: {
+      type: "object",
+      properties: {
+        name: { type: "string", minLength: 1, maxLength: 200 },
+        type: { type: "string", enum: ["disease", "pest", "nutrient_deficiency", "abiotic", "healthy", "unknown"] },
+        severity: { type: "string", enum: ["none", "low", "moderate", "high"] },
+        affectedPart: { type: "string", enum: ["leaf", "stem", "root", "fruit", "whole_plant", "unknown"] },
+      },
+      required: ["name", "type", "severity"],
+    },
+    confidence: { type: "string", enum: ["High", "Medium", "Low"] },
+    treatment: {
+      type: "object",
+      properties: {
+        immediate: { type: "array", items: { type: "string" }, maxItems: 10 },
+        chemical: { type: "array", items: { type: "string" }, maxItems: 10 },
+        organic: { type: "array", items: { type: "string" }, maxItems: 10 },
+        prevention: { type: "array", items: { type: "string" }, maxItems: 10 },
+      },
+      required: ["immediate", "chemical", "organic", "prevention"],
+    },
+    contactKVK: { type: "boolean" },
+    sources: { type: "array", items: { type: "string" }, maxItems: 10 },
+    suggestions: { type: "array", items: { type: "string" }, maxItems: 5 },
+  },
+  required: ["answer", "diagnosis", "confidence", "treatment", "contactKVK", "sources", "suggestions"],
+};
+
+/**
+ * Schema for chat translations returned by translateChat
+ */
+const TRANSLATION_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    question: { type: "string", minLength: 1, maxLength: 2000 },
+    answer: { type: "string", minLength: 1, maxLength: 8000 },
+    suggestions: { type: "array", items: { type: "string" }, maxItems: 5 },
+  },
+  required: ["question", "answer", "suggestions"],
+};
+
+/**
+ * Returns a copy of an object schema without some of its properties
+ * Used when part of the response arrives separately (e.g. a streamed answer)
+ * @param {Object} schema - Object schema
+ * @param {Array<string>} names - Property names to drop
+ * @return {Object} The reduced schema
+ */
+function omitProperties(schema, names) {
+  const properties = {};
+  for (const [name, propertySchema] of Object.entries(schema.properties)) {
+    if (!names.includes(name)) {
+      properties[name] = propertySchema;
+    }
+  }
+
+  return {
+    ...schema,
+    properties,
+    required: (schema.required || []).filter((name) => !names.includes(name)),
+  };
+}
+
+/**
+ * Validates a value against a schema
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema to validate against
+ * @param {string} path - Path of the value, used in error messages
+ * @return {Array<string>} Validation errors (empty when valid)
+ */
+function validateAgainstSchema(value, schema, path = "response") {
+  const errors = [];
+
+  switch (schema.type) {
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) {
+          errors.push(`${path}.${name} is required`);
+        }
+      }
+      for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[name] !== undefined && value[name] !== null) {
+          errors.push(...validateAgainstSchema(value[name], propertySchema, `${path}.${name}`));
+        }
+      }
+      break;
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) {
+        return [`${path} must be an array`];
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} must have at most ${schema.maxItems} items`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => {
+          errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+      }
+      break;
+    }
+
+    case "string": {
+      if (typeof value !== "string") {
+        return [`${path} must be a string`];
+      }
+      if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push(`${path} must not be empty`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        errors.push(`${path} must be at most ${schema.maxLength} characters`);
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(", ")}`);
+      }
+      break;
+    }
+
+    case "number":
+    case "integer": {
+      if (typeof value !== "number" || Number.isNaN(value) ||
+          (schema.type === "integer" && !Number.isInteger(value))) {
+        return [`${path} must be a ${schema.type}`];
+      }
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} must be at most ${schema.maximum}`);
+      }
+      break;
+    }
+
+    case "boolean": {
+      if (typeof value !== "boolean") {
+        errors.push(`${path} must be a boolean`);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ADVISOR_RESPONSE_SCHEMA,
+  DIAGNOSIS_RESPONSE_SCHEMA,
+  TRANSLATION_RESPONSE_SCHEMA,
+  omitProperties,
+  validateAgainstSchema,
+};
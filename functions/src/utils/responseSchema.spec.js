@@ -0,0 +1,61 @@
+const assert = require("assert");
+const { ADVISOR_RESPONSE_SCHEMA, omitProperties, validateAgainstSchema } = require("./responseSchema");
+
+const VALID = {
+  answer: "Apply 2-3 ml/L neem oil at dusk.",
+  confidence: "High",
+  sources: ["ICAR"],
+  suggestions: ["Check the undersides of leaves"],
+};
+
+describe("validateAgainstSchema", () => {
+  it("accepts a valid advisor response", () => {
+    assert.deepStrictEqual(validateAgainstSchema(VALID, ADVISOR_RESPONSE_SCHEMA), []);
+  });
+
+  it("reports missing required fields", () => {
+    const errors = validateAgainstSchema({ answer: "Irrigate." }, ADVISOR_RESPONSE_SCHEMA);
+    assert.ok(errors.includes("response.confidence is required"));
+    assert.ok(errors.includes("response.sources is required"));
+  });
+
+  it("reports wrong types and values with their paths", () => {
+    const errors = validateAgainstSchema({ ...VALID, confidence: "Sure", sources: "ICAR", answer: "  " },
+        ADVISOR_RESPONSE_SCHEMA);
+    assert.ok(errors.includes("response.confidence must be one of: High, Medium, Low"));
+    assert.ok(errors.includes("response.sources must be an array"));
+    assert.ok(errors.includes("response.answer must not be empty"));
+  });
+
+  it("checks array items, lengths and numbers", () => {
+    const schema = {
+      type: "object",
+      properties: {
+        doses: { type: "array", maxItems: 2, items: { type: "integer", minimum: 1, maximum: 10 } },
+        organic: { type: "boolean" },
+      },
+    };
+    assert.deepStrictEqual(validateAgainstSchema({ doses: [0, 2.5, 11], organic: "yes" }, schema), [
+      "response.doses must have at most 2 items",
+      "response.doses[0] must be at least 1",
+      "response.doses[1] must be a integer",
+      "response.doses[2] must be at most 10",
+      "response.organic must be a boolean",
+    ]);
+  });
+
+  it("rejects non-objects", () => {
+    assert.deepStrictEqual(validateAgainstSchema([], ADVISOR_RESPONSE_SCHEMA), ["response must be an object"]);
+  });
+});
+
+describe("omitProperties", () => {
+  it("drops properties and their required entries", () => {
+    const schema = omitProperties(ADVISOR_RESPONSE_SCHEMA, ["answer"]);
+    assert.ok(!("answer" in schema.properties));
+    assert.ok(!schema.required.includes("answer"));
+    const { answer, ...metadata } = VALID;
+    assert.ok(answer);
+    assert.deepStrictEqual(validateAgainstSchema(metadata, schema), []);
+  });
+});
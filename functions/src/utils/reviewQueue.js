@@ -0,0 +1,214 @@
+/**
+ * Expert review queue
+ * Low-confidence and safety-flagged answers open a ticket in the reviewTickets collection.
+ * Extension officers claim a ticket, then answer, amend or approve it; the outcome is pushed
+ * back into the review field of the farmer's chat document.
+ * Tickets whose chat the farmer has since deleted are closed (or resolved) with chatDeleted set.
+ */
+
+const admin = require("firebase-admin");
+
+const REVIEW_STATUS = {
+  OPEN: "open",
+  CLAIMED: "claimed",
+  ANSWERED: "answered",
+  AMENDED: "amended",
+  APPROVED: "approved",
+  CLOSED: "closed",
+};
+
+// Resolution actions and the status each one leaves the ticket in
+const RESOLUTION_STATUS = {
+  answer: REVIEW_STATUS.ANSWERED,
+  amend: REVIEW_STATUS.AMENDED,
+  approve: REVIEW_STATUS.APPROVED,
+};
+
+const MAX_EXPERT_ANSWER_LENGTH = 8000;
+
+/**
+ * Lists the reasons an answer needs expert review
+ * @param {Object} aiResponse - Final AI response
+ * @param {Object|null} safety - Safety result from reviewAdviceSafety
+ * @return {Array<string>} Reasons ("low_confidence", "safety_flagged"); empty when no review is needed
+ */
+function reviewReasons(aiResponse, safety) {
+  const reasons = [];
+
+  // Asking the farmer for missing facts is expected to be low confidence and needs no expert
+  if (aiResponse.confidence === "Low" && !aiResponse.clarification) {
+    reasons.push("low_confidence");
+  }
+  if (safety && safety.violations.length > 0) {
+    reasons.push("safety_flagged");
+  }
+
+  return reasons;
+}
+
+/**
+ * Builds a new review ticket for a chat
+ * @param {string} uid - The farmer's user ID
+ * @param {string} chatId - The chat to review
+ * @param {Object} chat - { question, answer, language, farmProfile, conversationId, type, safety }
+ * @param {Array<string>} reasons - Reasons from reviewReasons
+ * @return {Object} Ticket document data
+ */
+function buildReviewTicket(uid, chatId, chat, reasons) {
+  return {
+    userId: uid,
+    chatId,
+    conversationId: chat.conversationId,
+    type: chat.type,
+    question: chat.question,
+    answer: chat.answer,
+    language: chat.language,
+    farmProfile: chat.farmProfile,
+    safetyViolations: chat.safety ? chat.safety.violations : [],
+    reasons,
+    status: REVIEW_STATUS.OPEN,
+    claimedBy: null,
+    claimedAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Claims an open ticket for an extension officer
+ * A ticket already claimed by the same officer can be claimed again; a ticket whose chat was deleted is closed
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} officer - { uid, name }
+ * @return {Promise<Object>} { ticketId, status, chatDeleted? }
+ * @throws {Error} If the ticket does not exist or is not open
+ */
+async function claimReviewTicket(ticketId, officer) {
+  const db = admin.firestore();
+  const ticketRef = db.collection("reviewTickets").doc(ticketId);
+
+  return db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    if (!ticketDoc.exists) {
+      throw new Error("Review ticket not found");
+    }
+
+    const ticket = ticketDoc.data();
+    const claimedBySelf = ticket.status === REVIEW_STATUS.CLAIMED && ticket.claimedBy === officer.uid;
+    if (ticket.status !== REVIEW_STATUS.OPEN && !claimedBySelf) {
+      throw new Error(`Review ticket is already ${ticket.status}`);
+    }
+
+    const chatRef = db.collection("users").doc(ticket.userId).collection("chats").doc(ticket.chatId);
+    const chatDoc = await transaction.get(chatRef);
+
+    if (!chatDoc.exists) {
+      transaction.update(ticketRef, {
+        status: REVIEW_STATUS.CLOSED,
+        chatDeleted: true,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { ticketId, status: REVIEW_STATUS.CLOSED, chatDeleted: true };
+    }
+
+    transaction.update(ticketRef, {
+      status: REVIEW_STATUS.CLAIMED,
+      claimedBy: officer.uid,
+      claimedByName: officer.name,
+      claimedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.update(chatRef, {
+      "review.status": REVIEW_STATUS.CLAIMED,
+      "review.updatedAt": admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return { ticketId, status: REVIEW_STATUS.CLAIMED };
+  });
+}
+
+/**
+ * Resolves a claimed ticket and pushes the expert's outcome into the farmer's chat
+ * - answer: adds the expert's answer next to the AI answer
+ * - amend: replaces the AI answer with the expert's corrected text (the original is kept) and drops cached
+ *   translations of the replaced answer
+ * - approve: confirms the AI answer is sound
+ * If the farmer has deleted the chat, the ticket is still resolved but marked chatDeleted
+ * @param {string} ticketId - Ticket ID
+ * @param {Object} officer - { uid, name }
+ * @param {Object} resolution - { action: "answer" | "amend" | "approve", text?: string, note?: string }
+ * @return {Promise<Object>} { ticketId, status, chatDeleted? }
+ * @throws {Error} If the resolution is invalid or the ticket is not claimed by this officer
+ */
+async function resolveReviewTicket(ticketId, officer, resolution) {
+  const status = RESOLUTION_STATUS[resolution.action];
+  if (!status) {
+    throw new Error(`Invalid action. Use one of: ${Object.keys(RESOLUTION_STATUS).join(", ")}`);
+  }
+
+  const text = typeof resolution.text === "string" ? resolution.text.trim() : "";
+  if (resolution.action !== "approve" && (!text || text.length > MAX_EXPERT_ANSWER_LENGTH)) {
+    throw new Error(`Invalid text. Provide the expert answer (at most ${MAX_EXPERT_ANSWER_LENGTH} characters)`);
+  }
+  const note = typeof resolution.note === "string" ? resolution.note.trim().slice(0, 1000) : "";
+
+  const db = admin.firestore();
+  const ticketRef = db.collection("reviewTickets").doc(ticketId);
+
+  return db.runTransaction(async (transaction) => {
+    const ticketDoc = await transaction.get(ticketRef);
+    if (!ticketDoc.exists) {
+      throw new Error("Review ticket not found");
+    }
+
+    const ticket = ticketDoc.data();
+    if (ticket.status !== REVIEW_STATUS.CLAIMED || ticket.claimedBy !== officer.uid) {
+      throw new Error("Review ticket must be claimed by you before it can be resolved");
+    }
+
+    const chatRef = db.collection("users").doc(ticket.userId).collection("chats").doc(ticket.chatId);
+    const chatDoc = await transaction.get(chatRef);
+    const expertAnswer = resolution.action === "answer" ? text : null;
+
+    const ticketUpdate = {
+      status,
+      resolution: { action: resolution.action, text: text || null, note: note || null },
+      resolvedBy: officer.uid,
+      resolvedByName: officer.name,
+      resolvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    if (!chatDoc.exists) {
+      transaction.update(ticketRef, { ...ticketUpdate, chatDeleted: true });
+      return { ticketId, status, chatDeleted: true };
+    }
+
+    transaction.update(ticketRef, ticketUpdate);
+
+    const chatUpdate = {
+      "review.status": status,
+      "review.expertAnswer": expertAnswer,
+      "review.expertNote": note || null,
+      "review.expertName": officer.name,
+      "review.resolvedAt": admin.firestore.FieldValue.serverTimestamp(),
+      "review.updatedAt": admin.firestore.FieldValue.serverTimestamp(),
+    };
+    if (resolution.action === "amend") {
+      chatUpdate.answer = text;
+      chatUpdate["review.originalAnswer"] = ticket.answer;
+      // Cached translations are of the replaced answer
+      chatUpdate.translations = admin.firestore.FieldValue.delete();
+    }
+    transaction.update(chatRef, chatUpdate);
+
+    return { ticketId, status };
+  });
+}
+
+module.exports = {
+  REVIEW_STATUS,
+  reviewReasons,
+  buildReviewTicket,
+  claimReviewTicket,
+  resolveReviewTicket,
+};
@@ -0,0 +1,103 @@
+const assert = require("assert");
+const admin = require("firebase-admin");
+const { REVIEW_STATUS, claimReviewTicket, resolveReviewTicket } = require("./reviewQueue");
+
+const OFFICER = { uid: "officer-1", name: "Officer" };
+const CHAT_PATH = "users/farmer-1/chats/chat-1";
+
+/**
+ * In-memory Firestore with just enough of the transaction API for the review queue
+ * Like Firestore, update() on a missing document throws NOT_FOUND
+ * @param {Object} docs - Document data by path
+ * @return {Object} Stand-in for admin.firestore()
+ */
+function fakeFirestore(docs) {
+  const ref = (path) => ({
+    path,
+    collection: (name) => ({ doc: (id) => ref(`${path}/${name}/${id}`) }),
+  });
+
+  return {
+    collection: (name) => ({ doc: (id) => ref(`${name}/${id}`) }),
+    async runTransaction(callback) {
+      const writes = [];
+      const result = await callback({
+        async get(docRef) {
+          const data = docs[docRef.path];
+          return { exists: Boolean(data), data: () => data };
+        },
+        update(docRef, data) {
+          writes.push({ path: docRef.path, data });
+        },
+      });
+
+      for (const write of writes) {
+        if (!docs[write.path]) {
+          throw new Error(`NOT_FOUND: ${write.path}`);
+        }
+        docs[write.path] = { ...docs[write.path], ...write.data };
+      }
+      return result;
+    },
+  };
+}
+
+describe("review tickets", () => {
+  let docs;
+
+  beforeEach(() => {
+    docs = {
+      "reviewTickets/ticket-1": {
+        userId: "farmer-1",
+        chatId: "chat-1",
+        answer: "AI answer",
+        status: REVIEW_STATUS.OPEN,
+        claimedBy: null,
+      },
+      [CHAT_PATH]: { answer: "AI answer", review: { status: REVIEW_STATUS.OPEN } },
+    };
+
+    const firestore = () => fakeFirestore(docs);
+    firestore.FieldValue = {
+      serverTimestamp: () => "timestamp",
+      delete: () => undefined,
+    };
+    Object.defineProperty(admin, "firestore", { value: firestore, configurable: true });
+  });
+
+  after(() => {
+    // admin.firestore is a getter on the app's prototype; dropping the override restores it
+    delete admin.firestore;
+  });
+
+  it("claims a ticket and marks the chat claimed", async () => {
+    const result = await claimReviewTicket("ticket-1", OFFICER);
+
+    assert.deepStrictEqual(result, { ticketId: "ticket-1", status: REVIEW_STATUS.CLAIMED });
+    assert.strictEqual(docs["reviewTickets/ticket-1"].claimedBy, OFFICER.uid);
+    assert.strictEqual(docs[CHAT_PATH]["review.status"], REVIEW_STATUS.CLAIMED);
+  });
+
+  it("closes the ticket instead of claiming it when the chat was deleted", async () => {
+    delete docs[CHAT_PATH];
+
+    const result = await claimReviewTicket("ticket-1", OFFICER);
+
+    assert.deepStrictEqual(result, { ticketId: "ticket-1", status: REVIEW_STATUS.CLOSED, chatDeleted: true });
+    assert.strictEqual(docs["reviewTickets/ticket-1"].status, REVIEW_STATUS.CLOSED);
+    assert.strictEqual(docs["reviewTickets/ticket-1"].chatDeleted, true);
+    assert.strictEqual(docs[CHAT_PATH], undefined);
+  });
+
+  it("resolves a claimed ticket whose chat was deleted without touching the chat", async () => {
+    await claimReviewTicket("ticket-1", OFFICER);
+    delete docs[CHAT_PATH];
+
+    const result = await resolveReviewTicket("ticket-1", OFFICER, { action: "answer", text: "Expert answer" });
+
+    assert.deepStrictEqual(result, { ticketId: "ticket-1", status: REVIEW_STATUS.ANSWERED, chatDeleted: true });
+    assert.strictEqual(docs["reviewTickets/ticket-1"].status, REVIEW_STATUS.ANSWERED);
+    assert.strictEqual(docs["reviewTickets/ticket-1"].chatDeleted, true);
+    assert.strictEqual(docs[CHAT_PATH], undefined);
+  });
+});
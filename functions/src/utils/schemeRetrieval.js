@@ -0,0 +1,149 @@
+/**
+ * Government scheme retrieval for grounded answers
+ * Finds active schemes relevant to a farmer's question so answers cite real scheme data
+ */
+
+const admin = require("firebase-admin");
+
+// Maximum number of schemes injected into a prompt
+const MAX_SCHEMES = 5;
+
+// Words that mark a question as being about schemes, subsidies, credit or insurance
+const SCHEME_KEYWORDS = [
+  // English
+  "scheme", "subsidy", "subsidies", "yojana", "yojna", "government", "govt", "insurance", "bima",
+  "loan", "credit", "kcc", "pm-kisan", "pm kisan", "pmkisan", "pmfby", "pension", "grant", "benefit",
+  "apply", "eligibility", "eligible", "e-nam", "enam",
+  // Hindi
+  "योजना", "सब्सिडी", "अनुदान", "बीमा", "ऋण", "लोन", "सरकारी", "पात्रता", "आवेदन",
+  // Tamil
+  "திட்டம்", "மானியம்", "காப்பீடு", "கடன்", "அரசு", "விண்ணப்ப",
+  // Telugu
+  "పథకం", "సబ్సిడీ", "రాయితీ", "బీమా", "రుణం", "ప్రభుత్వ", "దరఖాస్తు",
+];
+
+// Extra search terms for scheme categories, so "crop insurance" also matches the insurance category
+const CATEGORY_TERMS = {
+  income_support: ["income", "kisan", "installment", "money"],
+  insurance: ["insurance", "bima", "loss", "damage", "बीमा", "காப்பீடு", "బీమా"],
+  credit: ["loan", "credit", "kcc", "interest", "ऋण", "लोन", "கடன்", "రుణం"],
+  soil_health: ["soil", "testing", "card", "nutrient"],
+  irrigation: ["irrigation", "drip", "sprinkler", "water", "sinchai"],
+  organic_farming: ["organic", "certification"],
+  market_linkage: ["market", "mandi", "price", "sell", "trading"],
+};
+
+/**
+ * Checks whether a question is about government schemes or subsidies
+ * @param {string} question - The farmer's question
+ * @return {boolean} True if the question mentions scheme-related terms
+ */
+function isSchemeQuestion(question) {
+  const text = question.toLowerCase();
+  return SCHEME_KEYWORDS.some((keyword) => text.includes(keyword));
+}
+
+/**
+ * Splits text into lowercase search terms of three or more characters
+ * @param {string} text - Text to tokenize
+ * @return {Array<string>} Search terms
+ */
+function tokenize(text) {
+  return text
+      .toLowerCase()
+      .split(/[^\p{L}\p{M}\p{N}-]+/u)
+      .filter((term) => term.length >= 3);
+}
+
+/**
+ * Scores how well a scheme matches a question and the farmer's crops
+ * @param {Object} scheme - Scheme document data
+ * @param {Array<string>} questionTerms - Search terms from the question
+ * @param {Array<string>} crops - Farmer's crops, lowercase
+ * @return {number} Relevance score (higher is better)
+ */
+function scoreScheme(scheme, questionTerms, crops) {
+  const searchableText = [
+    scheme.name,
+    scheme.description,
+    scheme.benefits,
+    scheme.eligibility_criteria,
+    ...(CATEGORY_TERMS[scheme.category] || []),
+  ].join(" ").toLowerCase();
+
+  let score = questionTerms.filter((term) => searchableText.includes(term)).length;
+
+  // Schemes naming one of the farmer's crops are more relevant
+  const schemeCrops = Array.isArray(scheme.crops) ? scheme.crops.map((crop) => crop.toLowerCase()) : [];
+  if (schemeCrops.some((crop) => crops.includes(crop))) {
+    score += 2;
+  }
+
+  return score;
+}
+
+/**
+ * Retrieves active schemes matching a question, filtered by the farmer's state and crops
+ * @param {string} question - The farmer's question
+ * @param {Object} farmProfile - The farmer's farm profile
+ * @return {Promise<Array<Object>>} Matching schemes with their document IDs, best match first
+ */
+async function retrieveSchemes(question, farmProfile) {
+  const state = (farmProfile.location && farmProfile.location.state) || null;
+  const crops = (farmProfile.crops || []).map((crop) => String(crop).toLowerCase());
+
+  let query = admin.firestore().collection("schemes").where("active", "==", true);
+  if (state) {
+    query = query.where("state", "in", [state, "all"]);
+  }
+
+  const snapshot = await query.get();
+  const questionTerms = tokenize(question);
+
+  return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      // Crop-specific schemes only apply to farmers growing one of those crops
+      .filter((scheme) => !Array.isArray(scheme.crops) || scheme.crops.length === 0 ||
+        scheme.crops.some((crop) => crops.includes(String(crop).toLowerCase())))
+      .map((scheme) => ({ scheme, score: scoreScheme(scheme, questionTerms, crops) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_SCHEMES)
+      .map(({ scheme }) => scheme);
+}
+
+/**
+ * Resolves scheme citations returned by the model against the retrieved schemes
+ * Names and URLs always come from Firestore; citations of unknown scheme IDs are dropped
+ * @param {Array<Object>} citations - Model citations, each { schemeId }
+ * @param {Array<Object>} schemes - Schemes that were injected into the prompt
+ * @return {Array<Object>} Citations as { schemeId, name, applicationUrl }
+ */
+function resolveSchemeCitations(citations, schemes) {
+  if (!Array.isArray(citations) || schemes.length === 0) {
+    return [];
+  }
+
+  const schemesById = new Map(schemes.map((scheme) => [scheme.id, scheme]));
+  const seen = new Set();
+  const resolved = [];
+
+  for (const citation of citations) {
+    const scheme = citation && schemesById.get(citation.schemeId);
+    if (scheme && !seen.has(scheme.id)) {
+      seen.add(scheme.id);
+      resolved.push({
+        schemeId: scheme.id,
+        name: scheme.name,
+        applicationUrl: scheme.applicationUrl || "",
+      });
+    }
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  isSchemeQuestion,
+  retrieveSchemes,
+  resolveSchemeCitations,
+};
@@ -0,0 +1,164 @@
+/**
+ * Text-to-Speech synthesis
+ * Renders text as SSML (see ssml.js), reads it out in the user's preferred voice and speaking rate for the
+ * language and stores the MP3 in Firebase Storage. Answers too long for one request are synthesized in
+ * chunks and joined into one file. Files are content-addressed: the name is a hash of the SSML, voice and
+ * speaking rate, so replaying an answer reuses the stored audio instead of synthesizing it again. Audio for
+ * text many farmers hear (answers the answer cache serves to everyone) goes to a shared folder; everything
+ * else stays in the user's folder.
+ * Only Cloud Functions write under tts/ (see storage.rules). Used by the synthesizeSpeech callable and the
+ * speech stage of askByVoice.
+ */
+
+const crypto = require("crypto");
+const admin = require("firebase-admin");
+const textToSpeech = require("@google-cloud/text-to-speech");
+const { getVoiceConfig } = require("./languages");
+const { buildSsmlChunks } = require("./ssml");
+const { loadVoicePreferences } = require("./voicePreferences");
+
+const ttsClient = new textToSpeech.TextToSpeechClient();
+
+// How long signed audio URLs stay valid
+const SIGNED_URL_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Storage folder of synthesized audio, and its subfolder for audio shared across users
+const TTS_FOLDER = "tts";
+const SHARED_FOLDER = "shared";
+
+// The speaking rate comes from the user's voice preferences
+const AUDIO_CONFIG = {
+  audioEncoding: "MP3",
+  pitch: 0,
+  volumeGainDb: 0,
+};
+
+/**
+ * Hashes everything that determines the synthesized audio
+ * @param {Array<string>} ssml - SSML documents to read out, from buildSsmlChunks
+ * @param {Object} voice - { languageCode, name, ssmlGender } Text-to-Speech voice
+ * @param {Object} audioConfig - Text-to-Speech audio config
+ * @return {string} Hex SHA-256 digest
+ */
+function ttsCacheKey(ssml, voice, audioConfig) {
+  return crypto
+      .createHash("sha256")
+      .update(JSON.stringify({
+        ssml,
+        languageCode: voice.languageCode,
+        voiceName: voice.name,
+        ssmlGender: voice.ssmlGender,
+        audioEncoding: audioConfig.audioEncoding,
+        speakingRate: audioConfig.speakingRate,
+        pitch: audioConfig.pitch,
+      }))
+      .digest("hex");
+}
+
+/**
+ * Gets the storage path of synthesized audio
+ * @param {string} uid - The user ID
+ * @param {string} key - Hash from ttsCacheKey
+ * @param {boolean} shared - Whether the audio goes to the shared folder
+ * @return {string} Storage path
+ */
+function ttsStoragePath(uid, key, shared) {
+  return `${TTS_FOLDER}/${shared ? SHARED_FOLDER : uid}/${key}.mp3`;
+}
+
+/**
+ * Signs a read URL for stored audio
+ * @param {string} storagePath - Storage path of the audio file
+ * @return {Promise<string>} Signed URL valid for 7 days
+ */
+async function getSignedAudioUrl(storagePath) {
+  const [url] = await admin.storage().bucket().file(storagePath).getSignedUrl({
+    action: "read",
+    expires: Date.now() + SIGNED_URL_TTL_MS,
+  });
+  return url;
+}
+
+/**
+ * Synthesizes speech from text and stores it in Firebase Storage, reusing audio stored for the same text,
+ * language, voice and speaking rate
+ * The voice and speaking rate follow the user's voice preferences.
+ * @param {string} uid - The authenticated user ID
+ * @param {string} text - Validated text to read out
+ * @param {string} language - Validated language code
+ * @param {Object} options - { shared?: boolean } where shared stores the audio in the shared folder; only set
+ *   it for text that is not personal to the user, such as answers from the answer cache
+ * @return {Promise<Object>} { audioUrl, storagePath, voiceName, characters, cached } where audioUrl is a
+ *   signed URL valid for 7 days, characters is the SSML length Text-to-Speech bills and cached is true when
+ *   stored audio was reused
+ * @throws {Error} If the text has nothing to read out or Text-to-Speech returns no audio
+ */
+async function synthesizeToStorage(uid, text, language, options = {}) {
+  const preferences = await loadVoicePreferences(uid);
+  const voiceConfig = getVoiceConfig(language, preferences.gender);
+  const voice = {
+    languageCode: voiceConfig.languageCode,
+    name: voiceConfig.voiceName,
+    ssmlGender: voiceConfig.ssmlGender,
+  };
+  const audioConfig = { ...AUDIO_CONFIG, speakingRate: preferences.speakingRate };
+  const shared = Boolean(options.shared);
+
+  const ssml = buildSsmlChunks(text, language);
+  if (ssml.length === 0) {
+    throw new Error("Invalid text. There is nothing to read out");
+  }
+  const characters = ssml.reduce((total, chunk) => total + chunk.length, 0);
+
+  const storagePath = ttsStoragePath(uid, ttsCacheKey(ssml, voice, audioConfig), shared);
+  const file = admin.storage().bucket().file(storagePath);
+
+  // Reuse audio synthesized earlier for the same text and voice
+  const [cached] = await file.exists();
+
+  if (!cached) {
+    // Perform text-to-speech, one request per chunk; MP3 frames play back to back, so chunks are joined
+    const responses = await Promise.all(ssml.map(async (chunk) => {
+      const [response] = await ttsClient.synthesizeSpeech({
+        input: { ssml: chunk },
+        voice,
+        audioConfig,
+      });
+      return response;
+    }));
+
+    if (responses.some((response) => !response.audioContent || response.audioContent.length === 0)) {
+      throw new Error("No audio content generated");
+    }
+    const audioContent = Buffer.concat(responses.map((response) => Buffer.from(response.audioContent)));
+
+    // The content never changes for a path, so clients may cache it indefinitely. Shared audio records no
+    // user; the download token lets the client SDK's getDownloadURL serve files written by the Admin SDK
+    await file.save(audioContent, {
+      metadata: {
+        contentType: "audio/mpeg",
+        cacheControl: `${shared ? "public" : "private"}, max-age=31536000, immutable`,
+        metadata: {
+          ...(shared ? {} : { userId: uid }),
+          language: language,
+          voiceName: voice.name,
+          speakingRate: String(audioConfig.speakingRate),
+          ssmlChunks: String(ssml.length),
+          firebaseStorageDownloadTokens: crypto.randomUUID(),
+          generatedAt: new Date().toISOString(),
+        },
+      },
+    });
+  }
+
+  // Make file publicly readable (or generate signed URL for private access)
+  // For this app, we'll use signed URLs for security
+  const url = await getSignedAudioUrl(storagePath);
+
+  return { audioUrl: url, storagePath, voiceName: voice.name, characters, cached };
+}
+
+module.exports = {
+  getSignedAudioUrl,
+  synthesizeToStorage,
+};
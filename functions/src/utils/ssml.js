@@ -0,0 +1,347 @@
+/**
+ * SSML rendering of answers
+ * Answers are written to be read: doses like "2-3 ml/L", ratios like "1:10", decimals, abbreviations,
+ * acronyms, numbered steps and "⚠️" safety warnings. Read out as plain text these come across badly, so
+ * buildSsmlChunks rewrites them into words in the answer's language (data/ssmlLexicon.json), reads acronyms
+ * letter by letter, pauses between steps and emphasizes warnings. Text-to-Speech accepts at most 5000 bytes
+ * of input per request, so long answers are split into several SSML documents at step, then sentence, then
+ * word boundaries.
+ */
+
+const lexicon = require("../data/ssmlLexicon.json");
+const { DEFAULT_LANGUAGE } = require("./languages");
+
+// Text-to-Speech rejects input over 5000 bytes, tags included
+const MAX_SSML_BYTES = 4800;
+
+// Plain-text size a block is split to when its SSML is too long; leaves room for expansions and tags
+const SPLIT_TEXT_BYTES = 2000;
+
+// Pause after each kind of block
+const BREAKS = {
+  paragraph: "400ms",
+  step: "600ms",
+  warning: "700ms",
+};
+
+const HEADING_MARK = /^#{1,6}\s*/;
+const WARNING_MARK = /^(?:\u26A0\uFE0F?|\u2757|\u203C\uFE0F?)\s*/u;
+const STEP_MARK = /^(?:[-*•]\s+|(\d{1,2})[.)]\s+)/;
+const PICTOGRAPHS = new RegExp("\\p{Extended_Pictographic}\\uFE0F?", "gu");
+const SENTENCE_END = /(?<=[.!?।॥])\s+/u;
+
+const NUMBER = "\\p{Nd}+(?:\\.\\p{Nd}+)?";
+const AMOUNT = `\\p{Nd}+\\/\\p{Nd}+|${NUMBER}`;
+
+/**
+ * Escapes text for use in a regular expression
+ * @param {string} text - Literal text
+ * @return {string} Escaped pattern
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+}
+
+const UNIT_NAMES = Object.keys(lexicon.unitAliases)
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+
+// Amount or range, unit, and optional "/unit" or "per unit": "2.5 ml/L", "2-3 kg per acre", "0.5%"
+const DOSE_PATTERN = new RegExp(
+    `(?<![\\p{Nd}.\\/])(${AMOUNT})(?:\\s*[-–]\\s*(${AMOUNT}))?\\s*(${UNIT_NAMES})` +
+    `(?:\\s*(?:\\/|per\\s)\\s*(${UNIT_NAMES}|[\\p{L}\\p{M}]+))?(?![\\p{L}\\p{M}\\p{Nd}])`,
+    "giu",
+);
+
+// "1,00,000" and "10,000", but not lists like "1,2"
+const THOUSANDS_PATTERN = /(?<![\p{Nd},.])\p{Nd}{1,3}(?:,\p{Nd}{2,3})*,\p{Nd}{3}(?![\p{Nd}]|,\p{Nd})/gu;
+
+// "1:10" dilutions; times such as "6:00" or "10:30 am" are left alone
+const RATIO_PATTERN = /(?<![\p{Nd}:.])(\p{Nd}+)\s*:\s*([1-9]\p{Nd}*)(?![\p{Nd}:]|\s*[ap]\.?m(?![\p{L}]))/giu;
+
+// "2-3" but not dates or phone numbers such as "2026-10-18" or "1800-180-1551"
+const RANGE_PATTERN = new RegExp(
+    `(?<![\\p{Nd}.\\/-])(${NUMBER})\\s*[-–]\\s*(${NUMBER})(?![\\p{Nd}\\/-]|\\.\\p{Nd})`,
+    "gu",
+);
+
+const FRACTION_PATTERN = /(?<![\p{Nd}/])(\p{Nd}+\/\p{Nd}+)(?![\p{Nd}/])/gu;
+
+const DECIMAL_PATTERN = /(?<![\p{Nd}.])(\p{Nd}+)\.(\p{Nd}+)(?![\p{Nd}]|\.\p{Nd})/gu;
+
+const ACRONYM_PATTERN = new RegExp(
+    `(?<![\\p{L}\\p{M}\\p{Nd}])(${lexicon.acronyms.map(escapeRegExp).join("|")})(?![\\p{L}\\p{M}\\p{Nd}])`,
+    "gu",
+);
+
+/**
+ * Gets the lexicon entry for a language
+ * @param {string} language - Language code
+ * @return {Object} Lexicon entry, the default language's if the language has none
+ */
+function lexiconEntry(language) {
+  return lexicon.languages[language] || lexicon.languages[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Fills a lexicon template such as "{from} to {to}"
+ * @param {string} template - Template with {name} placeholders
+ * @param {Object} values - Placeholder values
+ * @return {string} Filled text
+ */
+function fill(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+}
+
+/**
+ * Measures a string in UTF-8 bytes, the unit of the Text-to-Speech input limit
+ * @param {string} text - Text to measure
+ * @return {number} Byte length
+ */
+function byteLength(text) {
+  return Buffer.byteLength(text, "utf8");
+}
+
+/**
+ * Escapes text for SSML
+ * @param {string} text - Plain text
+ * @return {string} XML-safe text
+ */
+function escapeXml(text) {
+  return text
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;");
+}
+
+/**
+ * Words for a number: decimals are read digit by digit after the decimal point, known fractions as words
+ * @param {string} value - Number as written, such as "2", "0.25" or "1/2"
+ * @param {Object} entry - Lexicon entry
+ * @return {string} Number to read out
+ */
+function speakNumber(value, entry) {
+  if (value.includes("/")) {
+    return entry.fractions[value] || value;
+  }
+  const [whole, decimals] = value.split(".");
+  return decimals ? `${whole} ${entry.point} ${decimals.split("").join(" ")}` : whole;
+}
+
+/**
+ * Words for a unit
+ * @param {string} unit - Unit as written, such as "ml" or "kg"
+ * @param {boolean} plural - Whether the amount is more than one
+ * @param {Object} entry - Lexicon entry
+ * @return {string|null} Unit name, or null if the text is not a known unit
+ */
+function speakUnit(unit, plural, entry) {
+  const key = lexicon.unitAliases[unit.toLowerCase()];
+  if (!key) {
+    return null;
+  }
+  const word = entry.units[key] || lexiconEntry(DEFAULT_LANGUAGE).units[key];
+  return Array.isArray(word) ? word[plural ? 1 : 0] : word;
+}
+
+/**
+ * Rewrites a dose matched by DOSE_PATTERN into words
+ * @param {Object} entry - Lexicon entry
+ * @param {string} amount - Amount, or start of the range
+ * @param {string|undefined} upTo - End of the range
+ * @param {string} unit - Unit
+ * @param {string|undefined} per - Unit or word after "/" or "per"
+ * @return {string} Dose to read out
+ */
+function speakDose(entry, amount, upTo, unit, per) {
+  const last = upTo || amount;
+  const plural = last !== "1" && !last.includes("/");
+  const spokenAmount = upTo ?
+    fill(entry.range, { from: speakNumber(amount, entry), to: speakNumber(upTo, entry) }) :
+    speakNumber(amount, entry);
+  const spokenUnit = speakUnit(unit, plural, entry);
+
+  if (!per) {
+    return `${spokenAmount} ${spokenUnit}`;
+  }
+  return fill(entry.perUnit, { amount: spokenAmount, unit: spokenUnit, per: speakUnit(per, false, entry) || per });
+}
+
+/**
+ * Expands a language's written abbreviations, such as "e.g." or "कि.ग्रा."
+ * @param {string} text - Plain text
+ * @param {Object} abbreviations - Abbreviation to expansion
+ * @return {string} Text with abbreviations written out
+ */
+function expandAbbreviations(text, abbreviations) {
+  return Object.entries(abbreviations || {}).reduce(
+      (expanded, [abbreviation, words]) => expanded.replace(
+          new RegExp(`(?<![\\p{L}\\p{M}.])${escapeRegExp(abbreviation)}`, "gu"),
+          words,
+      ),
+      text,
+  );
+}
+
+/**
+ * Renders one line of an answer as SSML content
+ * @param {string} text - Plain text
+ * @param {Object} entry - Lexicon entry
+ * @return {string} SSML fragment
+ */
+function speakText(text, entry) {
+  const spoken = expandAbbreviations(text, entry.abbreviations)
+      .replace(THOUSANDS_PATTERN, (match) => match.replace(/,/g, ""))
+      .replace(DOSE_PATTERN, (match, amount, upTo, unit, per) => speakDose(entry, amount, upTo, unit, per))
+      .replace(RATIO_PATTERN, (match, a, b) => fill(entry.ratio, { a, b }))
+      .replace(RANGE_PATTERN, (match, from, to) => fill(entry.range, {
+        from: speakNumber(from, entry),
+        to: speakNumber(to, entry),
+      }))
+      .replace(FRACTION_PATTERN, (match, fraction) => entry.fractions[fraction] || match)
+      .replace(DECIMAL_PATTERN, (match) => speakNumber(match, entry));
+
+  return escapeXml(spoken).replace(ACRONYM_PATTERN, "<say-as interpret-as=\"characters\">$1</say-as>");
+}
+
+/**
+ * Checks whether a line opens with a warning word such as "Caution"
+ * @param {string} text - Plain text
+ * @param {Object} entry - Lexicon entry
+ * @return {boolean} True for warning lines
+ */
+function startsWithWarning(text, entry) {
+  const prefixes = entry.warningPrefixes.concat(lexiconEntry(DEFAULT_LANGUAGE).warningPrefixes);
+  const lower = text.toLowerCase();
+  return prefixes.some((prefix) => lower.startsWith(prefix.toLowerCase()) &&
+    !/^[\p{L}\p{M}]/u.test(text.slice(prefix.length)));
+}
+
+/**
+ * Splits an answer into blocks: paragraphs, steps and warnings
+ * Markdown, bullets and emoji are removed; step numbers are kept so they are read out
+ * @param {string} text - Answer text
+ * @param {Object} entry - Lexicon entry
+ * @return {Array<Object>} [{ kind: "paragraph" | "step" | "warning", text }]
+ */
+function splitBlocks(text, entry) {
+  return text.split(/\n+/).map((line) => {
+    let content = line.trim().replace(HEADING_MARK, "");
+    let kind = "paragraph";
+
+    if (WARNING_MARK.test(content)) {
+      kind = "warning";
+      content = content.replace(WARNING_MARK, "");
+    }
+
+    const step = STEP_MARK.exec(content);
+    if (step) {
+      kind = kind === "warning" ? kind : "step";
+      content = `${step[1] ? `${step[1]}. ` : ""}${content.slice(step[0].length)}`;
+    }
+
+    content = content
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+        .replace(/[*_`~]+/g, "")
+        .replace(PICTOGRAPHS, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+    if (kind !== "warning" && startsWithWarning(content, entry)) {
+      kind = "warning";
+    }
+    return { kind, text: content };
+  }).filter((block) => block.text);
+}
+
+/**
+ * Renders a block as SSML followed by its pause
+ * @param {Object} block - { kind, text } from splitBlocks
+ * @param {Object} entry - Lexicon entry
+ * @return {string} SSML fragment
+ */
+function renderBlock(block, entry) {
+  const spoken = speakText(block.text, entry);
+  const content = block.kind === "warning" ? `<emphasis level="strong">${spoken}</emphasis>` : spoken;
+  return `<p>${content}</p><break time="${BREAKS[block.kind]}"/>`;
+}
+
+/**
+ * Splits text into parts of at most maxBytes, at sentence and then word boundaries
+ * @param {string} text - Plain text
+ * @param {number} maxBytes - Part size in UTF-8 bytes
+ * @return {Array<string>} Parts
+ */
+function splitText(text, maxBytes) {
+  const parts = [];
+  let current = "";
+  const add = (segment) => {
+    const candidate = current ? `${current} ${segment}` : segment;
+    if (byteLength(candidate) <= maxBytes || !current) {
+      current = candidate;
+      return;
+    }
+    parts.push(current);
+    current = segment;
+  };
+
+  text.split(SENTENCE_END).forEach((sentence) => {
+    if (byteLength(sentence) <= maxBytes) {
+      add(sentence);
+    } else {
+      sentence.split(/\s+/).forEach(add);
+    }
+  });
+  if (current) {
+    parts.push(current);
+  }
+  return parts;
+}
+
+/**
+ * Renders an answer as SSML for Text-to-Speech
+ * @param {string} text - Answer text
+ * @param {string} language - Language code of the answer
+ * @return {Array<string>} SSML documents in reading order, each within the Text-to-Speech input limit;
+ *   empty if the text has nothing to read
+ */
+function buildSsmlChunks(text, language) {
+  const entry = lexiconEntry(language);
+  const frame = byteLength("<speak></speak>");
+
+  const pieces = [];
+  splitBlocks(text, entry).forEach((block) => {
+    const rendered = renderBlock(block, entry);
+    if (byteLength(rendered) + frame <= MAX_SSML_BYTES) {
+      pieces.push(rendered);
+      return;
+    }
+    splitText(block.text, SPLIT_TEXT_BYTES).forEach((part) => {
+      pieces.push(renderBlock({ ...block, text: part }, entry));
+    });
+  });
+
+  // Pack whole blocks into as few requests as fit
+  const chunks = [];
+  let current = "";
+  pieces.forEach((piece) => {
+    if (current && byteLength(current) + byteLength(piece) + frame > MAX_SSML_BYTES) {
+      chunks.push(current);
+      current = "";
+    }
+    current += piece;
+  });
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks.map((body) => `<speak>${body}</speak>`);
+}
+
+module.exports = {
+  MAX_SSML_BYTES,
+  buildSsmlChunks,
+};
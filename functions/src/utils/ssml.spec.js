@@ -0,0 +1,48 @@
+const assert = require("assert");
+const { MAX_SSML_BYTES, buildSsmlChunks } = require("./ssml");
+
+const bytes = (text) => Buffer.byteLength(text, "utf8");
+
+describe("buildSsmlChunks", () => {
+  it("reads doses, ratios, abbreviations and acronyms as words", () => {
+    const [ssml] = buildSsmlChunks("Spray 2-3 ml/L of neem oil, e.g. at dusk. Mix NPK 1:10.", "en");
+    assert.ok(ssml.includes("2 to 3 millilitres per litre"));
+    assert.ok(ssml.includes("for example at dusk"));
+    assert.ok(ssml.includes("<say-as interpret-as=\"characters\">NPK</say-as>"));
+    assert.ok(ssml.includes("1 to 10"));
+  });
+
+  it("pauses after steps and emphasizes warnings", () => {
+    const [ssml] = buildSsmlChunks("1. Water first\n⚠️ Wear gloves", "en");
+    assert.ok(ssml.includes("<p>1. Water first</p><break time=\"600ms\"/>"));
+    assert.ok(ssml.includes("<emphasis level=\"strong\">Wear gloves</emphasis>"));
+  });
+
+  it("escapes XML in the answer", () => {
+    const [ssml] = buildSsmlChunks("Use <b>gloves</b> & a mask", "en");
+    assert.ok(ssml.includes("&lt;b&gt;gloves&lt;/b&gt; &amp; a mask"));
+  });
+
+  it("returns nothing for text with nothing to read", () => {
+    assert.deepStrictEqual(buildSsmlChunks("🌱 **", "en"), []);
+  });
+
+  it("splits long answers into documents within the byte limit", () => {
+    // Devanagari takes three bytes a character, so the limit is reached well before 5000 characters
+    const chunks = buildSsmlChunks("पानी दें। ".repeat(1500), "hi");
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(bytes(chunk) <= MAX_SSML_BYTES);
+      assert.ok(chunk.startsWith("<speak>") && chunk.endsWith("</speak>"));
+    }
+  });
+
+  it("splits a single long line at word boundaries", () => {
+    const chunks = buildSsmlChunks("water ".repeat(2000), "en");
+    assert.ok(chunks.length > 1);
+    for (const chunk of chunks) {
+      assert.ok(bytes(chunk) <= MAX_SSML_BYTES);
+      assert.ok(!/wat<|<\/p>er/.test(chunk));
+    }
+  });
+});
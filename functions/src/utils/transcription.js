@@ -0,0 +1,458 @@
+/**
+ * Speech-to-Text transcription jobs
+ * Synchronous recognition rejects audio longer than about a minute, so longer recordings go through
+ * long-running recognition. Every request gets a job document under users/{uid}/transcriptions that the
+ * client can watch; long-running jobs record the operation name and progress there, and a later call with
+ * the job ID resumes polling the same operation instead of starting a new one.
+ */
+
+const admin = require("firebase-admin");
+const speech = require("@google-cloud/speech");
+const { getSpeechLanguageCode } = require("./languages");
+const { validateRequiredFields, validateAudioPath, validateLanguage } = require("./validators");
+const { HEADER_BYTES, detectAudioFormat, unsupportedAudioFormatError } = require("./audioFormat");
+
+const speechClient = new speech.SpeechClient();
+
+const TRANSCRIPTION_COLLECTION = "transcriptions";
+
+const JOB_STATUS = {
+  RUNNING: "running",
+  DONE: "done",
+  ERROR: "error",
+};
+
+const RECOGNITION_MODE = {
+  SYNC: "sync",
+  LONG_RUNNING: "long_running",
+};
+
+const SPEECH_MODEL = "default";
+
+// Synchronous recognition accepts up to 60 seconds; leave headroom for estimation error
+const SYNC_LIMIT_SECONDS = 55;
+
+// Bitrate the web recorder is configured with (AUDIO_CONFIG.audioBitsPerSecond), used to estimate the
+// duration of files whose format does not reveal their bitrate
+const RECORDING_BITS_PER_SECOND = 128000;
+
+// Longest recording accepted for transcription
+const MAX_AUDIO_SECONDS = 600;
+
+// How long one call polls a long-running operation before returning the job as still running
+const POLL_BUDGET_MS = 60 * 1000;
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Gets a user's transcription job document reference
+ * @param {string} uid - The user ID
+ * @param {string} [jobId] - Job ID; a new ID is generated when omitted
+ * @return {Object} Firestore document reference
+ */
+function transcriptionJobRef(uid, jobId) {
+  const jobs = admin.firestore().collection("users").doc(uid).collection(TRANSCRIPTION_COLLECTION);
+  return jobId ? jobs.doc(jobId) : jobs.doc();
+}
+
+/**
+ * Estimates a recording's duration
+ * @param {number|undefined} durationSeconds - Duration reported by the client recorder, if any
+ * @param {number} sizeBytes - Size of the audio file
+ * @param {number} [bitsPerSecond] - Bitrate of the file's format, from detectAudioFormat
+ * @return {number} Duration in seconds
+ */
+function estimateDurationSeconds(durationSeconds, sizeBytes, bitsPerSecond) {
+  if (typeof durationSeconds === "number" && durationSeconds > 0) {
+    return durationSeconds;
+  }
+  return sizeBytes * 8 / (bitsPerSecond || RECORDING_BITS_PER_SECOND);
+}
+
+/**
+ * Picks synchronous or long-running recognition for a recording
+ * @param {number} durationSeconds - Estimated duration
+ * @return {string} One of RECOGNITION_MODE
+ */
+function chooseRecognitionMode(durationSeconds) {
+  return durationSeconds > SYNC_LIMIT_SECONDS ? RECOGNITION_MODE.LONG_RUNNING : RECOGNITION_MODE.SYNC;
+}
+
+/**
+ * Reads the billed audio length from a recognition response
+ * @param {Object} response - Speech-to-Text recognize or long-running response
+ * @return {number} Billed audio in seconds
+ */
+function billedSeconds(response) {
+  const duration = response.totalBilledTime;
+  if (!duration) {
+    return 0;
+  }
+  return Number(duration.seconds || 0) + (duration.nanos || 0) / 1e9;
+}
+
+/**
+ * Joins recognition results into one transcript with an average confidence
+ * @param {Object} response - Speech-to-Text recognize or long-running response
+ * @return {Object} { transcript, confidence, message? } where message explains an empty transcript
+ */
+function summarizeRecognition(response) {
+  if (!response.results || response.results.length === 0) {
+    return { transcript: "", confidence: 0, message: "No speech detected in audio" };
+  }
+
+  // Get the best transcription result
+  const alternatives = response.results
+      .map((result) => result.alternatives && result.alternatives[0])
+      .filter((alternative) => alternative && alternative.transcript);
+
+  const transcript = alternatives.map((alternative) => alternative.transcript).join(" ");
+
+  // Calculate average confidence
+  const confidenceScores = alternatives
+      .map((alternative) => alternative.confidence || 0)
+      .filter((score) => score > 0);
+
+  const avgConfidence = confidenceScores.length > 0 ?
+    confidenceScores.reduce((sum, score) => sum + score, 0) / confidenceScores.length :
+    0;
+
+  return {
+    transcript: transcript.trim(),
+    confidence: Math.round(avgConfidence * 100) / 100,
+  };
+}
+
+/**
+ * Checks whether synchronous recognition rejected audio as too long
+ * Happens when the duration estimate was too low; the caller then retries as long-running
+ * @param {Error} error - Error thrown by recognize
+ * @return {boolean} True for the "too long" rejection
+ */
+function isSyncTooLong(error) {
+  return /too long|exceeds duration limit/i.test(error.message || "");
+}
+
+/**
+ * Waits for a number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @return {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Runs synchronous recognition
+ * @param {Object} request - Speech-to-Text recognize request
+ * @return {Promise<Object>} Recognition response
+ */
+async function recognizeSync(request) {
+  const [response] = await speechClient.recognize(request);
+  return response;
+}
+
+/**
+ * Starts long-running recognition
+ * @param {Object} request - Speech-to-Text recognize request
+ * @return {Promise<string>} Operation name, used to poll and resume
+ */
+async function startLongRunning(request) {
+  const [operation] = await speechClient.longRunningRecognize(request);
+  return operation.name;
+}
+
+/**
+ * Polls a long-running operation until it finishes or the poll budget runs out
+ * Progress is written to the job document after every check
+ * @param {Object} jobRef - Job document reference
+ * @param {string} operationName - Long-running operation name
+ * @return {Promise<Object>} { done, progressPercent, response? } where response is the recognition
+ *   response once done
+ * @throws {Error} If the operation failed (with operationFailed set) or the operation could not be checked
+ */
+async function pollLongRunning(jobRef, operationName) {
+  const deadline = Date.now() + POLL_BUDGET_MS;
+  let progressPercent = 0;
+
+  for (;;) {
+    const operation = await speechClient.checkLongRunningRecognizeProgress(operationName);
+
+    if (operation.error) {
+      const error = new Error(`Transcription failed: ${operation.error.message}`);
+      error.operationFailed = true;
+      throw error;
+    }
+    if (operation.done) {
+      return { done: true, progressPercent: 100, response: operation.result };
+    }
+
+    const reported = operation.metadata && operation.metadata.progressPercent;
+    if (typeof reported === "number" && reported > progressPercent) {
+      progressPercent = reported;
+      await jobRef.update({ progressPercent, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+
+    if (Date.now() + POLL_INTERVAL_MS > deadline) {
+      return { done: false, progressPercent };
+    }
+    await sleep(POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Stores a finished transcription on its job document
+ * Runs in a transaction so that when concurrent polls both see the operation finish, only one completes the
+ * job; only that one records the billed audio
+ * @param {Object} jobRef - Job document reference
+ * @param {Object} result - { transcript, confidence, message? } from summarizeRecognition
+ * @param {number} audioSeconds - Billed audio seconds
+ * @return {Promise<boolean>} True if this call completed the job, false if another call already had
+ */
+async function completeJob(jobRef, result, audioSeconds) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const jobDoc = await transaction.get(jobRef);
+    if (jobDoc.exists && jobDoc.get("status") === JOB_STATUS.DONE) {
+      return false;
+    }
+
+    transaction.update(jobRef, {
+      status: JOB_STATUS.DONE,
+      progressPercent: 100,
+      transcript: result.transcript,
+      confidence: result.confidence,
+      message: result.message || null,
+      billedSeconds: audioSeconds,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      completedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+}
+
+/**
+ * Marks a job as failed
+ * Write errors are logged so the original error still reaches the caller
+ * @param {Object} jobRef - Job document reference
+ * @param {Error} error - The failure
+ * @return {Promise<void>}
+ */
+async function failJob(jobRef, error) {
+  try {
+    await jobRef.update({
+      status: JOB_STATUS.ERROR,
+      error: error.message,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (updateError) {
+    console.warn("Failed to mark transcription job as failed:", updateError.message);
+  }
+}
+
+/**
+ * Validates the audio part of a transcription request
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} data - { audioPath: string, language: string, durationSeconds?: number }
+ * @return {Object} { audioPath, language, durationSeconds }
+ * @throws {Error} If the payload is invalid or the file is not under the user's audio folder
+ */
+function parseTranscriptionRequest(uid, data) {
+  validateRequiredFields(data, ["audioPath", "language"]);
+  const audioPath = validateAudioPath(data.audioPath);
+  const language = validateLanguage(data.language);
+
+  const durationSeconds = data.durationSeconds;
+  if (durationSeconds !== undefined &&
+      (typeof durationSeconds !== "number" || !(durationSeconds > 0) || durationSeconds > MAX_AUDIO_SECONDS)) {
+    throw new Error(`Invalid durationSeconds. Provide a number of seconds up to ${MAX_AUDIO_SECONDS}`);
+  }
+
+  // Verify user owns this audio file
+  if (!audioPath.includes(`audio/${uid}/`)) {
+    throw new Error("Unauthorized: Cannot access audio file");
+  }
+
+  return { audioPath, language, durationSeconds };
+}
+
+/**
+ * Starts transcribing a recording stored under audio/{uid}/
+ * The encoding and sample rate come from the file header. Short recordings are recognized synchronously and
+ * the job is complete on return; longer ones start long-running recognition, to be polled with
+ * pollTranscription. A job that fails after its document is created is marked as failed before the error is
+ * rethrown.
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} options - { audioPath, language, durationSeconds? } where audioPath is validated and owned by
+ *   the user and durationSeconds is the recorder's duration (estimated from the file size when omitted)
+ * @return {Promise<Object>} { jobRef, job, result?, audioSeconds? } where result is { transcript, confidence,
+ *   message? } when synchronous recognition finished
+ * @throws {Error} If the file is missing, too long or in a format Speech-to-Text cannot decode
+ */
+async function startTranscription(uid, { audioPath, language, durationSeconds }) {
+  // Get audio file from Storage
+  const bucket = admin.storage().bucket();
+  const file = bucket.file(audioPath);
+
+  const [exists] = await file.exists();
+  if (!exists) {
+    throw new Error("Audio file not found");
+  }
+
+  // Pick the encoding and sample rate from the file header; the content type is often generic
+  const [metadata] = await file.getMetadata();
+  const [header] = await file.download({ start: 0, end: HEADER_BYTES - 1 });
+  const audioFormat = detectAudioFormat(header, metadata.contentType);
+  if (!audioFormat.supported) {
+    throw unsupportedAudioFormatError(audioFormat, metadata.contentType);
+  }
+
+  // Long recordings cannot be recognized synchronously
+  const estimatedSeconds = estimateDurationSeconds(
+      durationSeconds,
+      Number(metadata.size) || 0,
+      audioFormat.bitsPerSecond,
+  );
+  if (estimatedSeconds > MAX_AUDIO_SECONDS) {
+    throw new Error(`Invalid audio. Recordings can be at most ${MAX_AUDIO_SECONDS / 60} minutes long`);
+  }
+  let mode = chooseRecognitionMode(estimatedSeconds);
+
+  // Map the language to its Speech-to-Text language code
+  const languageCode = getSpeechLanguageCode(language);
+
+  // Configure Speech-to-Text request
+  const request = {
+    audio: {
+      uri: `gs://${bucket.name}/${audioPath}`,
+    },
+    config: {
+      encoding: audioFormat.encoding,
+      // FLAC and WAV files carry their own sample rate
+      ...(audioFormat.sampleRateHertz ? { sampleRateHertz: audioFormat.sampleRateHertz } : {}),
+      ...(audioFormat.channels > 1 ? { audioChannelCount: audioFormat.channels } : {}),
+      languageCode: languageCode,
+      enableAutomaticPunctuation: true,
+      model: SPEECH_MODEL,
+      useEnhanced: true,
+    },
+  };
+
+  // Every transcription is tracked on a job document the client can watch
+  const jobRef = transcriptionJobRef(uid);
+  const job = {
+    audioPath,
+    language,
+    languageCode,
+    audioFormat: {
+      format: audioFormat.format,
+      codec: audioFormat.codec,
+      encoding: audioFormat.encoding,
+      sampleRateHertz: audioFormat.sampleRateHertz || null,
+      contentType: metadata.contentType || null,
+    },
+    mode,
+    status: JOB_STATUS.RUNNING,
+    progressPercent: 0,
+    estimatedSeconds: Math.round(estimatedSeconds * 10) / 10,
+    operationName: null,
+    transcript: null,
+    confidence: null,
+    message: null,
+    error: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  await jobRef.set(job);
+
+  try {
+    if (mode === RECOGNITION_MODE.SYNC) {
+      let response = null;
+      try {
+        response = await recognizeSync(request);
+      } catch (error) {
+        // The duration estimate was too low; fall back to long-running recognition
+        if (!isSyncTooLong(error)) {
+          throw error;
+        }
+        mode = RECOGNITION_MODE.LONG_RUNNING;
+      }
+
+      if (response) {
+        const result = summarizeRecognition(response);
+        const audioSeconds = billedSeconds(response);
+        await completeJob(jobRef, result, audioSeconds);
+
+        const doneJob = { ...job, status: JOB_STATUS.DONE, progressPercent: 100, ...result };
+        return { jobRef, job: doneJob, result, audioSeconds };
+      }
+    }
+
+    const operationName = await startLongRunning(request);
+    await jobRef.update({ mode, operationName, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+    return { jobRef, job: { ...job, mode, operationName } };
+  } catch (error) {
+    await failJob(jobRef, error);
+    throw error;
+  }
+}
+
+/**
+ * Polls a running long-running job and stores its transcript once the operation finishes
+ * Only a failure reported by the operation marks the job as failed. Other errors, such as UNAVAILABLE or
+ * DEADLINE_EXCEEDED while checking the operation, leave it running and are rethrown with retryable set, so a
+ * later call can resume polling.
+ * @param {Object} jobRef - Job document reference
+ * @param {Object} job - Job document data with its operationName
+ * @return {Promise<Object>} { job, result?, audioSeconds? } where job carries the new status and progress,
+ *   result is { transcript, confidence, message? } once done and audioSeconds is 0 when another call already
+ *   completed the job and recorded its audio
+ * @throws {Error} If the operation failed or could not be checked
+ */
+async function pollTranscription(jobRef, job) {
+  let poll;
+  try {
+    poll = await pollLongRunning(jobRef, job.operationName);
+  } catch (error) {
+    if (error.operationFailed) {
+      await failJob(jobRef, error);
+    } else {
+      error.retryable = true;
+    }
+    throw error;
+  }
+
+  if (!poll.done) {
+    return { job: { ...job, status: JOB_STATUS.RUNNING, progressPercent: poll.progressPercent } };
+  }
+
+  const result = summarizeRecognition(poll.response);
+  const audioSeconds = billedSeconds(poll.response);
+  const completed = await completeJob(jobRef, result, audioSeconds);
+
+  return {
+    job: { ...job, status: JOB_STATUS.DONE, progressPercent: 100, ...result },
+    result,
+    audioSeconds: completed ? audioSeconds : 0,
+  };
+}
+
+module.exports = {
+  JOB_STATUS,
+  RECOGNITION_MODE,
+  SPEECH_MODEL,
+  MAX_AUDIO_SECONDS,
+  transcriptionJobRef,
+  estimateDurationSeconds,
+  chooseRecognitionMode,
+  billedSeconds,
+  summarizeRecognition,
+  isSyncTooLong,
+  recognizeSync,
+  startLongRunning,
+  pollLongRunning,
+  parseTranscriptionRequest,
+  startTranscription,
+  pollTranscription,
+  completeJob,
+  failJob,
+};
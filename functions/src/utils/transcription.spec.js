@@ -0,0 +1,49 @@
+const assert = require("assert");
+const speech = require("@google-cloud/speech");
+const { JOB_STATUS, pollTranscription } = require("./transcription");
+
+const JOB = { mode: "long_running", status: JOB_STATUS.RUNNING, operationName: "operations/1" };
+
+/**
+ * Job document reference that records its updates
+ * @return {Object} { id, updates, update }
+ */
+function fakeJobRef() {
+  const updates = [];
+  return {
+    id: "job-1",
+    updates,
+    async update(data) {
+      updates.push(data);
+    },
+  };
+}
+
+describe("pollTranscription", () => {
+  const { checkLongRunningRecognizeProgress } = speech.SpeechClient.prototype;
+
+  afterEach(() => {
+    speech.SpeechClient.prototype.checkLongRunningRecognizeProgress = checkLongRunningRecognizeProgress;
+  });
+
+  it("marks the job as failed when the operation reports an error", async () => {
+    speech.SpeechClient.prototype.checkLongRunningRecognizeProgress = async () => ({
+      error: { message: "audio could not be decoded" },
+    });
+    const jobRef = fakeJobRef();
+
+    await assert.rejects(pollTranscription(jobRef, JOB), (error) => !error.retryable);
+    assert.strictEqual(jobRef.updates.length, 1);
+    assert.strictEqual(jobRef.updates[0].status, JOB_STATUS.ERROR);
+  });
+
+  it("leaves the job running when the operation cannot be checked", async () => {
+    speech.SpeechClient.prototype.checkLongRunningRecognizeProgress = async () => {
+      throw new Error("14 UNAVAILABLE: connection reset");
+    };
+    const jobRef = fakeJobRef();
+
+    await assert.rejects(pollTranscription(jobRef, JOB), (error) => error.retryable === true);
+    assert.deepStrictEqual(jobRef.updates, []);
+  });
+});
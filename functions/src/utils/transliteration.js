@@ -0,0 +1,180 @@
+/**
+ * Romanized Indic text to native script
+ * Farmers type phonetically ("gehu me kida lag gaya"), not in a formal scheme like ISO 15919, so this is a
+ * rule-based, approximate transliteration: it cannot tell dental from retroflex consonants or short from long
+ * vowels the way the farmer meant them. The model always receives the original text next to the result.
+ *
+ * Text is first spelled in Devanagari, then moved to the target script. The Unicode blocks of the Indic
+ * scripts share the ISCII layout, so the same letter sits at the same offset in every block.
+ */
+
+// First code point of each Indic script block
+const SCRIPT_BLOCKS = {
+  Devanagari: 0x0900,
+  Bengali: 0x0980,
+  Gurmukhi: 0x0A00,
+  Gujarati: 0x0A80,
+  Oriya: 0x0B00,
+  Tamil: 0x0B80,
+  Telugu: 0x0C00,
+  Kannada: 0x0C80,
+  Malayalam: 0x0D00,
+};
+
+// Devanagari letters a script has no counterpart for, and the letter written instead
+const SCRIPT_SUBSTITUTES = {
+  Tamil: {
+    "ख": "क", "ग": "क", "घ": "क", "छ": "च", "झ": "ज", "ठ": "ट", "ड": "ट", "ढ": "ट",
+    "थ": "त", "द": "त", "ध": "त", "फ": "प", "ब": "प", "भ": "प",
+  },
+  Bengali: { "व": "ब" },
+};
+
+// Romanized vowels, longest first: [roman, independent vowel, vowel sign]
+const VOWELS = [
+  ["aa", "आ", "ा"], ["ai", "ऐ", "ै"], ["au", "औ", "ौ"], ["ou", "औ", "ौ"], ["ee", "ई", "ी"], ["ii", "ई", "ी"],
+  ["oo", "ऊ", "ू"], ["uu", "ऊ", "ू"], ["a", "अ", ""], ["i", "इ", "ि"], ["u", "उ", "ु"], ["e", "ए", "े"],
+  ["o", "ओ", "ो"],
+];
+
+// Short e and o, used by the Dravidian languages for a plain "e" or "o"
+const SHORT_VOWELS = { e: ["ऎ", "ॆ"], o: ["ऒ", "ॊ"] };
+
+// Romanized consonants, longest first
+const CONSONANTS = [
+  ["chh", "छ"], ["kh", "ख"], ["gh", "घ"], ["ch", "च"], ["jh", "झ"], ["th", "थ"], ["dh", "ध"], ["ph", "फ"],
+  ["bh", "भ"], ["sh", "श"], ["k", "क"], ["g", "ग"], ["c", "क"], ["j", "ज"], ["t", "त"], ["d", "द"], ["n", "न"],
+  ["p", "प"], ["f", "फ"], ["b", "ब"], ["m", "म"], ["y", "य"], ["r", "र"], ["l", "ल"], ["v", "व"], ["w", "व"],
+  ["s", "स"], ["h", "ह"], ["z", "ज"], ["q", "क"], ["x", "क्स"],
+];
+
+const VIRAMA = "्";
+const ANUSVARA = "ं";
+
+// Consonants before which a romanized "n" or "m" stays a full consonant rather than the nasal sign
+const NO_NASAL_SIGN_BEFORE = new Set(["य", "र", "ल", "व", "ह", "न", "म"]);
+
+// Spelling rules that differ between the Indo-Aryan and Dravidian languages
+const DRAVIDIAN = new Set(["ta", "te", "kn", "ml"]);
+
+/**
+ * Matches the longest romanized unit at a position
+ * @param {string} word - Lowercase romanized word
+ * @param {number} index - Position in the word
+ * @param {Array<Array<string>>} table - VOWELS or CONSONANTS
+ * @return {Array<string>|null} The matching table row
+ */
+function matchUnit(word, index, table) {
+  return table.find(([roman]) => word.startsWith(roman, index)) || null;
+}
+
+/**
+ * Spells one romanized word in Devanagari
+ * Indo-Aryan words drop the virama on a final consonant and read a final "a" as long ("gaya" -> "गया");
+ * Dravidian words keep the virama, keep a final "a" short and read a plain "e" or "o" as short
+ * @param {string} word - Lowercase romanized word (letters only)
+ * @param {string} language - Target language code
+ * @return {string} The word in Devanagari
+ */
+function spellWord(word, language) {
+  const dravidian = DRAVIDIAN.has(language);
+  let output = "";
+  let index = 0;
+  let afterConsonant = false;
+
+  while (index < word.length) {
+    const vowel = matchUnit(word, index, VOWELS);
+    if (vowel) {
+      const [roman, independent, sign] = vowel;
+      const isFinal = index + roman.length === word.length;
+      let [letter, mark] = [independent, sign];
+
+      if (dravidian && SHORT_VOWELS[roman]) {
+        [letter, mark] = SHORT_VOWELS[roman];
+      } else if (!dravidian && roman === "a" && isFinal && afterConsonant) {
+        mark = "ा";
+      }
+
+      output += afterConsonant ? mark : letter;
+      afterConsonant = false;
+      index += roman.length;
+      continue;
+    }
+
+    const consonant = matchUnit(word, index, CONSONANTS);
+    if (!consonant) {
+      index += 1;
+      continue;
+    }
+
+    const [roman, letter] = consonant;
+    const next = matchUnit(word, index + roman.length, CONSONANTS);
+
+    // A nasal before another consonant becomes the nasal sign ("panta" -> "पंट"); Tamil spells it out
+    if ((roman === "n" || roman === "m") && !afterConsonant && output && next &&
+        !NO_NASAL_SIGN_BEFORE.has(next[1]) && language !== "ta") {
+      output += ANUSVARA;
+      index += roman.length;
+      continue;
+    }
+
+    if (afterConsonant) {
+      output += VIRAMA;
+    }
+    output += letter;
+    afterConsonant = true;
+    index += roman.length;
+  }
+
+  if (afterConsonant && dravidian) {
+    output += VIRAMA;
+  }
+
+  return output;
+}
+
+/**
+ * Moves Devanagari text to another Indic script
+ * @param {string} text - Text in Devanagari
+ * @param {string} script - Target script name (see SCRIPT_BLOCKS)
+ * @return {string} The text in the target script
+ */
+function fromDevanagari(text, script) {
+  if (script === "Devanagari") {
+    return text;
+  }
+
+  const offset = SCRIPT_BLOCKS[script] - SCRIPT_BLOCKS.Devanagari;
+  const substitutes = SCRIPT_SUBSTITUTES[script] || {};
+
+  return Array.from(text, (char) => {
+    const letter = substitutes[char] || char;
+    const codePoint = letter.codePointAt(0);
+    if (codePoint < SCRIPT_BLOCKS.Devanagari || codePoint > SCRIPT_BLOCKS.Devanagari + 0x7F) {
+      return letter;
+    }
+    return String.fromCodePoint(codePoint + offset);
+  }).join("");
+}
+
+/**
+ * Transliterates romanized text into a language's native script
+ * Digits, punctuation and spacing are kept as typed
+ * @param {string} text - Romanized text
+ * @param {string} language - Target language code
+ * @param {string} script - Target script name, e.g. "Telugu"
+ * @return {string} The text in the native script
+ */
+function transliterate(text, language, script) {
+  if (!SCRIPT_BLOCKS[script]) {
+    return text;
+  }
+
+  const devanagari = text.replace(/[a-z]+/gi, (word) => spellWord(word.toLowerCase(), language));
+  return fromDevanagari(devanagari, script);
+}
+
+module.exports = {
+  SCRIPT_BLOCKS,
+  transliterate,
+};
@@ -0,0 +1,359 @@
+/**
+ * Usage and cost ledger
+ * Every user-facing function writes one entry to the usageLedger collection per request: tokens,
+ * audio seconds, characters synthesized, latency, cache hit and an estimated cost from
+ * data/usagePricing.json. A daily job rolls entries up per user and per state into usageRollups,
+ * which admins query to budget and to spot abuse.
+ */
+
+const admin = require("firebase-admin");
+const pricing = require("../data/usagePricing.json");
+const { istDateKey, addDays, validateDateKey } = require("./dates");
+
+const LEDGER_COLLECTION = "usageLedger";
+const ROLLUP_COLLECTION = "usageRollups";
+
+const ROLLUP_SCOPES = ["user", "state"];
+
+// Firestore batch write limit, also used as the ledger page size
+const MAX_BATCH_SIZE = 500;
+
+// Longest date range one usage report may cover
+const MAX_REPORT_DAYS = 92;
+
+// Counters summed into every rollup
+const ROLLUP_COUNTERS = [
+  "requests",
+  "errors",
+  "cacheHits",
+  "inputTokens",
+  "outputTokens",
+  "audioSeconds",
+  "characters",
+  "latencyMs",
+  "costUsd",
+];
+
+/**
+ * Starts tracking usage for one request
+ * @param {string} uid - The authenticated user ID
+ * @param {string} functionName - Cloud Function name
+ * @param {Object} attributes - { language?, farmProfile? }; the farm's state is used for state rollups
+ * @return {Object} Usage tracker passed to trackProviderUsage and recordUsage
+ */
+function startUsage(uid, functionName, attributes = {}) {
+  const { language, farmProfile } = attributes;
+  const state = farmProfile && farmProfile.location && farmProfile.location.state;
+
+  return {
+    uid,
+    functionName,
+    language: language || null,
+    state: typeof state === "string" && state.trim() ? state.trim().toLowerCase() : null,
+    startedAt: Date.now(),
+    model: null,
+    inputTokens: 0,
+    outputTokens: 0,
+  };
+}
+
+/**
+ * Adds token counts reported by a provider call to a tracker
+ * @param {Object} usage - Usage tracker
+ * @param {Object|undefined} tokens - { inputTokens, outputTokens } from the provider
+ */
+function addTokens(usage, tokens) {
+  if (!tokens) {
+    return;
+  }
+  usage.inputTokens += tokens.inputTokens || 0;
+  usage.outputTokens += tokens.outputTokens || 0;
+}
+
+/**
+ * Wraps an LLM provider so every call adds its token counts to a tracker
+ * Covers summaries and repair attempts as well as the answer itself
+ * @param {Object} provider - LLM provider
+ * @param {Object} usage - Usage tracker
+ * @return {Object} Provider with the same interface
+ */
+function trackProviderUsage(provider, usage) {
+  usage.model = provider.model;
+
+  return {
+    ...provider,
+
+    async generate(request, options) {
+      const result = await provider.generate(request, options);
+      addTokens(usage, result.usage);
+      return result;
+    },
+
+    stream(request, options = {}) {
+      return provider.stream(request, {
+        ...options,
+        onUsage: (tokens) => {
+          addTokens(usage, tokens);
+          if (options.onUsage) {
+            options.onUsage(tokens);
+          }
+        },
+      });
+    },
+
+    async generateMultimodal(request) {
+      const result = await provider.generateMultimodal(request);
+      addTokens(usage, result.usage);
+      return result;
+    },
+  };
+}
+
+/**
+ * Estimates the cost of a ledger entry from the pricing table
+ * Models and voices missing from the table count as free, so update the table when adding one
+ * @param {Object} entry - { model, inputTokens, outputTokens, audioSeconds, characters }
+ * @return {number} Estimated cost in USD
+ */
+function estimateCost(entry) {
+  let cost = 0;
+
+  const modelPricing = pricing.models[entry.model];
+  if (modelPricing) {
+    cost += entry.inputTokens * modelPricing.inputPer1MTokens / 1e6;
+    cost += entry.outputTokens * modelPricing.outputPer1MTokens / 1e6;
+  }
+
+  cost += entry.audioSeconds / 60 * pricing.speechToText.perMinute;
+
+  if (entry.characters > 0) {
+    const tier = /Wavenet/i.test(entry.model || "") ? "Wavenet" : "Standard";
+    cost += entry.characters * pricing.textToSpeech[tier].per1MCharacters / 1e6;
+  }
+
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Writes the ledger entry for a request
+ * Ledger errors never fail the request; they are logged and dropped
+ * @param {Object} usage - Usage tracker from startUsage
+ * @param {Object} details - { status?: "ok" | "error" | "cancelled", model?, audioSeconds?, characters?,
+ *   cacheHit? }
+ * @return {Promise<void>}
+ */
+async function recordUsage(usage, details = {}) {
+  const now = Date.now();
+  const entry = {
+    userId: usage.uid,
+    functionName: usage.functionName,
+    status: details.status || "ok",
+    model: details.model || usage.model,
+    inputTokens: usage.inputTokens,
+    outputTokens: usage.outputTokens,
+    audioSeconds: Math.round((details.audioSeconds || 0) * 10) / 10,
+    characters: details.characters || 0,
+    latencyMs: now - usage.startedAt,
+    cacheHit: Boolean(details.cacheHit),
+    state: usage.state,
+    language: usage.language,
+    day: istDateKey(now),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  entry.costUsd = estimateCost(entry);
+
+  try {
+    await admin.firestore().collection(LEDGER_COLLECTION).add(entry);
+  } catch (error) {
+    console.warn("Usage ledger write failed:", error.message);
+  }
+}
+
+/**
+ * Adds one ledger entry to a rollup
+ * @param {Object} rollup - Rollup being built
+ * @param {Object} entry - Ledger entry
+ */
+function addToRollup(rollup, entry) {
+  const values = {
+    requests: 1,
+    errors: entry.status === "error" ? 1 : 0,
+    cacheHits: entry.cacheHit ? 1 : 0,
+    inputTokens: entry.inputTokens,
+    outputTokens: entry.outputTokens,
+    audioSeconds: entry.audioSeconds,
+    characters: entry.characters,
+    latencyMs: entry.latencyMs,
+    costUsd: entry.costUsd,
+  };
+
+  const byFunction = rollup.byFunction[entry.functionName] ||
+    (rollup.byFunction[entry.functionName] = { requests: 0, costUsd: 0 });
+  byFunction.requests += 1;
+  byFunction.costUsd += entry.costUsd;
+
+  for (const counter of ROLLUP_COUNTERS) {
+    rollup[counter] += values[counter] || 0;
+  }
+}
+
+/**
+ * Creates an empty rollup
+ * @param {string} scope - "user" or "state"
+ * @param {string} key - User ID or state name
+ * @param {string} day - Date key
+ * @return {Object} Rollup with zeroed counters
+ */
+function emptyRollup(scope, key, day) {
+  const rollup = { scope, key, day, byFunction: {} };
+  for (const counter of ROLLUP_COUNTERS) {
+    rollup[counter] = 0;
+  }
+  return rollup;
+}
+
+/**
+ * Rolls up one day of ledger entries per user and per state
+ * A user's state is the last state seen in their entries that day; rerunning a day overwrites its rollups
+ * @param {string} day - Date key (YYYY-MM-DD, IST)
+ * @return {Promise<Object>} { day, entries, users, states }
+ */
+async function rollupUsageDay(day) {
+  const db = admin.firestore();
+  const query = db.collection(LEDGER_COLLECTION)
+      .where("day", "==", day)
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(MAX_BATCH_SIZE);
+
+  const users = new Map();
+  const states = new Map();
+  let entries = 0;
+  let snapshot = await query.get();
+
+  while (!snapshot.empty) {
+    for (const doc of snapshot.docs) {
+      const entry = doc.data();
+
+      if (!users.has(entry.userId)) {
+        users.set(entry.userId, { ...emptyRollup("user", entry.userId, day), state: null });
+      }
+      const userRollup = users.get(entry.userId);
+      addToRollup(userRollup, entry);
+      if (entry.state) {
+        userRollup.state = entry.state;
+      }
+      entries += 1;
+    }
+
+    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    snapshot = await query.startAfter(lastDoc).get();
+  }
+
+  // State totals are built from user rollups so each user counts toward a single state
+  for (const userRollup of users.values()) {
+    const state = userRollup.state || "unknown";
+    if (!states.has(state)) {
+      states.set(state, { ...emptyRollup("state", state, day), users: 0 });
+    }
+
+    const stateRollup = states.get(state);
+    stateRollup.users += 1;
+    for (const counter of ROLLUP_COUNTERS) {
+      stateRollup[counter] += userRollup[counter];
+    }
+    for (const [functionName, totals] of Object.entries(userRollup.byFunction)) {
+      const byFunction = stateRollup.byFunction[functionName] ||
+        (stateRollup.byFunction[functionName] = { requests: 0, costUsd: 0 });
+      byFunction.requests += totals.requests;
+      byFunction.costUsd += totals.costUsd;
+    }
+  }
+
+  const rollups = [...users.values(), ...states.values()];
+  for (let start = 0; start < rollups.length; start += MAX_BATCH_SIZE) {
+    const batch = db.batch();
+
+    for (const rollup of rollups.slice(start, start + MAX_BATCH_SIZE)) {
+      const docId = `${rollup.scope}_${rollup.key.replace(/[\s/]+/g, "-")}_${day}`;
+      batch.set(db.collection(ROLLUP_COLLECTION).doc(docId), {
+        ...rollup,
+        costUsd: Math.round(rollup.costUsd * 1e6) / 1e6,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+
+    await batch.commit();
+  }
+
+  return { day, entries, users: users.size, states: states.size };
+}
+
+/**
+ * Queries usage rollups
+ * With a key, returns that user's or state's rollups for each day from "from" to "to".
+ * Without a key, returns the most expensive users or states on the single day "from".
+ * @param {Object} filters - { scope: "user" | "state", key?: string, from: string, to?: string, limit?: number }
+ * @return {Promise<Object>} { scope, key, from, to, rollups, totals }
+ * @throws {Error} If the filters are invalid
+ */
+async function getUsageReport(filters) {
+  const { scope } = filters;
+  if (!ROLLUP_SCOPES.includes(scope)) {
+    throw new Error(`Invalid scope. Use one of: ${ROLLUP_SCOPES.join(", ")}`);
+  }
+
+  const from = validateDateKey(filters.from, "from");
+  const to = filters.to ? validateDateKey(filters.to, "to") : from;
+  if (to < from || to > addDays(from, MAX_REPORT_DAYS - 1)) {
+    throw new Error(`Invalid date range. "to" must be within ${MAX_REPORT_DAYS} days after "from"`);
+  }
+
+  const limit = Number.isInteger(filters.limit) && filters.limit > 0 ? Math.min(filters.limit, 200) : 50;
+  const key = typeof filters.key === "string" && filters.key.trim() ?
+    (scope === "state" ? filters.key.trim().toLowerCase() : filters.key.trim()) :
+    null;
+
+  let query = admin.firestore().collection(ROLLUP_COLLECTION).where("scope", "==", scope);
+
+  if (key) {
+    query = query
+        .where("key", "==", key)
+        .where("day", ">=", from)
+        .where("day", "<=", to)
+        .orderBy("day", "asc");
+  } else {
+    if (to !== from) {
+      throw new Error("Invalid date range. Ranking users or states covers a single day; pass a key for a range");
+    }
+    query = query
+        .where("day", "==", from)
+        .orderBy("costUsd", "desc")
+        .limit(limit);
+  }
+
+  const snapshot = await query.get();
+  const rollups = snapshot.docs.map((doc) => {
+    const rollup = doc.data();
+    return {
+      ...rollup,
+      updatedAt: rollup.updatedAt ? rollup.updatedAt.toDate().toISOString() : null,
+    };
+  });
+
+  const totals = {};
+  for (const counter of ROLLUP_COUNTERS) {
+    totals[counter] = rollups.reduce((sum, rollup) => sum + (rollup[counter] || 0), 0);
+  }
+  totals.costUsd = Math.round(totals.costUsd * 1e6) / 1e6;
+
+  return { scope, key, from, to, rollups, totals };
+}
+
+module.exports = {
+  startUsage,
+  trackProviderUsage,
+  estimateCost,
+  recordUsage,
+  rollupUsageDay,
+  getUsageReport,
+};
@@ -0,0 +1,53 @@
+const assert = require("assert");
+const { startUsage, trackProviderUsage, estimateCost } = require("./usageLedger");
+
+const entry = (fields) => ({
+  model: null,
+  inputTokens: 0,
+  outputTokens: 0,
+  audioSeconds: 0,
+  characters: 0,
+  ...fields,
+});
+
+describe("estimateCost", () => {
+  it("prices model tokens per million", () => {
+    const cost = estimateCost(entry({ model: "gemini-1.5-flash", inputTokens: 1000000, outputTokens: 100000 }));
+    assert.strictEqual(cost, 0.075 + 0.03);
+  });
+
+  it("counts unknown models as free", () => {
+    assert.strictEqual(estimateCost(entry({ model: "unknown-model", inputTokens: 5000, outputTokens: 5000 })), 0);
+  });
+
+  it("prices transcription per minute of audio", () => {
+    assert.strictEqual(estimateCost(entry({ model: "speech-default", audioSeconds: 90 })), 0.036);
+  });
+
+  it("prices WaveNet and Standard voices per million characters", () => {
+    assert.strictEqual(estimateCost(entry({ model: "hi-IN-Wavenet-D", characters: 1000 })), 0.016);
+    assert.strictEqual(estimateCost(entry({ model: "te-IN-Standard-A", characters: 1000 })), 0.004);
+  });
+
+  it("rounds to a millionth of a dollar", () => {
+    assert.strictEqual(estimateCost(entry({ model: "gemini-1.5-flash", inputTokens: 1 })), 0);
+  });
+});
+
+describe("trackProviderUsage", () => {
+  it("adds the tokens of every provider call to the tracker", async () => {
+    const usage = startUsage("user-1", "askGemini", { farmProfile: { location: { state: " Punjab " } } });
+    const provider = trackProviderUsage({
+      model: "gemini-1.5-flash",
+      generate: async () => ({ text: "ok", usage: { inputTokens: 10, outputTokens: 4 } }),
+    }, usage);
+
+    await provider.generate({});
+    await provider.generate({});
+
+    assert.strictEqual(usage.model, "gemini-1.5-flash");
+    assert.strictEqual(usage.state, "punjab");
+    assert.strictEqual(usage.inputTokens, 20);
+    assert.strictEqual(usage.outputTokens, 8);
+  });
+});
@@ -2,6 +2,8 @@
  * Input validation helpers for Cloud Functions
  */
 
+const { SUPPORTED_LANGUAGES } = require("./languages");
+
 /**
  * Validates that required fields are present in the data object
  * @param {Object} data - The data object to validate
@@ -29,10 +31,8 @@ function validateRequiredFields(data, requiredFields) {
  * @throws {Error} If language is not supported
  */
 function validateLanguage(language) {
-  const supportedLanguages = ["en", "hi", "ta", "te"];
-
-  if (!language || !supportedLanguages.includes(language)) {
-    throw new Error(`Unsupported language: ${language}. Supported: ${supportedLanguages.join(", ")}`);
+  if (!language || !SUPPORTED_LANGUAGES.includes(language)) {
+    throw new Error(`Unsupported language: ${language}. Supported: ${SUPPORTED_LANGUAGES.join(", ")}`);
   }
 
   return language;
@@ -57,6 +57,25 @@ function validateAudioPath(audioPath) {
   return audioPath;
 }
 
+/**
+ * Validates image file path format
+ * @param {string} imagePath - The image file path to validate
+ * @return {string} The validated image path
+ * @throws {Error} If image path is invalid
+ */
+function validateImagePath(imagePath) {
+  if (!imagePath || typeof imagePath !== "string") {
+    throw new Error("Invalid image path");
+  }
+
+  // Check if it's a valid storage path (images/{userId}/...)
+  if (!imagePath.startsWith("images/")) {
+    throw new Error("Invalid image path format. Must start with 'images/'");
+  }
+
+  return imagePath;
+}
+
 /**
  * Validates text input length
  * @param {string} text - The text to validate
@@ -76,6 +95,21 @@ function validateTextLength(text, maxLength = 5000) {
   return text.trim();
 }
 
+/**
+ * Validates a Firestore document ID supplied by the client
+ * @param {string} id - The document ID to validate
+ * @param {string} fieldName - Field name used in the error message
+ * @return {string} The validated document ID
+ * @throws {Error} If the ID is not a valid document ID
+ */
+function validateDocumentId(id, fieldName = "id") {
+  if (!id || typeof id !== "string" || id.length > 128 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid ${fieldName}`);
+  }
+
+  return id;
+}
+
 /**
  * Sanitizes user input to prevent injection attacks
  * @param {string} input - The input to sanitize
@@ -96,6 +130,8 @@ module.exports = {
   validateRequiredFields,
   validateLanguage,
   validateAudioPath,
+  validateImagePath,
   validateTextLength,
+  validateDocumentId,
   sanitizeInput,
 };
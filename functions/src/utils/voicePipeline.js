@@ -0,0 +1,273 @@
+/**
+ * Voice question pipeline
+ * askByVoice runs transcription, answer generation and speech synthesis in one call. The chat document is
+ * created before the first stage with a voice field holding the pipeline state, so the client can watch
+ * each stage's status; the answer is then saved into the same document. Until the answer is saved the
+ * document has no timestamp, so chat history queries (ordered by timestamp) skip pending and failed
+ * pipelines. The call running the stages holds a lease on the pipeline, taken in a transaction, so retried or
+ * concurrent calls for the same chat never run a stage (or record its usage) twice.
+ */
+
+const admin = require("firebase-admin");
+const { validateDocumentId, validateTextLength } = require("./validators");
+const { resolveFarmContext } = require("./farmContext");
+const { parseTranscriptionRequest } = require("./transcription");
+const { summarizeInputLanguage } = require("./inputLanguage");
+
+const VOICE_STAGES = ["transcription", "answer", "speech"];
+
+// How long a call holds a pipeline; longer than askByVoice's 180-second timeout, so the lease of a call that
+// died mid-stage expires and a later call can resume
+const PIPELINE_LEASE_MS = 200 * 1000;
+
+const PIPELINE_STATUS = {
+  RUNNING: "running",
+  DONE: "done",
+  ERROR: "error",
+};
+
+const STAGE_STATUS = {
+  PENDING: "pending",
+  RUNNING: "running",
+  DONE: "done",
+  ERROR: "error",
+  SKIPPED: "skipped",
+};
+
+/**
+ * Gets a user's chat document reference
+ * @param {string} uid - The user ID
+ * @param {string} [chatId] - Chat ID; a new ID is generated when omitted
+ * @return {Object} Firestore document reference
+ */
+function voiceChatRef(uid, chatId) {
+  const chats = admin.firestore().collection("users").doc(uid).collection("chats");
+  return chatId ? chats.doc(chatId) : chats.doc();
+}
+
+/**
+ * Validates a voice question request, loading the farm it is about
+ * @param {string} uid - The authenticated user ID
+ * @param {Object} data - { audioPath, language, durationSeconds?, farmId?, farmProfile?, conversationId?,
+ *   speak? } where speak (default true) reads the answer out
+ * @return {Promise<Object>} { audioPath, durationSeconds, language, farmId, farmProfile, conversationId, speak }
+ * @throws {Error} If the payload is invalid or the farm does not exist
+ */
+async function parseVoiceRequest(uid, data) {
+  const { audioPath, language, durationSeconds } = parseTranscriptionRequest(uid, data);
+
+  const conversationId = data.conversationId ?
+    validateDocumentId(data.conversationId, "conversationId") :
+    null;
+
+  if (data.speak !== undefined && typeof data.speak !== "boolean") {
+    throw new Error("Invalid speak. Must be true or false");
+  }
+
+  // Saved farms are read from Firestore rather than trusted from the payload
+  const { farmId, farmProfile } = await resolveFarmContext(uid, data);
+
+  return {
+    audioPath,
+    durationSeconds: durationSeconds || null,
+    language,
+    farmId,
+    farmProfile,
+    conversationId,
+    speak: data.speak !== false,
+  };
+}
+
+/**
+ * Builds a lease on a pipeline for the call about to run its stages
+ * @return {Object} { expiresAt } where expiresAt is a Firestore timestamp
+ */
+function pipelineLease() {
+  return { expiresAt: admin.firestore.Timestamp.fromMillis(Date.now() + PIPELINE_LEASE_MS) };
+}
+
+/**
+ * Builds the voice field of a new voice chat
+ * The call creating the chat holds its lease
+ * @param {Object} request - Parsed request from parseVoiceRequest
+ * @return {Object} Pipeline state with every stage pending
+ */
+function initialPipeline(request) {
+  const stages = {};
+  VOICE_STAGES.forEach((stage) => {
+    stages[stage] = { status: STAGE_STATUS.PENDING };
+  });
+  if (!request.speak) {
+    stages.speech.status = STAGE_STATUS.SKIPPED;
+  }
+
+  return {
+    status: PIPELINE_STATUS.RUNNING,
+    stage: VOICE_STAGES[0],
+    stages,
+    request,
+    transcript: null,
+    audio: null,
+    error: null,
+    lease: pipelineLease(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Claims an existing pipeline so the calling askByVoice may resume it
+ * Only pipelines still transcribing are resumed, and only when no other call holds an unexpired lease.
+ * @param {Object} chatRef - Chat document reference
+ * @return {Promise<Object|null>} { chat, claimed } where chat is the document data (with the new lease when
+ *   claimed), or null if the chat does not exist
+ * @throws {Error} If the chat is not a voice question
+ */
+async function claimPipeline(chatRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const chatDoc = await transaction.get(chatRef);
+    if (!chatDoc.exists) {
+      return null;
+    }
+
+    const chat = chatDoc.data();
+    const { voice } = chat;
+    if (!voice) {
+      throw new Error("Invalid chatId. This chat is not a voice question");
+    }
+
+    const leased = Boolean(voice.lease) && voice.lease.expiresAt.toMillis() > Date.now();
+    if (voice.status !== PIPELINE_STATUS.RUNNING || voice.stage !== VOICE_STAGES[0] || leased) {
+      return { chat, claimed: false };
+    }
+
+    const lease = pipelineLease();
+    transaction.update(chatRef, { "voice.lease": lease });
+    return { chat: { ...chat, voice: { ...voice, lease } }, claimed: true };
+  });
+}
+
+/**
+ * Releases the calling askByVoice's lease on a pipeline so a later call can resume it
+ * Write errors are logged; the lease then simply expires
+ * @param {Object} chatRef - Chat document reference
+ * @return {Promise<void>}
+ */
+async function releasePipeline(chatRef) {
+  try {
+    await chatRef.update({ "voice.lease": null });
+  } catch (error) {
+    console.warn("Failed to release voice pipeline:", error.message);
+  }
+}
+
+/**
+ * Records a stage's status on the chat document and in the caller's copy of the pipeline state
+ * @param {Object} chatRef - Chat document reference
+ * @param {Object} voice - Pipeline state, updated in place
+ * @param {string} stage - One of VOICE_STAGES
+ * @param {Object} stageState - { status, ...stage-specific fields }
+ * @param {Object} fields - Other voice fields to set, such as { transcript } or { status, error }
+ * @return {Promise<void>}
+ */
+async function updateStage(chatRef, voice, stage, stageState, fields = {}) {
+  const update = {
+    "voice.stage": stage,
+    [`voice.stages.${stage}`]: stageState,
+    "voice.updatedAt": admin.firestore.FieldValue.serverTimestamp(),
+  };
+  Object.entries(fields).forEach(([key, value]) => {
+    update[`voice.${key}`] = value;
+  });
+
+  await chatRef.update(update);
+
+  Object.assign(voice, fields, { stage, stages: { ...voice.stages, [stage]: stageState } });
+}
+
+/**
+ * Marks a pipeline as failed at its current stage
+ * Write errors are logged so the original error still reaches the caller
+ * @param {Object} chatRef - Chat document reference
+ * @param {Object} voice - Pipeline state, updated in place
+ * @param {Error} error - The failure
+ * @return {Promise<void>}
+ */
+async function failPipeline(chatRef, voice, error) {
+  try {
+    await updateStage(chatRef, voice, voice.stage, { status: STAGE_STATUS.ERROR, error: error.message }, {
+      status: PIPELINE_STATUS.ERROR,
+      error: error.message,
+    });
+  } catch (updateError) {
+    console.warn("Failed to mark voice pipeline as failed:", updateError.message);
+  }
+}
+
+/**
+ * Builds the advisor request for a transcribed voice question
+ * @param {Object} request - Stored request from parseVoiceRequest
+ * @param {string} transcript - Transcribed question
+ * @return {Object} Request in the shape parseAdvisorRequest returns
+ * @throws {Error} If the transcript is empty or too long for a question
+ */
+function buildAdvisorRequest(request, transcript) {
+  return {
+    question: validateTextLength(transcript, 1000),
+    farmId: request.farmId,
+    farmProfile: request.farmProfile,
+    language: request.language,
+    conversationId: request.conversationId,
+    clarification: null,
+    followUp: null,
+  };
+}
+
+/**
+ * Rebuilds the answer part of an askByVoice response from a saved chat
+ * Used when a finished pipeline is requested again
+ * @param {string} chatId - Chat ID
+ * @param {Object} chat - Chat document data
+ * @return {Object|null} Answer fields as returned by askGemini, or null before the answer is saved
+ */
+function answerFromChat(chatId, chat) {
+  if (typeof chat.answer !== "string") {
+    return null;
+  }
+
+  return {
+    answer: chat.answer,
+    confidence: chat.confidence,
+    sources: chat.sources || [],
+    suggestions: chat.suggestions || [],
+    followUps: chat.followUps || [],
+    citations: chat.citations || [],
+    clarification: chat.clarification || null,
+    safetyWarnings: (chat.safety && chat.safety.warnings) || [],
+    cache: chat.cache || null,
+    review: chat.review ?
+      { ticketId: chat.review.ticketId, status: chat.review.status, reasons: chat.review.reasons } :
+      null,
+    chatId,
+    conversationId: chat.conversationId,
+    threadId: chat.threadId || chatId,
+    parentChatId: chat.parentChatId || null,
+    farmId: chat.farmId || null,
+    language: chat.language,
+    inputLanguage: chat.inputLanguage ? summarizeInputLanguage(chat.inputLanguage) : null,
+  };
+}
+
+module.exports = {
+  VOICE_STAGES,
+  PIPELINE_STATUS,
+  STAGE_STATUS,
+  voiceChatRef,
+  parseVoiceRequest,
+  initialPipeline,
+  claimPipeline,
+  releasePipeline,
+  updateStage,
+  failPipeline,
+  buildAdvisorRequest,
+  answerFromChat,
+};
@@ -0,0 +1,57 @@
+/**
+ * Voice preferences
+ * Farmers choose the voice (female or male) and speaking rate their answers are read out in. The client
+ * saves them on the user document as voicePreferences (checked by firestore.rules); anything missing or out
+ * of range falls back to the defaults, so users who never set them keep the language's default voice.
+ */
+
+const admin = require("firebase-admin");
+
+const VOICE_GENDERS = ["female", "male"];
+
+const SPEAKING_RATE = {
+  MIN: 0.75,
+  MAX: 1.25,
+  DEFAULT: 0.95, // Slightly slower for clarity
+};
+
+/**
+ * Normalizes stored voice preferences
+ * @param {*} preferences - voicePreferences field of a user document
+ * @return {Object} { gender, speakingRate } where gender is null for the language's default voice
+ */
+function normalizeVoicePreferences(preferences) {
+  const stored = preferences && typeof preferences === "object" ? preferences : {};
+  // Number(null) is 0, so a cleared rate would be clamped to the minimum instead of the default
+  const rate = stored.speakingRate === null || stored.speakingRate === undefined ? NaN : Number(stored.speakingRate);
+
+  return {
+    gender: VOICE_GENDERS.includes(stored.gender) ? stored.gender : null,
+    speakingRate: Number.isFinite(rate) ?
+      Math.round(Math.min(SPEAKING_RATE.MAX, Math.max(SPEAKING_RATE.MIN, rate)) * 100) / 100 :
+      SPEAKING_RATE.DEFAULT,
+  };
+}
+
+/**
+ * Loads a user's voice preferences
+ * A failed read is logged and the defaults are used, so speech synthesis never fails on preferences
+ * @param {string} uid - The user ID
+ * @return {Promise<Object>} { gender, speakingRate }
+ */
+async function loadVoicePreferences(uid) {
+  try {
+    const userDoc = await admin.firestore().collection("users").doc(uid).get();
+    return normalizeVoicePreferences(userDoc.exists ? userDoc.get("voicePreferences") : null);
+  } catch (error) {
+    console.warn("Failed to load voice preferences:", error.message);
+    return normalizeVoicePreferences(null);
+  }
+}
+
+module.exports = {
+  VOICE_GENDERS,
+  SPEAKING_RATE,
+  normalizeVoicePreferences,
+  loadVoicePreferences,
+};
@@ -0,0 +1,34 @@
+const assert = require("assert");
+const { SPEAKING_RATE, normalizeVoicePreferences } = require("./voicePreferences");
+
+describe("normalizeVoicePreferences", () => {
+  it("uses the defaults when nothing is stored", () => {
+    const defaults = { gender: null, speakingRate: SPEAKING_RATE.DEFAULT };
+    assert.deepStrictEqual(normalizeVoicePreferences(null), defaults);
+    assert.deepStrictEqual(normalizeVoicePreferences(undefined), defaults);
+    assert.deepStrictEqual(normalizeVoicePreferences("fast"), defaults);
+  });
+
+  it("treats a cleared speaking rate as not set", () => {
+    assert.strictEqual(normalizeVoicePreferences({ speakingRate: null }).speakingRate, SPEAKING_RATE.DEFAULT);
+    assert.strictEqual(normalizeVoicePreferences({ speakingRate: undefined }).speakingRate, SPEAKING_RATE.DEFAULT);
+    assert.strictEqual(normalizeVoicePreferences({ speakingRate: "slow" }).speakingRate, SPEAKING_RATE.DEFAULT);
+  });
+
+  it("keeps valid preferences", () => {
+    assert.deepStrictEqual(normalizeVoicePreferences({ gender: "male", speakingRate: 1.1 }), {
+      gender: "male",
+      speakingRate: 1.1,
+    });
+  });
+
+  it("clamps and rounds the speaking rate", () => {
+    assert.strictEqual(normalizeVoicePreferences({ speakingRate: 0 }).speakingRate, SPEAKING_RATE.MIN);
+    assert.strictEqual(normalizeVoicePreferences({ speakingRate: 3 }).speakingRate, SPEAKING_RATE.MAX);
+    assert.strictEqual(normalizeVoicePreferences({ speakingRate: "1.004" }).speakingRate, 1);
+  });
+
+  it("ignores unknown voice genders", () => {
+    assert.strictEqual(normalizeVoicePreferences({ gender: "robot" }).gender, null);
+  });
+});
@@ -11,18 +11,7 @@ import { createContext, useContext, useState, useEffect, useCallback } from 'rea
 import { useTranslation } from 'react-i18next';
 import { doc, updateDoc, getDoc } from 'firebase/firestore';
 import { auth, db } from '../firebase.js';
-
-/**
- * Supported languages in the application
- * @constant {string[]}
- */
-const SUPPORTED_LANGUAGES = ['en', 'hi', 'ta', 'te'];
-
-/**
- * Default language fallback
- * @constant {string}
- */
-const DEFAULT_LANGUAGE = 'en';
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from '../utils/constants.js';
 
 /**
  * LocalStorage key for language preference
@@ -10,12 +10,27 @@ import en from './en.json';
 import hi from './hi.json';
 import ta from './ta.json';
 import te from './te.json';
+import kn from './kn.json';
+import mr from './mr.json';
+import bn from './bn.json';
+import gu from './gu.json';
+import pa from './pa.json';
+import or from './or.json';
+import ml from './ml.json';
 
+// One bundle per language in functions/src/data/languages.json
 const resources = {
   en: { translation: en },
   hi: { translation: hi },
   ta: { translation: ta },
   te: { translation: te },
+  kn: { translation: kn },
+  mr: { translation: mr },
+  bn: { translation: bn },
+  gu: { translation: gu },
+  pa: { translation: pa },
+  or: { translation: or },
+  ml: { translation: ml },
 };
 
 // Get saved language or default to English
@@ -3,7 +3,7 @@
  * Handles chat/AI interactions with Gemini Cloud Function and chat history management
  */
 
-import { db, functions } from '../firebase';
+import { auth, db, functions } from '../firebase';
 import { 
   collection, 
   query, 
@@ -12,32 +12,127 @@ import {
   limit as firestoreLimit, 
   getDocs, 
   doc, 
-  getDoc 
+  getDoc,
+  onSnapshot
 } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
+import i18n from '../i18n';
+import { LANGUAGES, VOICE_PIPELINE_STATUS } from '../utils/constants';
 
 // Initialize callable function once at module level
 const askGeminiFunction = httpsCallable(functions, 'askGemini');
+// Voice questions transcribe, answer and synthesize in one call, polling long recordings for up to a minute
+const askByVoiceFunction = httpsCallable(functions, 'askByVoice', { timeout: 190000 });
+const diagnoseCropImageFunction = httpsCallable(functions, 'diagnoseCropImage');
+const rateAnswerFunction = httpsCallable(functions, 'rateAnswer');
+const translateChatFunction = httpsCallable(functions, 'translateChat');
+
+// Calls made to resume one voice question whose recording is still being transcribed
+const MAX_VOICE_RESUME_CALLS = 10;
+
+/**
+ * Build the URL of the askGeminiStream HTTP function
+ * Uses VITE_FUNCTIONS_BASE_URL when set (e.g. the emulator), otherwise the deployed region URL
+ * @returns {string} Streaming endpoint URL
+ */
+const getStreamUrl = () => {
+  const baseUrl = import.meta.env.VITE_FUNCTIONS_BASE_URL ||
+    `https://${functions.region}-${functions.app.options.projectId}.cloudfunctions.net`;
+  return `${baseUrl}/askGeminiStream`;
+};
+
+/**
+ * Build the error shown when the farmer has hit a rate limit or the daily quota
+ * @param {Object} details - Quota details from the server { window: 'minute' | 'day', limit, retryAfterSeconds }
+ * @param {string} language - Language code for the message (defaults to the current UI language)
+ * @returns {Error} Error with a localized message and retryAfterSeconds
+ */
+const createQuotaError = (details = {}, language) => {
+  const retryAfterSeconds = details.retryAfterSeconds || 60;
+  const message = details.window === 'day'
+    ? i18n.t('errors.dailyQuota', { lng: language, hours: Math.ceil(retryAfterSeconds / 3600) })
+    : i18n.t('errors.rateLimited', { lng: language, seconds: retryAfterSeconds });
+
+  const error = new Error(message);
+  error.code = 'resource-exhausted';
+  error.retryAfterSeconds = retryAfterSeconds;
+  return error;
+};
+
+/**
+ * Convert an askGemini response (or the answer part of an askByVoice response) to the answer object callers use
+ * @param {Object} data - Answer fields returned by the function
+ * @returns {Object} Answer with defaults for missing lists and metadata
+ */
+const toAnswer = (data) => ({
+  answer: data.answer,
+  confidence: data.confidence,
+  sources: data.sources || [],
+  suggestions: data.suggestions || [],
+  followUps: data.followUps || [],
+  citations: data.citations || [],
+  clarification: data.clarification || null,
+  safetyWarnings: data.safetyWarnings || [],
+  cache: data.cache || { hit: false },
+  review: data.review || null,
+  chatId: data.chatId,
+  conversationId: data.conversationId,
+  threadId: data.threadId,
+  parentChatId: data.parentChatId || null,
+  farmId: data.farmId || null,
+  timestamp: data.timestamp,
+  language: data.language,
+  inputLanguage: data.inputLanguage || null
+});
 
 /**
  * Ask a question to the Gemini AI assistant
  * @param {string} question - The question to ask
- * @param {Object} farmProfile - User's farm profile data
+ * @param {Object} farmProfile - Farm profile of an unsaved draft farm (ignored when options.farmId is set)
  * @param {string} language - Language code (e.g., 'en', 'hi', 'mr')
- * @returns {Promise<Object>} Response from AI with answer and metadata
- * @throws {Error} If the API call fails
+ * @param {string|null} conversationId - Conversation to continue (omit to start a new one)
+ * @param {Object} options - Extra request options
+ * @param {string} options.farmId - ID of a saved farm; the server loads its details from Firestore (optional)
+ * @param {Object} options.clarification - { chatId, values } answering a clarification request (optional)
+ * @param {Object} options.followUp - { chatId, id } asking a follow-up of an earlier chat (optional, see askFollowUp)
+ * @returns {Promise<Object>} Response from AI with answer and metadata. followUps is [{ id, text }], the
+ * suggested next questions; threadId and parentChatId place the chat in its question tree (see getThread).
+ * When the AI needs more facts, clarification is { status: 'pending', missingFacts: [{ field, question, label, type, options?, unit?, min?, max? }] }
+ * and the values should be sent back with answerClarification. language is the language the answer is written
+ * in, which follows the question (inputLanguage is { language, script, romanized, codeMixed }) rather than the
+ * language setting when the farmer typed in another language.
+ * @throws {Error} If the API call fails; rate limit errors have code 'resource-exhausted' and retryAfterSeconds
  */
-export const askQuestion = async (question, farmProfile = null, language = 'en') => {
+export const askQuestion = async (question, farmProfile = null, language = 'en', conversationId = null, options = {}) => {
   try {
     if (!question || typeof question !== 'string' || question.trim().length === 0) {
       throw new Error('Question is required and must be a non-empty string');
     }
 
-    const response = await askGeminiFunction({
+    const payload = {
       question: question.trim(),
-      farmProfile,
       language
-    });
+    };
+
+    if (options.farmId) {
+      payload.farmId = options.farmId;
+    } else {
+      payload.farmProfile = farmProfile;
+    }
+
+    if (conversationId) {
+      payload.conversationId = conversationId;
+    }
+
+    if (options.clarification) {
+      payload.clarification = options.clarification;
+    }
+
+    if (options.followUp) {
+      payload.followUp = options.followUp;
+    }
+
+    const response = await askGeminiFunction(payload);
 
     if (!response.data) {
       throw new Error('No data received from AI service');
@@ -45,10 +140,7 @@ export const askQuestion = async (question, farmProfile = null, language = 'en')
 
     return {
       success: true,
-      answer: response.data.answer,
-      chatId: response.data.chatId,
-      timestamp: response.data.timestamp,
-      language: response.data.language
+      ...toAnswer(response.data)
     };
   } catch (error) {
     console.error('Error asking question:', error);
@@ -58,6 +150,10 @@ export const askQuestion = async (question, farmProfile = null, language = 'en')
       throw new Error('You must be logged in to ask questions');
     } else if (error.code === 'functions/permission-denied') {
       throw new Error('You do not have permission to access this service');
+    } else if (error.code === 'functions/not-found') {
+      throw new Error('Farm not found. Please select one of your farms.');
+    } else if (error.code === 'functions/resource-exhausted') {
+      throw createQuotaError(error.details, language);
     } else if (error.code === 'functions/unavailable') {
       throw new Error('AI service is temporarily unavailable. Please try again later.');
     } else if (error.code === 'functions/deadline-exceeded') {
@@ -68,14 +164,386 @@ export const askQuestion = async (question, farmProfile = null, language = 'en')
   }
 };
 
+/**
+ * Answer a clarification request so the AI can answer the original question
+ * @param {string} chatId - ID of the chat that asked for more details
+ * @param {string} question - The original question
+ * @param {Object} values - Filled-in values keyed by missing fact field (e.g. { crop_stage: 'flowering' })
+ * @param {Object} farmProfile - Farm profile of an unsaved draft farm (ignored when options.farmId is set)
+ * @param {string} language - Language code (e.g., 'en', 'hi', 'mr')
+ * @param {Object} options - Extra request options
+ * @param {string} options.farmId - ID of a saved farm (optional)
+ * @returns {Promise<Object>} Response from AI, in the same shape as askQuestion
+ * @throws {Error} If the API call fails
+ */
+export const answerClarification = async (chatId, question, values, farmProfile = null, language = 'en', options = {}) => {
+  if (!chatId || !values || typeof values !== 'object') {
+    throw new Error('Chat ID and clarification values are required');
+  }
+
+  return askQuestion(question, farmProfile, language, null, {
+    farmId: options.farmId,
+    clarification: { chatId, values }
+  });
+};
+
+/**
+ * Ask one of the suggested follow-up questions of an earlier answer
+ * The new chat continues the earlier chat's conversation and is stored as its child in the question tree
+ * @param {string} chatId - ID of the chat the follow-up was suggested on
+ * @param {Object} followUp - { id, text } from that chat's followUps
+ * @param {Object} farmProfile - Farm profile of an unsaved draft farm (ignored when options.farmId is set)
+ * @param {string} language - Language code (e.g., 'en', 'hi', 'mr')
+ * @param {Object} options - Extra request options
+ * @param {string} options.farmId - ID of a saved farm (optional)
+ * @returns {Promise<Object>} Response from AI, in the same shape as askQuestion
+ * @throws {Error} If the API call fails
+ */
+export const askFollowUp = async (chatId, followUp, farmProfile = null, language = 'en', options = {}) => {
+  if (!chatId || !followUp?.id || !followUp?.text) {
+    throw new Error('Chat ID and follow-up are required');
+  }
+
+  return askQuestion(followUp.text, farmProfile, language, null, {
+    farmId: options.farmId,
+    followUp: { chatId, id: followUp.id }
+  });
+};
+
+/**
+ * Ask a recorded voice question in one call
+ * The server transcribes the recording, answers it and reads the answer out, writing each stage's status to
+ * the chat document. Recordings still being transcribed when the call returns are resumed automatically.
+ * @param {string} audioPath - Storage path of the recording from storageService.uploadAudio
+ * @param {Object} farmProfile - Farm profile of an unsaved draft farm (ignored when options.farmId is set)
+ * @param {string} language - Language code (e.g., 'en', 'hi', 'mr')
+ * @param {string|null} conversationId - Conversation to continue (omit to start a new one)
+ * @param {Object} options - Extra request options
+ * @param {string} options.farmId - ID of a saved farm (optional)
+ * @param {number} options.durationSeconds - Recording length, used to choose the recognition mode (optional)
+ * @param {boolean} options.speak - Set to false to skip reading the answer out (optional, default true; always
+ * skipped for languages without a voice, see LANGUAGES[code].hasVoice)
+ * @param {Function} options.onStage - Called with { status, stage, stages, transcript } whenever a stage changes;
+ * stages maps transcription, answer and speech to { status, ... } (see VOICE_STAGE_STATUS) (optional)
+ * @returns {Promise<Object>} Response in the same shape as askQuestion, plus transcript, stages and
+ * audio ({ audioUrl, storagePath } of the spoken answer, or null if skipped or synthesis failed)
+ * @throws {Error} If any stage before speech fails; unsupported recordings have code 'unsupported-audio-format'
+ */
+export const askByVoice = async (audioPath, farmProfile = null, language = 'en', conversationId = null, options = {}) => {
+  let unsubscribe = null;
+
+  try {
+    if (!audioPath) {
+      throw new Error('Audio path is required');
+    }
+
+    const { farmId, durationSeconds, speak, onStage } = options;
+    const payload = { audioPath, language };
+
+    if (farmId) {
+      payload.farmId = farmId;
+    } else {
+      payload.farmProfile = farmProfile;
+    }
+
+    if (conversationId) {
+      payload.conversationId = conversationId;
+    }
+
+    if (typeof durationSeconds === 'number' && durationSeconds > 0) {
+      payload.durationSeconds = Math.round(durationSeconds * 10) / 10;
+    }
+
+    if (speak === false || !LANGUAGES[language]?.hasVoice) {
+      payload.speak = false;
+    }
+
+    // Name the chat up front so its stages can be watched before the call returns
+    if (onStage && auth.currentUser) {
+      const chatRef = doc(collection(db, 'users', auth.currentUser.uid, 'chats'));
+      payload.chatId = chatRef.id;
+      unsubscribe = onSnapshot(
+        chatRef,
+        (chatDoc) => {
+          const voice = chatDoc.data()?.voice;
+          if (voice) {
+            onStage({ status: voice.status, stage: voice.stage, stages: voice.stages, transcript: voice.transcript });
+          }
+        },
+        (error) => console.error('Error watching voice question:', error)
+      );
+    }
+
+    let { data } = await askByVoiceFunction(payload);
+
+    for (let calls = 0; data.status === VOICE_PIPELINE_STATUS.RUNNING; calls++) {
+      if (calls >= MAX_VOICE_RESUME_CALLS) {
+        throw new Error('Transcription is taking too long. Please try again.');
+      }
+      ({ data } = await askByVoiceFunction({ chatId: data.chatId }));
+    }
+
+    if (data.status === VOICE_PIPELINE_STATUS.ERROR || !data.answer) {
+      throw new Error(data.stages?.[data.stage]?.error || 'Failed to answer voice question');
+    }
+
+    return {
+      success: true,
+      ...toAnswer(data.answer),
+      transcript: data.transcript,
+      stages: data.stages,
+      audio: data.audio || null
+    };
+  } catch (error) {
+    console.error('Error asking voice question:', error);
+
+    if (error.code === 'functions/unauthenticated') {
+      throw new Error('You must be logged in to ask questions');
+    } else if (error.code === 'functions/invalid-argument' && error.details?.reason === 'unsupported-audio-format') {
+      const formatError = new Error('This recording format is not supported. Please record your question again in the app.');
+      formatError.code = 'unsupported-audio-format';
+      formatError.audioFormat = error.details;
+      throw formatError;
+    } else if (error.code === 'functions/not-found') {
+      throw new Error(error.message === 'Farm not found'
+        ? 'Farm not found. Please select one of your farms.'
+        : 'Recording not found. Please record your question again.');
+    } else if (error.code === 'functions/resource-exhausted') {
+      throw createQuotaError(error.details, language);
+    } else if (error.code === 'functions/unavailable') {
+      throw new Error('AI service is temporarily unavailable. Please try again later.');
+    } else if (error.code === 'functions/deadline-exceeded') {
+      throw new Error('Request timed out. Please try again.');
+    }
+
+    throw new Error(error.message || 'Failed to answer voice question');
+  } finally {
+    unsubscribe?.();
+  }
+};
+
+/**
+ * Ask a question and stream the answer as it is generated
+ * Yields { type: 'delta', text } events followed by a single
+ * { type: 'done', answer?, confidence, sources, suggestions, followUps, citations, clarification, safetyWarnings, cache,
+ * review, chatId, conversationId, threadId, parentChatId, farmId, language, inputLanguage } event. cache is { hit, eligible, stored, cachedAt?, expiresAt? }; review is
+ * { ticketId, status, reasons } when the answer was sent to an extension officer for review.
+ * Each citation is { schemeId, name, applicationUrl } for a scheme in the schemes collection.
+ * When the AI asked for missing facts or the pesticide safety check rewrote the answer, the done event
+ * carries the full final answer, which replaces the text streamed so far.
+ * Cancel by aborting options.signal or by breaking out of the for-await loop.
+ * @param {string} question - The question to ask
+ * @param {Object} farmProfile - Farm profile of an unsaved draft farm (ignored when options.farmId is set)
+ * @param {string} language - Language code (e.g., 'en', 'hi', 'mr')
+ * @param {Object} options - Stream options
+ * @param {string} options.farmId - ID of a saved farm; the server loads its details from Firestore (optional)
+ * @param {string} options.conversationId - Conversation to continue (optional)
+ * @param {Object} options.clarification - { chatId, values } answering a clarification request (optional)
+ * @param {Object} options.followUp - { chatId, id } asking a follow-up of an earlier chat (optional)
+ * @param {AbortSignal} options.signal - Signal used to cancel the request (optional)
+ * @returns {AsyncGenerator<Object>} Stream of answer events
+ * @throws {Error} If the request fails or the server reports an error; rate limit errors have code
+ * 'resource-exhausted' and retryAfterSeconds
+ */
+export async function* askQuestionStream(question, farmProfile = null, language = 'en', options = {}) {
+  if (!question || typeof question !== 'string' || question.trim().length === 0) {
+    throw new Error('Question is required and must be a non-empty string');
+  }
+
+  if (!auth.currentUser) {
+    throw new Error('You must be logged in to ask questions');
+  }
+
+  const { farmId = null, conversationId = null, clarification = null, followUp = null, signal = null } = options;
+  const idToken = await auth.currentUser.getIdToken();
+
+  const payload = {
+    question: question.trim(),
+    language
+  };
+
+  if (farmId) {
+    payload.farmId = farmId;
+  } else {
+    payload.farmProfile = farmProfile;
+  }
+
+  if (conversationId) {
+    payload.conversationId = conversationId;
+  }
+
+  if (clarification) {
+    payload.clarification = clarification;
+  }
+
+  if (followUp) {
+    payload.followUp = followUp;
+  }
+
+  let response;
+  try {
+    response = await fetch(getStreamUrl(), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${idToken}`
+      },
+      body: JSON.stringify(payload),
+      signal
+    });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return;
+    }
+    console.error('Error starting answer stream:', error);
+    throw new Error('AI service is temporarily unavailable. Please try again later.');
+  }
+
+  if (!response.ok || !response.body) {
+    const body = await response.json().catch(() => ({}));
+    const code = body.error?.code;
+
+    if (code === 'unauthenticated') {
+      throw new Error('You must be logged in to ask questions');
+    }
+    if (code === 'not-found') {
+      throw new Error('Farm not found. Please select one of your farms.');
+    }
+    if (code === 'resource-exhausted') {
+      throw createQuotaError(body.error.details, language);
+    }
+
+    throw new Error(body.error?.message || 'Failed to get answer from AI assistant');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        const event = JSON.parse(line);
+        if (event.type === 'error') {
+          throw new Error(event.message || 'Failed to get answer from AI assistant');
+        }
+        yield event;
+      }
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      return;
+    }
+    console.error('Error reading answer stream:', error);
+    throw error;
+  } finally {
+    // Releases the connection when the caller stops iterating early
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Diagnose a crop problem from photos uploaded with storageService.uploadFile(userId, file, 'images')
+ * @param {Array<string>} imagePaths - Storage paths of 1-4 photos under images/{userId}/
+ * @param {Object} farmProfile - Farm profile of an unsaved draft farm (ignored when options.farmId is set)
+ * @param {string} language - Language code (e.g., 'en', 'hi', 'mr')
+ * @param {Object} options - Diagnosis options
+ * @param {string} options.farmId - ID of a saved farm; the server loads its details from Firestore (optional)
+ * @param {string} options.question - Farmer's description of the problem (optional)
+ * @param {string} options.conversationId - Conversation to continue (optional)
+ * @returns {Promise<Object>} Diagnosis with treatment and KVK referral flag, answered in the language of
+ * options.question when it differs from the language setting
+ * @throws {Error} If the API call fails
+ */
+export const diagnoseCropImage = async (imagePaths, farmProfile = null, language = 'en', options = {}) => {
+  try {
+    if (!Array.isArray(imagePaths) || imagePaths.length === 0) {
+      throw new Error('At least one photo is required');
+    }
+
+    const { farmId = null, question = '', conversationId = null } = options;
+
+    const payload = {
+      imagePaths,
+      language
+    };
+
+    if (farmId) {
+      payload.farmId = farmId;
+    } else {
+      payload.farmProfile = farmProfile;
+    }
+
+    if (question && question.trim()) {
+      payload.question = question.trim();
+    }
+
+    if (conversationId) {
+      payload.conversationId = conversationId;
+    }
+
+    const response = await diagnoseCropImageFunction(payload);
+
+    if (!response.data) {
+      throw new Error('No data received from AI service');
+    }
+
+    return {
+      success: true,
+      answer: response.data.answer,
+      diagnosis: response.data.diagnosis,
+      confidence: response.data.confidence,
+      treatment: response.data.treatment,
+      contactKVK: response.data.contactKVK,
+      safetyWarnings: response.data.safetyWarnings || [],
+      review: response.data.review || null,
+      chatId: response.data.chatId,
+      conversationId: response.data.conversationId,
+      farmId: response.data.farmId || null,
+      language: response.data.language,
+      inputLanguage: response.data.inputLanguage || null
+    };
+  } catch (error) {
+    console.error('Error diagnosing crop image:', error);
+
+    if (error.code === 'functions/unauthenticated') {
+      throw new Error('You must be logged in to diagnose photos');
+    } else if (error.code === 'functions/not-found') {
+      throw new Error('Farm not found. Please select one of your farms.');
+    } else if (error.code === 'functions/resource-exhausted') {
+      throw createQuotaError(error.details, language);
+    } else if (error.code === 'functions/unavailable') {
+      throw new Error('AI service is temporarily unavailable. Please try again later.');
+    } else if (error.code === 'functions/deadline-exceeded') {
+      throw new Error('Request timed out. Please try again.');
+    }
+
+    throw new Error(error.message || 'Failed to diagnose crop photo');
+  }
+};
+
 /**
  * Get chat history for a user
  * @param {string} userId - User's ID
  * @param {number} limit - Maximum number of chats to retrieve (default: 50)
+ * @param {string|null} farmId - Only return chats about this saved farm (optional)
  * @returns {Promise<Array>} Array of chat objects
  * @throws {Error} If fetching fails
  */
-export const getChatHistory = async (userId, limit = 50) => {
+export const getChatHistory = async (userId, limit = 50, farmId = null) => {
   try {
     if (!userId) {
       throw new Error('User ID is required');
@@ -86,9 +554,15 @@ export const getChatHistory = async (userId, limit = 50) => {
     }
 
     const chatsRef = collection(db, 'users', userId, 'chats');
+    const filters = [where('userId', '==', userId)];
+
+    if (farmId) {
+      filters.push(where('farmId', '==', farmId));
+    }
+
     const q = query(
       chatsRef,
-      where('userId', '==', userId),
+      ...filters,
       orderBy('timestamp', 'desc'),
       firestoreLimit(limit)
     );
@@ -124,6 +598,8 @@ export const getChatHistory = async (userId, limit = 50) => {
 
 /**
  * Get a specific chat by ID
+ * The chat carries its original question and answer in chat.language, plus chat.translations: a map of
+ * language code to { question, answer, suggestions, model, translatedAt } for each translateChat result
  * @param {string} userId - User's ID
  * @param {string} chatId - Chat document ID
  * @returns {Promise<Object>} Chat object
@@ -158,7 +634,13 @@ export const getChatById = async (userId, chatId) => {
       chat: {
         id: chatSnap.id,
         ...chatData,
-        timestamp: chatData.timestamp?.toDate()
+        timestamp: chatData.timestamp?.toDate(),
+        translations: Object.fromEntries(
+          Object.entries(chatData.translations || {}).map(([code, translation]) => [
+            code,
+            { ...translation, translatedAt: translation.translatedAt?.toDate() }
+          ])
+        )
       }
     };
   } catch (error) {
@@ -172,8 +654,156 @@ export const getChatById = async (userId, chatId) => {
   }
 };
 
+/**
+ * Get the question tree a chat belongs to
+ * A thread starts with a question asked on its own; follow-ups and clarification answers are its descendants.
+ * @param {string} userId - User's ID
+ * @param {string} chatId - ID of any chat in the thread
+ * @returns {Promise<Object>} { success, threadId, root, count } where root is the first chat of the thread and
+ * every node is a chat object with children: [...] in the order they were asked
+ * @throws {Error} If fetching fails or chat not found
+ */
+export const getThread = async (userId, chatId) => {
+  try {
+    const { chat } = await getChatById(userId, chatId);
+    const threadId = chat.threadId || chat.id;
+
+    const q = query(
+      collection(db, 'users', userId, 'chats'),
+      where('userId', '==', userId),
+      where('threadId', '==', threadId)
+    );
+    const querySnapshot = await getDocs(q);
+
+    const nodes = new Map();
+    querySnapshot.forEach((doc) => {
+      nodes.set(doc.id, {
+        id: doc.id,
+        ...doc.data(),
+        timestamp: doc.data().timestamp?.toDate(),
+        children: []
+      });
+    });
+
+    // Chats saved before threads existed have no threadId and form a thread of their own
+    if (!nodes.has(threadId)) {
+      const { chat: rootChat } = threadId === chat.id ? { chat } : await getChatById(userId, threadId);
+      nodes.set(threadId, { ...rootChat, children: [] });
+    }
+
+    const ordered = [...nodes.values()].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    for (const node of ordered) {
+      const parent = node.parentChatId && nodes.get(node.parentChatId);
+      if (parent && node.id !== threadId) {
+        parent.children.push(node);
+      }
+    }
+
+    return {
+      success: true,
+      threadId,
+      root: nodes.get(threadId),
+      count: nodes.size
+    };
+  } catch (error) {
+    console.error('Error getting thread:', error);
+
+    if (error.code === 'permission-denied') {
+      throw new Error('You do not have permission to access this chat');
+    }
+
+    throw new Error(error.message || 'Failed to retrieve thread');
+  }
+};
+
+/**
+ * Rate an answer and optionally correct it or report how the advice worked
+ * @param {string} chatId - ID of the chat being rated
+ * @param {Object} feedback - Feedback to record
+ * @param {string} feedback.rating - 'helpful', 'not_helpful' or 'wrong' (see FEEDBACK_RATINGS)
+ * @param {string} feedback.correction - Optional text correction
+ * @param {string} feedback.correctionAudioPath - Optional Storage path of a recorded voice correction
+ * @param {Object} feedback.outcome - Optional { tried, result, notes }; result is one of FEEDBACK_OUTCOMES
+ * @param {string} language - Language code for error messages (defaults to the current UI language)
+ * @returns {Promise<Object>} The stored feedback
+ */
+export const rateAnswer = async (chatId, feedback, language) => {
+  try {
+    if (!chatId || !feedback?.rating) {
+      throw new Error('Chat ID and rating are required');
+    }
+
+    const response = await rateAnswerFunction({ chatId, ...feedback });
+
+    return {
+      success: true,
+      chatId: response.data.chatId,
+      feedback: response.data.feedback
+    };
+  } catch (error) {
+    console.error('Error rating answer:', error);
+
+    if (error.code === 'functions/unauthenticated') {
+      throw new Error('You must be logged in to rate answers');
+    } else if (error.code === 'functions/not-found') {
+      throw new Error('Chat not found');
+    } else if (error.code === 'functions/resource-exhausted') {
+      throw createQuotaError(error.details, language);
+    }
+
+    throw new Error(error.message || 'Failed to save feedback');
+  }
+};
+
+/**
+ * Translate a stored question and answer into another language
+ * The first request for a language translates the chat; later requests (and getChatById) read the cached copy.
+ * Pass the same chatId and language to synthesizeSpeech to hear the translated answer.
+ * @param {string} chatId - ID of the chat to translate
+ * @param {string} language - Target language code (one of SUPPORTED_LANGUAGES)
+ * @returns {Promise<Object>} { chatId, language, sourceLanguage, question, answer, suggestions, original, cached }
+ * where original is true when the chat was already answered in that language
+ */
+export const translateChat = async (chatId, language) => {
+  try {
+    if (!chatId || !language) {
+      throw new Error('Chat ID and language are required');
+    }
+
+    const response = await translateChatFunction({ chatId, language });
+
+    return {
+      success: true,
+      ...response.data
+    };
+  } catch (error) {
+    console.error('Error translating chat:', error);
+
+    if (error.code === 'functions/unauthenticated') {
+      throw new Error('You must be logged in to translate answers');
+    } else if (error.code === 'functions/not-found') {
+      throw new Error('Chat not found');
+    } else if (error.code === 'functions/resource-exhausted') {
+      // language is the translation target; the quota message is shown in the UI language
+      throw createQuotaError(error.details, i18n.language);
+    } else if (error.code === 'functions/unavailable') {
+      throw new Error('AI service is temporarily unavailable. Please try again later.');
+    }
+
+    throw new Error(error.message || 'Failed to translate answer');
+  }
+};
+
 export default {
   askQuestion,
+  answerClarification,
+  askFollowUp,
+  askByVoice,
+  askQuestionStream,
+  diagnoseCropImage,
+  rateAnswer,
+  translateChat,
   getChatHistory,
-  getChatById
+  getChatById,
+  getThread
 };
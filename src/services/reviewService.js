@@ -0,0 +1,178 @@
+/**
+ * Review Service
+ * Expert review queue for extension officers: list, claim and resolve review tickets
+ */
+
+import { db, functions } from '../firebase';
+import {
+  collection,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit as firestoreLimit
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { REVIEW_STATUS } from '../utils/constants';
+
+// Initialize callable functions once at module level
+const claimReviewTicketFunction = httpsCallable(functions, 'claimReviewTicket');
+const resolveReviewTicketFunction = httpsCallable(functions, 'resolveReviewTicket');
+
+/**
+ * Convert a review ticket document to a plain object with Date fields
+ * @param {Object} ticketDoc - Firestore document snapshot
+ * @returns {Object} Review ticket
+ */
+const toTicket = (ticketDoc) => {
+  const data = ticketDoc.data();
+  return {
+    id: ticketDoc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate(),
+    updatedAt: data.updatedAt?.toDate(),
+    claimedAt: data.claimedAt?.toDate(),
+    resolvedAt: data.resolvedAt?.toDate()
+  };
+};
+
+/**
+ * Get open review tickets, oldest first
+ * Requires the extension_officer role
+ * @param {number} limit - Maximum number of tickets to retrieve (default: 50)
+ * @returns {Promise<Object>} Object containing success status and array of tickets
+ * @throws {Error} If fetching fails
+ */
+export const getOpenReviewTickets = async (limit = 50) => {
+  try {
+    if (typeof limit !== 'number' || limit < 1 || limit > 100) {
+      throw new Error('Limit must be a number between 1 and 100');
+    }
+
+    const q = query(
+      collection(db, 'reviewTickets'),
+      where('status', '==', REVIEW_STATUS.OPEN),
+      orderBy('createdAt', 'asc'),
+      firestoreLimit(limit)
+    );
+
+    const querySnapshot = await getDocs(q);
+
+    return {
+      success: true,
+      tickets: querySnapshot.docs.map(toTicket),
+      count: querySnapshot.size
+    };
+  } catch (error) {
+    console.error('Error getting review tickets:', error);
+
+    if (error.code === 'permission-denied') {
+      throw new Error('Only extension officers can view the review queue');
+    }
+
+    throw new Error(error.message || 'Failed to retrieve review tickets');
+  }
+};
+
+/**
+ * Get tickets claimed or resolved by an extension officer, most recently updated first
+ * @param {string} officerId - Extension officer's user ID
+ * @param {number} limit - Maximum number of tickets to retrieve (default: 50)
+ * @returns {Promise<Object>} Object containing success status and array of tickets
+ * @throws {Error} If fetching fails
+ */
+export const getMyReviewTickets = async (officerId, limit = 50) => {
+  try {
+    if (!officerId) {
+      throw new Error('Officer ID is required');
+    }
+
+    const q = query(
+      collection(db, 'reviewTickets'),
+      where('claimedBy', '==', officerId),
+      orderBy('updatedAt', 'desc'),
+      firestoreLimit(limit)
+    );
+
+    const querySnapshot = await getDocs(q);
+
+    return {
+      success: true,
+      tickets: querySnapshot.docs.map(toTicket),
+      count: querySnapshot.size
+    };
+  } catch (error) {
+    console.error('Error getting claimed review tickets:', error);
+
+    if (error.code === 'permission-denied') {
+      throw new Error('Only extension officers can view the review queue');
+    }
+
+    throw new Error(error.message || 'Failed to retrieve review tickets');
+  }
+};
+
+/**
+ * Claim an open review ticket
+ * @param {string} ticketId - Review ticket ID
+ * @returns {Promise<Object>} { success, ticketId, status, chatDeleted? }; status is 'closed' if the farmer
+ *   deleted the chat
+ * @throws {Error} If the ticket cannot be claimed
+ */
+export const claimReviewTicket = async (ticketId) => {
+  try {
+    if (!ticketId) {
+      throw new Error('Ticket ID is required');
+    }
+
+    const response = await claimReviewTicketFunction({ ticketId });
+    return { success: true, ...response.data };
+  } catch (error) {
+    console.error('Error claiming review ticket:', error);
+
+    if (error.code === 'functions/failed-precondition') {
+      throw new Error('This ticket has already been claimed');
+    } else if (error.code === 'functions/permission-denied') {
+      throw new Error('Only extension officers can claim review tickets');
+    }
+
+    throw new Error(error.message || 'Failed to claim review ticket');
+  }
+};
+
+/**
+ * Resolve a claimed review ticket; the outcome appears in the farmer's chat
+ * @param {string} ticketId - Review ticket ID
+ * @param {string} action - 'answer', 'amend' or 'approve'
+ * @param {string} text - Expert answer ('answer') or corrected answer ('amend')
+ * @param {string} note - Optional note for the farmer
+ * @returns {Promise<Object>} { success, ticketId, status, chatDeleted? }
+ * @throws {Error} If the ticket cannot be resolved
+ */
+export const resolveReviewTicket = async (ticketId, action, text = '', note = '') => {
+  try {
+    if (!ticketId || !action) {
+      throw new Error('Ticket ID and action are required');
+    }
+
+    const response = await resolveReviewTicketFunction({ ticketId, action, text, note });
+    return { success: true, ...response.data };
+  } catch (error) {
+    console.error('Error resolving review ticket:', error);
+
+    if (error.code === 'functions/failed-precondition') {
+      throw new Error('Claim this ticket before resolving it');
+    } else if (error.code === 'functions/permission-denied') {
+      throw new Error('Only extension officers can resolve review tickets');
+    }
+
+    throw new Error(error.message || 'Failed to resolve review ticket');
+  }
+};
+
+export default {
+  getOpenReviewTickets,
+  getMyReviewTickets,
+  claimReviewTicket,
+  resolveReviewTicket
+};
@@ -0,0 +1,198 @@
+/**
+ * Speech Service
+ * Transcribes recorded voice questions with the transcribeAudio Cloud Function and manages the voice
+ * preferences answers are read out with
+ */
+
+import { db, functions } from '../firebase';
+import { doc, getDoc, onSnapshot, updateDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { SPEAKING_RATE, TRANSCRIPTION_STATUS, VOICE_GENDERS } from '../utils/constants';
+
+// Initialize callable function once at module level; long recordings are polled for up to two minutes
+const transcribeAudioFunction = httpsCallable(functions, 'transcribeAudio', { timeout: 130000 });
+
+// Calls made to resume one long-running job before giving up
+const MAX_RESUME_CALLS = 10;
+
+/**
+ * Convert a transcription job document to a plain object with Date fields
+ * @param {Object} jobDoc - Firestore document snapshot
+ * @returns {Object} Transcription job
+ */
+const toJob = (jobDoc) => {
+  const data = jobDoc.data();
+  return {
+    id: jobDoc.id,
+    ...data,
+    createdAt: data.createdAt?.toDate(),
+    updatedAt: data.updatedAt?.toDate(),
+    completedAt: data.completedAt?.toDate()
+  };
+};
+
+/**
+ * Map transcribeAudio errors to user-facing messages
+ * @param {Error} error - Error thrown by the callable
+ * @returns {Error} Error to show the user
+ */
+const toTranscriptionError = (error) => {
+  if (error.code === 'functions/unauthenticated') {
+    return new Error('You must be logged in to use voice questions');
+  } else if (error.code === 'functions/not-found') {
+    return new Error('Recording not found. Please record your question again.');
+  } else if (error.code === 'functions/invalid-argument' && error.details?.reason === 'unsupported-audio-format') {
+    const formatError = new Error('This recording format is not supported. Please record your question again in the app.');
+    formatError.code = 'unsupported-audio-format';
+    formatError.audioFormat = error.details;
+    return formatError;
+  } else if (error.code === 'functions/invalid-argument') {
+    return new Error(error.message);
+  } else if (error.code === 'functions/unavailable') {
+    return new Error('Speech service is temporarily unavailable. Please try again.');
+  } else if (error.code === 'functions/resource-exhausted') {
+    const quotaError = new Error(error.message);
+    quotaError.code = 'resource-exhausted';
+    quotaError.retryAfterSeconds = error.details?.retryAfterSeconds || 60;
+    return quotaError;
+  }
+
+  return new Error(error.message || 'Failed to transcribe audio');
+};
+
+/**
+ * Watch a transcription job for status and progress changes
+ * @param {string} userId - User's ID
+ * @param {string} jobId - Transcription job ID returned by transcribeAudio
+ * @param {Function} callback - Called with the job ({ status, mode, progressPercent, transcript, confidence, error })
+ * on every change
+ * @returns {Function} Unsubscribe function
+ */
+export const watchTranscriptionJob = (userId, jobId, callback) => {
+  const jobRef = doc(db, 'users', userId, 'transcriptions', jobId);
+
+  return onSnapshot(
+    jobRef,
+    (jobDoc) => {
+      if (jobDoc.exists()) {
+        callback(toJob(jobDoc));
+      }
+    },
+    (error) => console.error('Error watching transcription job:', error)
+  );
+};
+
+/**
+ * Transcribe a recording uploaded with storageService.uploadAudio
+ * Recordings longer than about a minute run as long-running jobs; this keeps resuming the job until it
+ * finishes and reports progress along the way.
+ * @param {string} audioPath - Storage path of the recording under audio/{userId}/
+ * @param {string} language - Language code (e.g., 'en', 'hi', 'mr')
+ * @param {Object} options - Transcription options
+ * @param {number} options.durationSeconds - Recording length, used to choose the recognition mode (optional)
+ * @param {Function} options.onProgress - Called with { jobId, status, progressPercent } while the job runs (optional)
+ * @returns {Promise<Object>} { success, jobId, mode, transcript, confidence, message? }
+ * @throws {Error} If transcription fails
+ */
+export const transcribeAudio = async (audioPath, language = 'en', options = {}) => {
+  try {
+    if (!audioPath) {
+      throw new Error('Audio path is required');
+    }
+
+    const { durationSeconds, onProgress } = options;
+    const payload = { audioPath, language };
+
+    if (typeof durationSeconds === 'number' && durationSeconds > 0) {
+      payload.durationSeconds = Math.round(durationSeconds * 10) / 10;
+    }
+
+    let { data } = await transcribeAudioFunction(payload);
+
+    for (let calls = 0; data.status === TRANSCRIPTION_STATUS.RUNNING; calls++) {
+      if (calls >= MAX_RESUME_CALLS) {
+        throw new Error('Transcription is taking too long. Please try again.');
+      }
+
+      onProgress?.({ jobId: data.jobId, status: data.status, progressPercent: data.progressPercent });
+      ({ data } = await transcribeAudioFunction({ jobId: data.jobId }));
+    }
+
+    if (data.status === TRANSCRIPTION_STATUS.ERROR) {
+      throw new Error(data.error || 'Failed to transcribe audio');
+    }
+
+    onProgress?.({ jobId: data.jobId, status: data.status, progressPercent: 100 });
+
+    return {
+      success: true,
+      jobId: data.jobId,
+      mode: data.mode,
+      transcript: data.transcript,
+      confidence: data.confidence,
+      message: data.message
+    };
+  } catch (error) {
+    console.error('Error transcribing audio:', error);
+    throw error.code ? toTranscriptionError(error) : error;
+  }
+};
+
+/**
+ * Get the voice a user's answers are read out in
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { gender: 'female' | 'male' | null, speakingRate } where a null gender means the
+ *   language's default voice
+ */
+export const getVoicePreferences = async (userId) => {
+  const userDoc = await getDoc(doc(db, 'users', userId));
+  const preferences = (userDoc.exists() && userDoc.data().voicePreferences) || {};
+
+  return {
+    gender: VOICE_GENDERS.includes(preferences.gender) ? preferences.gender : null,
+    speakingRate: typeof preferences.speakingRate === 'number' ? preferences.speakingRate : SPEAKING_RATE.DEFAULT
+  };
+};
+
+/**
+ * Save the voice a user's answers are read out in
+ * Applies to audio synthesized afterwards; answers already read out keep their stored audio.
+ * @param {string} userId - User ID
+ * @param {Object} preferences - { gender?: 'female' | 'male' | null, speakingRate?: number } where a null
+ *   gender goes back to the language's default voice
+ * @returns {Promise<Object>} Saved { gender?, speakingRate? }
+ * @throws {Error} If a preference is out of range
+ */
+export const updateVoicePreferences = async (userId, preferences) => {
+  const voicePreferences = {};
+
+  if (preferences.gender) {
+    if (!VOICE_GENDERS.includes(preferences.gender)) {
+      throw new Error(`Voice must be one of: ${VOICE_GENDERS.join(', ')}`);
+    }
+    voicePreferences.gender = preferences.gender;
+  }
+
+  if (preferences.speakingRate !== undefined) {
+    const rate = Number(preferences.speakingRate);
+    if (!Number.isFinite(rate) || rate < SPEAKING_RATE.MIN || rate > SPEAKING_RATE.MAX) {
+      throw new Error(`Speaking rate must be between ${SPEAKING_RATE.MIN} and ${SPEAKING_RATE.MAX}`);
+    }
+    voicePreferences.speakingRate = Math.round(rate * 100) / 100;
+  }
+
+  // Replaces the whole map so clearing the voice takes effect
+  await updateDoc(doc(db, 'users', userId), {
+    voicePreferences,
+    updatedAt: new Date()
+  });
+
+  return voicePreferences;
+};
+
+export default {
+  transcribeAudio,
+  watchTranscriptionJob,
+  getVoicePreferences,
+  updateVoicePreferences
+};
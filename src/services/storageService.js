@@ -11,9 +11,19 @@ import {
   deleteObject,
   uploadBytesResumable 
 } from 'firebase/storage';
+import { audioExtension, needsTranscoding, transcodeToWav } from '../utils/audio';
+import { STORAGE_PATHS } from '../utils/constants';
+
+// Synthesized speech is stored as tts/{userId|shared}/{sha256}.mp3; the content of a path never changes
+const SPEECH_PATH_PATTERN = /^tts\/[^/]+\/[0-9a-f]{64}\.mp3$/;
+
+// Download URLs of synthesized speech, reused for the rest of the session
+const speechUrlCache = new Map();
 
 /**
  * Upload an audio file to Firebase Storage
+ * AAC/MP4 and 3GP recordings (Safari, iOS, some Android apps) are converted to WAV first, since
+ * Speech-to-Text cannot decode them and the server does not transcode
  * @param {string} userId - User's ID
  * @param {Blob|File} audioBlob - Audio file or blob to upload
  * @param {Object} options - Upload options
@@ -44,10 +54,14 @@ export const uploadAudio = async (userId, audioBlob, options = {}) => {
 
     const { filename = null, onProgress = null } = options;
 
-    // Generate filename if not provided
+    if (needsTranscoding(audioBlob)) {
+      audioBlob = await transcodeToWav(audioBlob);
+    }
+
+    // Generate filename if not provided; the extension ignores codec parameters ('audio/webm;codecs=opus')
     const timestamp = Date.now();
     const randomString = Math.random().toString(36).substring(2, 8);
-    const extension = audioBlob.type ? audioBlob.type.split('/')[1] || 'webm' : 'webm';
+    const extension = audioExtension(audioBlob);
     const audioFilename = filename || `audio_${timestamp}_${randomString}.${extension}`;
 
     // Create storage reference
@@ -107,8 +121,10 @@ export const uploadAudio = async (userId, audioBlob, options = {}) => {
 
 /**
  * Get download URL for a file in storage
+ * Also serves synthesized speech (storagePath from synthesizeSpeech or askByVoice), which is either the user's
+ * own under tts/{userId}/ or shared under tts/shared/ and readable by any signed-in user
  * @param {string} path - Full storage path to the file
- * @returns {Promise<Object>} Object containing success status and download URL
+ * @returns {Promise<Object>} Object containing success status, download URL and whether the file is shared speech
  * @throws {Error} If fetching URL fails
  */
 export const getAudioUrl = async (path) => {
@@ -117,13 +133,23 @@ export const getAudioUrl = async (path) => {
       throw new Error('Storage path is required');
     }
 
-    const storageRef = ref(storage, path);
-    const downloadURL = await getDownloadURL(storageRef);
+    const isSpeech = SPEECH_PATH_PATTERN.test(path);
+    let downloadURL = isSpeech ? speechUrlCache.get(path) : null;
+
+    if (!downloadURL) {
+      const storageRef = ref(storage, path);
+      downloadURL = await getDownloadURL(storageRef);
+
+      if (isSpeech) {
+        speechUrlCache.set(path, downloadURL);
+      }
+    }
 
     return {
       success: true,
       url: downloadURL,
-      path
+      path,
+      shared: path.startsWith(`${STORAGE_PATHS.SHARED_SPEECH}/`)
     };
   } catch (error) {
     console.error('Error getting audio URL:', error);
@@ -0,0 +1,123 @@
+/**
+ * Audio utilities
+ * Speech-to-Text cannot decode AAC, which Safari and iOS record in MP4, or AMR inside 3GP. Such recordings
+ * are decoded in the browser and re-encoded as 16 kHz mono WAV before upload. Formats the transcribeAudio
+ * function detects itself (WebM/Ogg Opus, AMR, FLAC, WAV, MP3) are uploaded unchanged.
+ */
+
+// MIME types Speech-to-Text cannot decode but browsers can
+const TRANSCODE_TYPES = ['audio/mp4', 'audio/x-m4a', 'audio/m4a', 'audio/aac', 'audio/3gpp', 'audio/3gpp2', 'video/mp4'];
+
+// 16 kHz is the sample rate Speech-to-Text is tuned for
+const WAV_SAMPLE_RATE = 16000;
+
+// File extensions for the MIME types a recorder or share sheet produces
+const EXTENSIONS = {
+  'audio/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'opus',
+  'audio/amr': 'amr',
+  'audio/amr-wb': 'awb',
+  'audio/flac': 'flac',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/3gpp': '3gp',
+};
+
+/**
+ * Get the base MIME type of a blob, without codec parameters
+ * @param {Blob} blob - Audio blob
+ * @returns {string} MIME type such as 'audio/webm', or '' if unknown
+ */
+export function baseMimeType(blob) {
+  return (blob.type || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Get the file extension for an audio blob
+ * @param {Blob} blob - Audio blob
+ * @returns {string} Extension without the dot (defaults to 'webm', the web recorder's format)
+ */
+export function audioExtension(blob) {
+  return EXTENSIONS[baseMimeType(blob)] || 'webm';
+}
+
+/**
+ * Check whether a recording must be converted before Speech-to-Text can read it
+ * @param {Blob} blob - Audio blob
+ * @returns {boolean} True for AAC/MP4 and 3GP recordings
+ */
+export function needsTranscoding(blob) {
+  return TRANSCODE_TYPES.includes(baseMimeType(blob));
+}
+
+/**
+ * Encode mono samples as a 16-bit PCM WAV file
+ * @param {Float32Array} samples - Samples from -1 to 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Blob} WAV blob
+ */
+function encodeWav(samples, sampleRate) {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeText = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  writeText(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeText(8, 'WAVE');
+  writeText(12, 'fmt ');
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // linear PCM
+  view.setUint16(22, 1, true); // mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // byte rate
+  view.setUint16(32, 2, true); // block align
+  view.setUint16(34, 16, true); // bits per sample
+  writeText(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+
+  samples.forEach((sample, index) => {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    view.setInt16(44 + index * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+  });
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+/**
+ * Convert a recording to 16 kHz mono WAV using the browser's decoders
+ * @param {Blob} blob - Audio blob in any format the browser can play
+ * @returns {Promise<Blob>} WAV blob
+ * @throws {Error} If the browser cannot decode the recording
+ */
+export async function transcodeToWav(blob) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  const context = new AudioContextClass();
+
+  try {
+    const decoded = await context.decodeAudioData(await blob.arrayBuffer());
+
+    // Resample and mix down to mono in one offline render
+    const length = Math.ceil(decoded.duration * WAV_SAMPLE_RATE);
+    const offline = new OfflineAudioContext(1, length, WAV_SAMPLE_RATE);
+    const source = offline.createBufferSource();
+    source.buffer = decoded;
+    source.connect(offline.destination);
+    source.start();
+
+    const rendered = await offline.startRendering();
+    return encodeWav(rendered.getChannelData(0), WAV_SAMPLE_RATE);
+  } catch (error) {
+    throw new Error(`This recording format cannot be read. Please record again. (${error.message})`);
+  } finally {
+    context.close();
+  }
+}
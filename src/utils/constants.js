@@ -2,13 +2,20 @@
  * Application Constants
  */
 
-// Supported languages
-export const LANGUAGES = {
-  en: { code: 'en', name: 'English', nativeName: 'English' },
-  hi: { code: 'hi', name: 'Hindi', nativeName: 'हिंदी' },
-  ta: { code: 'ta', name: 'Tamil', nativeName: 'தமிழ்' },
-  te: { code: 'te', name: 'Telugu', nativeName: 'తెలుగు' },
-};
+import languageData from '../../functions/src/data/languages.json';
+
+// Supported languages, from the registry shared with Cloud Functions.
+// hasVoice is false for languages without a text-to-speech voice.
+export const LANGUAGES = Object.fromEntries(
+  languageData.languages.map(({ code, name, nativeName, tts }) => [
+    code,
+    { code, name, nativeName, hasVoice: Boolean(tts) },
+  ])
+);
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+export const DEFAULT_LANGUAGE = languageData.defaultLanguage;
 
 // Indian states
 export const INDIAN_STATES = [
@@ -111,6 +118,64 @@ export const AUDIO_CONFIG = {
 export const MESSAGE_TYPES = {
   TEXT: 'text',
   AUDIO: 'audio',
+  IMAGE: 'image',
+};
+
+// Answer feedback ratings and "tried it" outcomes
+export const FEEDBACK_RATINGS = {
+  HELPFUL: 'helpful',
+  NOT_HELPFUL: 'not_helpful',
+  WRONG: 'wrong',
+};
+
+export const FEEDBACK_OUTCOMES = {
+  WORKED: 'worked',
+  PARTLY_WORKED: 'partly_worked',
+  DID_NOT_WORK: 'did_not_work',
+};
+
+// Expert review status of an answer (chat.review.status)
+export const REVIEW_STATUS = {
+  OPEN: 'open',
+  CLAIMED: 'claimed',
+  ANSWERED: 'answered',
+  AMENDED: 'amended',
+  APPROVED: 'approved',
+  CLOSED: 'closed',
+};
+
+// Transcription job status (see functions/src/utils/transcription.js)
+export const TRANSCRIPTION_STATUS = {
+  RUNNING: 'running',
+  DONE: 'done',
+  ERROR: 'error',
+};
+
+// Voice question pipeline status (chat.voice.status, see functions/src/utils/voicePipeline.js)
+export const VOICE_PIPELINE_STATUS = {
+  RUNNING: 'running',
+  DONE: 'done',
+  ERROR: 'error',
+};
+
+// Voices answers can be read out in (users/{uid}.voicePreferences.gender, see
+// functions/src/utils/voicePreferences.js); unset uses the language's default voice
+export const VOICE_GENDERS = ['female', 'male'];
+
+// Speaking rate range of users/{uid}.voicePreferences.speakingRate (1 is normal speed)
+export const SPEAKING_RATE = {
+  MIN: 0.75,
+  MAX: 1.25,
+  DEFAULT: 0.95,
+};
+
+// Status of each voice pipeline stage (chat.voice.stages.{transcription,answer,speech}.status)
+export const VOICE_STAGE_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  ERROR: 'error',
+  SKIPPED: 'skipped',
 };
 
 // Navigation routes
@@ -128,12 +193,22 @@ export const ROUTES = {
 export const FUNCTIONS = {
   TRANSCRIBE_AUDIO: 'transcribeAudio',
   ASK_GEMINI: 'askGemini',
+  ASK_GEMINI_STREAM: 'askGeminiStream',
+  ASK_BY_VOICE: 'askByVoice',
   SYNTHESIZE_SPEECH: 'synthesizeSpeech',
+  DIAGNOSE_CROP_IMAGE: 'diagnoseCropImage',
+  RATE_ANSWER: 'rateAnswer',
+  TRANSLATE_CHAT: 'translateChat',
+  CLAIM_REVIEW_TICKET: 'claimReviewTicket',
+  RESOLVE_REVIEW_TICKET: 'resolveReviewTicket',
 };
 
 // Storage paths
 export const STORAGE_PATHS = {
   AUDIO: (userId) => `audio/${userId}`,
+  SPEECH: (userId) => `tts/${userId}`,
+  SHARED_SPEECH: 'tts/shared',
+  IMAGES: (userId) => `images/${userId}`,
   PROFILES: (userId) => `profiles/${userId}`,
 };
 
@@ -2,6 +2,8 @@
  * Utility Helper Functions
  */
 
+import { LANGUAGES } from './constants.js';
+
 /**
  * Format timestamp to readable date string
  * @param {Object|number} timestamp - Firebase timestamp or number
@@ -269,12 +271,7 @@ export function convertArea(value, fromUnit, toUnit) {
  * @return {string} Language name
  */
 export function getLanguageName(code, native = false) {
-  const languages = {
-    en: { name: 'English', native: 'English' },
-    hi: { name: 'Hindi', native: 'हिंदी' },
-    ta: { name: 'Tamil', native: 'தமிழ்' },
-    te: { name: 'Telugu', native: 'తెలుగు' },
-  };
-  
-  return native ? languages[code]?.native : languages[code]?.name || code;
+  const language = LANGUAGES[code];
+
+  return native ? language?.nativeName : language?.name || code;
 }